@@ -0,0 +1,133 @@
+/**
+ * OAuth Provider Configuration
+ * Registry of social login / OpenID Connect providers built from environment variables
+ */
+
+/**
+ * Built-in defaults for well-known providers
+ * Anything here can be overridden with the matching OAUTH_<NAME>_* variable.
+ */
+const PRESETS = {
+  google: {
+    type: 'oidc',
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile'
+  },
+  github: {
+    type: 'oauth2',
+    displayName: 'GitHub',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scopes: 'read:user user:email'
+  }
+};
+
+/**
+ * Read a single provider definition from the environment
+ * @param {string} name - Provider name (lowercase)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Provider configuration, or null if incomplete
+ */
+const readProvider = (name, env) => {
+  const prefix = `OAUTH_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const read = (key) => env[`${prefix}${key}`];
+  const preset = PRESETS[name] || {};
+
+  const provider = {
+    name,
+    type: read('TYPE') || preset.type || 'oidc',
+    displayName: read('DISPLAY_NAME') || preset.displayName || name,
+    clientId: read('CLIENT_ID'),
+    clientSecret: read('CLIENT_SECRET') || null,
+    issuer: read('ISSUER') || preset.issuer || null,
+    authorizationUrl: read('AUTHORIZATION_URL') || preset.authorizationUrl || null,
+    tokenUrl: read('TOKEN_URL') || preset.tokenUrl || null,
+    userinfoUrl: read('USERINFO_URL') || preset.userinfoUrl || null,
+    jwksUri: read('JWKS_URI') || preset.jwksUri || null,
+    emailsUrl: read('EMAILS_URL') || preset.emailsUrl || null,
+    scopes: read('SCOPES') || preset.scopes || 'openid email profile'
+  };
+
+  if (!provider.clientId) {
+    console.warn(`⚠️  OAuth provider "${name}" skipped: ${prefix}CLIENT_ID is not set`);
+    return null;
+  }
+
+  if (provider.type === 'oidc' && !provider.issuer) {
+    console.warn(`⚠️  OAuth provider "${name}" skipped: ${prefix}ISSUER is required for OpenID Connect`);
+    return null;
+  }
+
+  if (provider.type === 'oauth2' && (!provider.authorizationUrl || !provider.tokenUrl || !provider.userinfoUrl)) {
+    console.warn(`⚠️  OAuth provider "${name}" skipped: authorization, token and userinfo URLs are required`);
+    return null;
+  }
+
+  return provider;
+};
+
+/**
+ * Build the provider registry
+ * @param {Object} env - Environment variables
+ * @returns {Map} Provider configurations keyed by name
+ */
+const loadProviders = (env = process.env) => {
+  const names = (env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const registry = new Map();
+
+  for (const name of names) {
+    const provider = readProvider(name, env);
+    if (provider) {
+      registry.set(name, provider);
+    }
+  }
+
+  return registry;
+};
+
+const providers = loadProviders();
+
+/**
+ * Get a configured provider
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider configuration
+ */
+const getProvider = (name) => {
+  return providers.get(String(name).toLowerCase()) || null;
+};
+
+/**
+ * List configured providers (public information only)
+ * @returns {Array} Provider names and display names
+ */
+const listProviders = () => {
+  return Array.from(providers.values()).map(({ name, displayName, type }) => ({
+    name,
+    displayName,
+    type
+  }));
+};
+
+/**
+ * Get the callback URL registered with a provider
+ * @param {string} name - Provider name
+ * @returns {string} Redirect URI
+ */
+const getRedirectUri = (name) => {
+  const base = process.env.OAUTH_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
+  return `${base.replace(/\/$/, '')}/api/auth/oauth/${name}/callback`;
+};
+
+module.exports = {
+  loadProviders,
+  getProvider,
+  listProviders,
+  getRedirectUri
+};
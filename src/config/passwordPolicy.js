@@ -0,0 +1,137 @@
+/**
+ * Password Policy Configuration
+ * Rules new passwords must satisfy, built from defaults, an optional JSON
+ * policy and individual environment variables (in that order of precedence)
+ */
+
+const fs = require('fs');
+
+/**
+ * Built-in defaults
+ * `minScore` is a zxcvbn-style strength score from 0 (too guessable) to 4 (very unguessable).
+ */
+const DEFAULTS = {
+  minLength: 8,
+  maxLength: 128,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: true,
+  bannedWords: [],
+  banPersonalInfo: true,
+  minScore: 2,
+  breachedHashesPath: null,
+  breachedMinCount: 1
+};
+
+/**
+ * Read the JSON policy from PASSWORD_POLICY_FILE or PASSWORD_POLICY
+ * @param {Object} env - Environment variables
+ * @returns {Object} Policy settings (empty when neither is set)
+ * @throws {Error} If the JSON cannot be read or parsed
+ */
+const readJsonPolicy = (env) => {
+  if (env.PASSWORD_POLICY_FILE) {
+    try {
+      return JSON.parse(fs.readFileSync(env.PASSWORD_POLICY_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read PASSWORD_POLICY_FILE: ${error.message}`);
+    }
+  }
+
+  if (env.PASSWORD_POLICY) {
+    try {
+      return JSON.parse(env.PASSWORD_POLICY);
+    } catch (error) {
+      throw new Error(`PASSWORD_POLICY is not valid JSON: ${error.message}`);
+    }
+  }
+
+  return {};
+};
+
+/**
+ * Read the settings given as individual environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Policy settings that are set
+ */
+const readEnvOverrides = (env) => {
+  const overrides = {};
+
+  if (env.PASSWORD_MIN_LENGTH) {
+    overrides.minLength = Number(env.PASSWORD_MIN_LENGTH);
+  }
+  if (env.PASSWORD_MAX_LENGTH) {
+    overrides.maxLength = Number(env.PASSWORD_MAX_LENGTH);
+  }
+  if (env.PASSWORD_MIN_SCORE) {
+    overrides.minScore = Number(env.PASSWORD_MIN_SCORE);
+  }
+  if (env.PASSWORD_BANNED_WORDS) {
+    overrides.bannedWords = env.PASSWORD_BANNED_WORDS.split(',');
+  }
+  if (env.PASSWORD_BREACHED_HASHES_PATH) {
+    overrides.breachedHashesPath = env.PASSWORD_BREACHED_HASHES_PATH;
+  }
+  if (env.PASSWORD_BREACHED_MIN_COUNT) {
+    overrides.breachedMinCount = Number(env.PASSWORD_BREACHED_MIN_COUNT);
+  }
+
+  return overrides;
+};
+
+/**
+ * Build and check the password policy
+ * @param {Object} env - Environment variables
+ * @returns {Object} Frozen password policy
+ * @throws {Error} If a setting is unknown or out of range
+ */
+const loadPasswordPolicy = (env = process.env) => {
+  const policy = {
+    ...DEFAULTS,
+    ...readJsonPolicy(env),
+    ...readEnvOverrides(env)
+  };
+
+  for (const key of Object.keys(policy)) {
+    if (!(key in DEFAULTS)) {
+      throw new Error(`Unknown password policy setting: ${key}`);
+    }
+  }
+
+  if (!Number.isInteger(policy.minLength) || policy.minLength < 1) {
+    throw new Error('Password policy minLength must be a positive integer');
+  }
+
+  if (!Number.isInteger(policy.maxLength) || policy.maxLength < policy.minLength) {
+    throw new Error('Password policy maxLength must be an integer no smaller than minLength');
+  }
+
+  if (!Number.isInteger(policy.minScore) || policy.minScore < 0 || policy.minScore > 4) {
+    throw new Error('Password policy minScore must be an integer from 0 to 4');
+  }
+
+  if (!Array.isArray(policy.bannedWords)) {
+    throw new Error('Password policy bannedWords must be a list of words');
+  }
+
+  if (!Number.isInteger(policy.breachedMinCount) || policy.breachedMinCount < 1) {
+    throw new Error('Password policy breachedMinCount must be a positive integer');
+  }
+
+  if (policy.breachedHashesPath && !fs.existsSync(policy.breachedHashesPath)) {
+    throw new Error(`Breached password hashes not found at ${policy.breachedHashesPath}`);
+  }
+
+  return Object.freeze({
+    ...policy,
+    bannedWords: policy.bannedWords
+      .map(word => String(word).trim().toLowerCase())
+      .filter(Boolean)
+  });
+};
+
+module.exports = {
+  DEFAULTS,
+  loadPasswordPolicy
+};
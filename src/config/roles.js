@@ -0,0 +1,45 @@
+/**
+ * Role Configuration
+ * Permission catalogue and the built-in roles seeded at startup
+ *
+ * Permissions are `resource:action` strings. A grant of `resource:*` covers
+ * every action on the resource and `*` covers everything.
+ */
+
+/**
+ * Known permissions
+ */
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  USERS_IMPERSONATE: 'users:impersonate',
+  ROLES_MANAGE: 'roles:manage',
+  AUDIT_READ: 'audit:read',
+  SYSTEM_HEALTH: 'system:health'
+};
+
+/**
+ * Built-in roles
+ * These are kept in sync with the database on every startup.
+ */
+const SYSTEM_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every administrative feature',
+    permissions: ['*']
+  },
+  {
+    name: 'user',
+    description: 'Default role for every account',
+    permissions: []
+  }
+];
+
+// Role given to new accounts
+const DEFAULT_ROLE = 'user';
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  DEFAULT_ROLE
+};
@@ -0,0 +1,308 @@
+/**
+ * Account Controller
+ * Password and email address changes, data export and erasure for signed-in users
+ */
+
+const User = require('../models/User');
+const passwordService = require('../services/passwordService');
+const emailChangeService = require('../services/emailChangeService');
+const privacyService = require('../services/privacyService');
+const auditService = require('../services/auditService');
+const { AppError, PasswordPolicyError, PasswordReusedError } = require('../middleware/errorHandler');
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Validate email format
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if valid email
+ */
+const isValidEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return typeof email === 'string' && emailRegex.test(email);
+};
+
+/**
+ * Controller Functions
+ */
+
+/**
+ * Change the password after re-entering the current one
+ * Every other session is signed out; the current one stays signed in.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return next(new AppError('Current password and new password are required', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+passwordHash +passwordHistory');
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (!user.isActive) {
+      return next(new AppError('Account has been deactivated', 403));
+    }
+
+    const passwordValidation = await passwordService.validatePassword(newPassword, user);
+    if (!passwordValidation.isValid) {
+      return next(new PasswordPolicyError(passwordValidation));
+    }
+
+    const isPasswordValid = await passwordService.verifyPassword(currentPassword, user.passwordHash);
+    if (!isPasswordValid) {
+      auditService.failure(req, auditService.ACTIONS.PASSWORD_CHANGE, 'invalid_password', { user });
+      return next(new AppError('Current password is incorrect', 400));
+    }
+
+    if (await passwordService.isPasswordReused(user, newPassword)) {
+      auditService.failure(req, auditService.ACTIONS.PASSWORD_CHANGE, 'password_reused', { user });
+      return next(new PasswordReusedError(passwordService.getReuseMessage()));
+    }
+
+    const { sessionsRevoked } = await passwordService.changePassword(user, newPassword, {
+      keepSessionId: req.user.sessionId
+    });
+
+    auditService.success(req, auditService.ACTIONS.PASSWORD_CHANGE, {
+      user,
+      metadata: { sessionsRevoked }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. You have been signed out on all other devices.',
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the pending email change, if any
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getEmailChange = async (req, res, next) => {
+  try {
+    const change = await emailChangeService.findPendingChange(req.user.id);
+
+    res.json({
+      success: true,
+      emailChange: change ? change.toSafeObject() : null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request a new email address after re-entering the password
+ * A code goes to the new address and a notice with a cancel link to the old one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const { newEmail, password } = req.body || {};
+
+    if (!newEmail || !password) {
+      return next(new AppError('New email and password are required', 400));
+    }
+
+    if (!isValidEmail(newEmail)) {
+      return next(new AppError('Please provide a valid email address', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+passwordHash');
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (!user.isActive) {
+      return next(new AppError('Account has been deactivated', 403));
+    }
+
+    const isPasswordValid = await passwordService.verifyPassword(password, user.passwordHash);
+    if (!isPasswordValid) {
+      auditService.failure(req, auditService.ACTIONS.EMAIL_CHANGE_REQUEST, 'invalid_password', { user });
+      return next(new AppError('Incorrect password', 400));
+    }
+
+    const normalizedEmail = newEmail.toLowerCase().trim();
+    const { change, devCode } = await emailChangeService.requestEmailChange(user, normalizedEmail);
+
+    auditService.success(req, auditService.ACTIONS.EMAIL_CHANGE_REQUEST, {
+      user,
+      metadata: { newEmail: normalizedEmail }
+    });
+
+    res.json({
+      success: true,
+      message: 'A verification code has been sent to your new email address.',
+      emailChange: change.toSafeObject(),
+      // In development, include the code when email delivery failed
+      ...(devCode && { devVerificationCode: devCode })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm the new email address with the code sent to it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.verifyEmailChange = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return next(new AppError('Verification code is required', 400));
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    let change;
+    try {
+      change = await emailChangeService.verifyEmailChange(user, code);
+    } catch (error) {
+      if (error.isOperational) {
+        auditService.failure(req, auditService.ACTIONS.EMAIL_CHANGE, error.statusCode === 409 ? 'email_taken' : 'verification_failed', { user });
+      }
+      throw error;
+    }
+
+    auditService.success(req, auditService.ACTIONS.EMAIL_CHANGE, {
+      user,
+      email: change.newEmail,
+      metadata: { oldEmail: change.oldEmail, newEmail: change.newEmail }
+    });
+
+    res.json({
+      success: true,
+      message: 'Your email address has been changed.',
+      email: change.newEmail
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel the pending email change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.cancelEmailChange = async (req, res, next) => {
+  try {
+    const change = await emailChangeService.cancelPendingChange(req.user.id);
+
+    if (!change) {
+      return next(new AppError('No pending email change', 404));
+    }
+
+    auditService.success(req, auditService.ACTIONS.EMAIL_CHANGE_CANCEL, {
+      user: req.user.id,
+      email: change.oldEmail,
+      metadata: { newEmail: change.newEmail, cancelledBy: 'user' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download everything stored about the account as JSON
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.exportData = async (req, res, next) => {
+  try {
+    const archive = await privacyService.buildExport(req.user.id);
+
+    auditService.success(req, auditService.ACTIONS.DATA_EXPORT, { user: req.user.id, email: req.user.email });
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${req.user.id}.json"`);
+    res.json(archive);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule permanent erasure of the account after re-entering the password
+ * The account is deactivated right away and erased after the grace period.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.requestErasure = async (req, res, next) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return next(new AppError('Password is required', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+passwordHash');
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const isPasswordValid = await passwordService.verifyPassword(password, user.passwordHash);
+    if (!isPasswordValid) {
+      auditService.failure(req, auditService.ACTIONS.ERASURE_REQUEST, 'invalid_password', { user });
+      return next(new AppError('Incorrect password', 400));
+    }
+
+    const scheduledFor = await privacyService.scheduleErasure(user);
+
+    auditService.success(req, auditService.ACTIONS.ERASURE_REQUEST, {
+      user,
+      metadata: { scheduledFor }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your account has been deactivated and will be permanently deleted. Use the link in the email we sent to keep it.',
+      scheduledFor
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
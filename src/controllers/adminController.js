@@ -0,0 +1,683 @@
+/**
+ * Admin Controller
+ * User management for support staff: search, verification, resets, locks, roles and the audit log
+ */
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const impersonationService = require('../services/impersonationService');
+const auditService = require('../services/auditService');
+const otpService = require('../services/otpService');
+const { AppError } = require('../middleware/errorHandler');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Parse an optional boolean query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {boolean|undefined} Parsed value, or undefined when absent
+ * @throws {AppError} If the value is not "true" or "false"
+ */
+const parseBoolean = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  throw new AppError(`${name} must be "true" or "false"`, 400);
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {Date|undefined} Parsed date, or undefined when absent
+ * @throws {AppError} If the value is not a valid date
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Build the MongoDB filter for the user list
+ * @param {Object} query - Request query parameters
+ * @returns {Object} MongoDB filter
+ */
+const buildUserFilter = (query) => {
+  const filter = {};
+  const conditions = [];
+
+  const verified = parseBoolean(query.verified, 'verified');
+  if (verified !== undefined) {
+    filter.emailVerified = verified;
+  }
+
+  const active = parseBoolean(query.active, 'active');
+  if (active !== undefined) {
+    filter.isActive = active;
+  }
+
+  const locked = parseBoolean(query.locked, 'locked');
+  if (locked === true) {
+    filter.accountLocked = true;
+    filter.lockUntil = { $gt: new Date() };
+  } else if (locked === false) {
+    conditions.push({
+      $or: [{ accountLocked: { $ne: true } }, { lockUntil: null }, { lockUntil: { $lte: new Date() } }]
+    });
+  }
+
+  const createdFrom = parseDate(query.createdFrom, 'createdFrom');
+  const createdTo = parseDate(query.createdTo, 'createdTo');
+  if (createdFrom || createdTo) {
+    filter.createdAt = {
+      ...(createdFrom && { $gte: createdFrom }),
+      ...(createdTo && { $lte: createdTo })
+    };
+  }
+
+  if (query.email) {
+    filter.email = { $regex: escapeRegex(String(query.email).toLowerCase().trim()) };
+  }
+
+  if (query.role) {
+    filter.roles = String(query.role).toLowerCase().trim();
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  return filter;
+};
+
+/**
+ * Build the MongoDB filter for the audit log
+ * @param {Object} query - Request query parameters
+ * @returns {Object} MongoDB filter
+ * @throws {AppError} If the outcome or a date is invalid
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.user) {
+    filter.user = String(query.user);
+  }
+
+  if (query.actor) {
+    filter.actor = String(query.actor);
+  }
+
+  if (query.email) {
+    filter.email = String(query.email).toLowerCase().trim();
+  }
+
+  if (query.action) {
+    filter.action = String(query.action);
+  }
+
+  if (query.outcome) {
+    if (!['success', 'failure'].includes(query.outcome)) {
+      throw new AppError('outcome must be "success" or "failure"', 400);
+    }
+    filter.outcome = query.outcome;
+  }
+
+  if (query.ip) {
+    filter.ip = String(query.ip).trim();
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  return filter;
+};
+
+/**
+ * Admin view of a user: the public profile plus account state
+ * @param {Object} user - User document
+ * @returns {Object} User details
+ */
+const toAdminObject = (user) => {
+  return {
+    ...user.toSafeObject(),
+    permissions: user.permissions,
+    loginAttempts: user.loginAttempts,
+    locked: !!user.isAccountLocked(),
+    lockUntil: user.isAccountLocked() ? user.lockUntil : null,
+    deactivatedAt: user.deactivatedAt,
+    deactivatedBy: user.deactivatedBy,
+    passwordChangedAt: user.passwordChangedAt,
+    passwordChangeRequired: user.passwordChangeRequired
+  };
+};
+
+/**
+ * Load the user named in the route
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} If the user does not exist
+ */
+const findTargetUser = async (req) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Controller Functions
+ */
+
+/**
+ * List users with pagination, filters and email search
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listUsers = async (req, res, next) => {
+  try {
+    const filter = buildUserFilter(req.query);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      users: users.map(toAdminObject),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * View a single user with their active sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+    const sessions = await Session.findActiveByUser(user._id);
+
+    res.json({
+      success: true,
+      user: toAdminObject(user),
+      sessions: sessions.map(session => session.toSafeObject())
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a user's email address as verified
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+
+    if (user.emailVerified) {
+      return next(new AppError('Email is already verified', 400));
+    }
+
+    user.emailVerified = true;
+    await user.save();
+    await otpService.revokeCodes(user, otpService.PURPOSES.EMAIL_VERIFICATION);
+
+    auditService.success(req, auditService.ACTIONS.VERIFY_EMAIL, {
+      user,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Email marked as verified',
+      user: toAdminObject(user)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email the user a password reset code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.sendPasswordReset = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+
+    if (!user.isActive) {
+      return next(new AppError('Cannot reset the password of a deactivated account', 400));
+    }
+
+    await passwordService.startPasswordReset(user);
+
+    auditService.success(req, auditService.ACTIONS.FORGOT_PASSWORD, {
+      user,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset code sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear failed sign in attempts and any lock
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+
+    await user.resetLoginAttempts({ recordLogin: false });
+
+    auditService.success(req, auditService.ACTIONS.ACCOUNT_UNLOCK, {
+      user,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      user: toAdminObject(user)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a new password at the user's next sign in and sign them out everywhere
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.requirePasswordChange = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+
+    user.passwordChangeRequired = true;
+    await user.save();
+
+    const sessionsRevoked = await sessionService.revokeAllSessions(user._id);
+
+    auditService.success(req, auditService.ACTIONS.PASSWORD_CHANGE_REQUIRED, {
+      user,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password change required at next sign in',
+      sessionsRevoked,
+      user: toAdminObject(user)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a user and sign them out everywhere
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deactivateUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+
+    if (String(user._id) === String(req.user.id)) {
+      return next(new AppError('You cannot deactivate your own account', 400));
+    }
+
+    if (!user.isActive) {
+      return next(new AppError('Account is already deactivated', 400));
+    }
+
+    await user.deactivate('admin');
+
+    const sessionsRevoked = await sessionService.revokeAllSessions(user._id);
+
+    auditService.success(req, auditService.ACTIONS.ACCOUNT_DEACTIVATE, {
+      user,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deactivated',
+      sessionsRevoked,
+      user: toAdminObject(user)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reactivate a deactivated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.reactivateUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req);
+
+    if (user.isActive) {
+      return next(new AppError('Account is already active', 400));
+    }
+
+    await user.reactivate();
+
+    auditService.success(req, auditService.ACTIONS.ACCOUNT_REACTIVATE, {
+      user,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Account reactivated',
+      user: toAdminObject(user)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a user's roles
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateRoles = async (req, res, next) => {
+  try {
+    const { roles } = req.body || {};
+
+    if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+      return next(new AppError('roles must be an array of role names', 400));
+    }
+
+    const names = [...new Set(roles.map(role => role.toLowerCase().trim()))];
+    const known = await Role.find({ name: { $in: names } }).distinct('name');
+    const unknown = names.filter(name => !known.includes(name));
+
+    if (unknown.length > 0) {
+      return next(new AppError(`Unknown role: ${unknown.join(', ')}`, 400));
+    }
+
+    const user = await findTargetUser(req);
+
+    // Guard against admins locking themselves out
+    if (String(user._id) === String(req.user.id) && user.roles.includes('admin') && !names.includes('admin')) {
+      return next(new AppError('You cannot remove your own admin role', 400));
+    }
+
+    const previousRoles = [...user.roles];
+
+    user.roles = names;
+    await user.save();
+
+    auditService.success(req, auditService.ACTIONS.ROLES_UPDATE, {
+      user,
+      actor: req.user.id,
+      metadata: { from: previousRoles, to: names }
+    });
+
+    res.json({
+      success: true,
+      message: 'Roles updated. They apply from the user\'s next token refresh.',
+      user: toAdminObject(user)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start impersonating a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.startImpersonation = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return next(new AppError('A reason is required to impersonate a user', 400));
+    }
+
+    const { admin, target } = await impersonationService.findParticipants(req.user.id, req.params.id);
+
+    const { token, impersonation } = await impersonationService.startImpersonation(
+      admin,
+      target,
+      reason.trim(),
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `You are now acting as ${target.email}. Every request is recorded.`,
+      token,
+      expiresIn: impersonationService.CONFIG.EXPIRES_MIN * 60,
+      impersonation: impersonation.toSafeObject()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List impersonations, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listImpersonations = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.user) {
+      filter.user = String(req.query.user);
+    }
+
+    if (req.query.impersonator) {
+      filter.impersonator = String(req.query.impersonator);
+    }
+
+    const active = parseBoolean(req.query.active, 'active');
+    if (active === true) {
+      filter.endedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    } else if (active === false) {
+      filter.$or = [{ endedAt: { $ne: null } }, { expiresAt: { $lte: new Date() } }];
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [impersonations, total] = await Promise.all([
+      Impersonation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Impersonation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      impersonations: impersonations.map(impersonation => impersonation.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End an impersonation and revoke its token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.stopImpersonation = async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id);
+
+    if (!impersonation) {
+      return next(new AppError('Impersonation not found', 404));
+    }
+
+    if (!impersonation.isActive) {
+      return next(new AppError('Impersonation has already ended', 400));
+    }
+
+    const endedBy = String(impersonation.impersonator) === String(req.user.id) ? 'impersonator' : 'admin';
+    await impersonationService.stopImpersonation(impersonation, endedBy);
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended',
+      impersonation: impersonation.toSafeObject()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Search the security audit log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listAuditEvents = async (req, res, next) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const { events, total } = await auditService.findEvents(filter, { limit, skip });
+
+    res.json({
+      success: true,
+      events: events.map(event => event.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the roles that can be assigned
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        system: role.system
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
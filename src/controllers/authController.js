@@ -3,19 +3,34 @@
  * Handles user registration, login, email verification, and password reset
  */
 
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
 const User = require('../models/User');
+const MagicLink = require('../models/MagicLink');
 const { sendMail } = require('../config/mailer');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const signinService = require('../services/signinService');
+const passwordService = require('../services/passwordService');
+const impersonationService = require('../services/impersonationService');
+const auditService = require('../services/auditService');
+const deviceService = require('../services/deviceService');
+const emailChangeService = require('../services/emailChangeService');
+const privacyService = require('../services/privacyService');
+const otpService = require('../services/otpService');
+const cookieService = require('../services/cookieService');
+const { renderConfirmPage } = require('../utils/html');
+
+const { ACTIONS } = auditService;
+const { PURPOSES } = otpService;
 
 // Configuration constants
 const CONFIG = {
-  CODE_LENGTH: Number(process.env.CODE_LENGTH) || 6,
-  CODE_EXPIRES_MIN: Number(process.env.EMAIL_CODE_EXPIRES_MIN) || 15,
-  BCRYPT_SALT_ROUNDS: 12,
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d'
+  CODE_EXPIRES_MIN: otpService.CONFIG.CODE_EXPIRES_MIN,
+  MAGIC_LINK_EXPIRES_MIN: Number(process.env.MAGIC_LINK_EXPIRES_MIN) || 15,
+  MAGIC_LINK_SIGNUP: process.env.MAGIC_LINK_SIGNUP === 'true',
+  MAGIC_LINK_URL: process.env.MAGIC_LINK_URL || `http://localhost:${process.env.PORT || 4000}/api/auth/magic-link/consume`
 };
 
 /**
@@ -23,25 +38,12 @@ const CONFIG = {
  */
 
 /**
- * Generate a numeric verification code
- * @param {number} length - Length of the code
- * @returns {string} Numeric code
+ * Hash a magic link token using SHA-256
+ * @param {string} token - Token to hash
+ * @returns {string} Hashed token
  */
-const generateNumericCode = (length = CONFIG.CODE_LENGTH) => {
-  let code = '';
-  for (let i = 0; i < length; i++) {
-    code += Math.floor(Math.random() * 10);
-  }
-  return code;
-};
-
-/**
- * Hash a verification code using SHA-256
- * @param {string} code - Code to hash
- * @returns {string} Hashed code
- */
-const hashCode = (code) => {
-  return crypto.createHash('sha256').update(code).digest('hex');
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 /**
@@ -64,31 +66,6 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
-/**
- * Validate password strength
- * @param {string} password - Password to validate
- * @returns {object} Validation result with isValid flag and message
- */
-const validatePassword = (password) => {
-  if (!password || password.length < 8) {
-    return { isValid: false, message: 'Password must be at least 8 characters long' };
-  }
-  
-  const hasUpperCase = /[A-Z]/.test(password);
-  const hasLowerCase = /[a-z]/.test(password);
-  const hasNumbers = /\d/.test(password);
-  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-  
-  if (!hasUpperCase || !hasLowerCase || !hasNumbers || !hasSpecialChar) {
-    return {
-      isValid: false,
-      message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
-    };
-  }
-  
-  return { isValid: true };
-};
-
 /**
  * Email Service Functions
  */
@@ -121,32 +98,265 @@ const sendVerificationEmail = async (userEmail, code) => {
 };
 
 /**
- * Send password reset email
+ * Send magic sign in link
+ * @param {string} userEmail - Recipient email
+ * @param {string} link - Sign in link
+ * @param {boolean} isNewAccount - Whether following the link creates an account
+ */
+const sendMagicLinkEmail = async (userEmail, link, isNewAccount) => {
+  const action = isNewAccount ? 'create your account and sign in' : 'sign in';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Your Sign In Link</h2>
+      <p>Click the button below to ${action}. The link can only be used once.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background-color: #2563eb; color: #ffffff; padding: 14px 28px; text-decoration: none; border-radius: 4px; font-weight: bold;">Sign in</a>
+      </div>
+      <p><strong>This link will expire in ${CONFIG.MAGIC_LINK_EXPIRES_MIN} minutes.</strong></p>
+      <p>If you didn't request this link, please ignore this email.</p>
+    </div>
+  `;
+  
+  await sendMail({
+    to: userEmail,
+    from: process.env.EMAIL_FROM,
+    subject: 'Your sign in link',
+    html,
+    text: `Use this link to ${action}: ${link} . It expires in ${CONFIG.MAGIC_LINK_EXPIRES_MIN} minutes.`
+  });
+};
+
+/**
+ * Send account locked notification with an unlock code
  * @param {string} userEmail - Recipient email
- * @param {string} code - Reset code
+ * @param {string} code - Unlock code
+ * @param {Date} lockUntil - When the lock expires on its own
  */
-const sendResetEmail = async (userEmail, code) => {
+const sendAccountLockedEmail = async (userEmail, code, lockUntil) => {
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2>Password Reset Request</h2>
-      <p>You have requested to reset your password. Please use the following code:</p>
+      <h2>Your Account Has Been Locked</h2>
+      <p>We locked your account after several failed sign in attempts. It will unlock automatically at <strong>${lockUntil.toUTCString()}</strong>.</p>
+      <p>If this was you, you can unlock it right away with the following code:</p>
       <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">
         ${code}
       </div>
       <p><strong>This code will expire in ${CONFIG.CODE_EXPIRES_MIN} minutes.</strong></p>
-      <p>If you didn't request this password reset, please ignore this email and your password will remain unchanged.</p>
+      <p>If you didn't try to sign in, someone may be guessing your password. Consider resetting it once your account is unlocked.</p>
+    </div>
+  `;
+  
+  await sendMail({
+    to: userEmail,
+    from: process.env.EMAIL_FROM,
+    subject: 'Your account has been locked',
+    html,
+    text: `Your account was locked after several failed sign in attempts. It unlocks automatically at ${lockUntil.toUTCString()}. Your unlock code is ${code}. It expires in ${CONFIG.CODE_EXPIRES_MIN} minutes.`
+  });
+};
+
+/**
+ * Send the code that reactivates a deactivated account
+ * @param {string} userEmail - Recipient email
+ * @param {string} code - Reactivation code
+ * @param {Date} deadline - Last moment the account can be reactivated
+ */
+const sendReactivationEmail = async (userEmail, code, deadline) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Reactivate Your Account</h2>
+      <p>Your account is deactivated. Use the following code to restore it:</p>
+      <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">
+        ${code}
+      </div>
+      <p><strong>This code will expire in ${CONFIG.CODE_EXPIRES_MIN} minutes.</strong> The account can be reactivated until ${deadline.toUTCString()}.</p>
+      <p>If you didn't try to sign in, someone may know your password. Consider resetting it once your account is restored.</p>
     </div>
   `;
   
   await sendMail({
     to: userEmail,
     from: process.env.EMAIL_FROM,
-    subject: 'Password Reset Code',
+    subject: 'Reactivate your account',
     html,
-    text: `Your password reset code is ${code}. It expires in ${CONFIG.CODE_EXPIRES_MIN} minutes.`
+    text: `Your account reactivation code is ${code}. It expires in ${CONFIG.CODE_EXPIRES_MIN} minutes. The account can be reactivated until ${deadline.toUTCString()}.`
+  });
+};
+
+/**
+ * Send the 400 response for a password rejected by the password policy
+ * @param {Object} res - Express response object
+ * @param {Object} validation - Result of passwordService.validatePassword
+ */
+const sendPasswordRejected = (res, validation) => {
+  return res.status(400).json({
+    error: validation.message,
+    code: 'PASSWORD_POLICY',
+    failures: validation.failures
+  });
+};
+
+/**
+ * Send the 400 response for a one-time code that was not accepted
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of otpService.verifyCode
+ * @param {string} label - Kind of code, e.g. "verification" or "reset"
+ */
+const sendCodeRejected = (res, result, label) => {
+  const messages = {
+    no_code: `No ${label} code found. Please request a new one.`,
+    code_expired: `${label.charAt(0).toUpperCase()}${label.slice(1)} code has expired. Please request a new one.`,
+    too_many_attempts: `Too many incorrect ${label} codes. Please request a new one.`,
+    invalid_code: `Invalid ${label} code`
+  };
+
+  return res.status(400).json({
+    error: messages[result.reason],
+    code: result.reason.toUpperCase(),
+    ...(result.reason === 'invalid_code' && { attemptsRemaining: result.attemptsRemaining })
+  });
+};
+
+/**
+ * Account Lockout Helpers
+ */
+
+/**
+ * Issue a new unlock code for a locked account and email it to the owner
+ * @param {Object} user - Locked user document
+ */
+const issueUnlockCode = async (user) => {
+  const { code: unlockCode } = await otpService.issueCode(user, PURPOSES.ACCOUNT_UNLOCK);
+
+  try {
+    await sendAccountLockedEmail(user.email, unlockCode, user.lockUntil);
+  } catch (mailError) {
+    console.error('Email send error for account lock:', mailError.message || mailError);
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`🔓 Unlock code for ${user.email}: ${unlockCode}`);
+    }
+  }
+};
+
+/**
+ * Send the 423 response for a locked account
+ * @param {Object} res - Express response object
+ * @param {Object} user - Locked user document
+ */
+const sendAccountLocked = (res, user) => {
+  const retryAfter = user.getLockRemainingSeconds();
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: 'Account is temporarily locked due to too many failed sign in attempts',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter,
+    lockUntil: user.lockUntil
+  });
+};
+
+/**
+ * Account Reactivation Helpers
+ */
+
+/**
+ * Issue a new reactivation code for a deactivated account and email it to the owner
+ * @param {Object} user - Deactivated user document
+ * @param {Date} deadline - Last moment the account can be reactivated
+ */
+const issueReactivationCode = async (user, deadline) => {
+  const { code: reactivationCode } = await otpService.issueCode(user, PURPOSES.ACCOUNT_REACTIVATION);
+
+  try {
+    await sendReactivationEmail(user.email, reactivationCode, deadline);
+  } catch (mailError) {
+    console.error('Email send error for account reactivation:', mailError.message || mailError);
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`♻️ Reactivation code for ${user.email}: ${reactivationCode}`);
+    }
+  }
+};
+
+/**
+ * Send the 403 response for a deactivated account
+ * @param {Object} res - Express response object
+ * @param {Object} user - Deactivated user document
+ * @param {Object} details - Additional fields for the response body
+ */
+const sendAccountDeactivated = (res, user, details = {}) => {
+  const reactivationDeadline = user.getReactivationDeadline();
+
+  return res.status(403).json({
+    error: 'Account has been deactivated',
+    code: 'ACCOUNT_DEACTIVATED',
+    reactivationAvailable: !!reactivationDeadline,
+    reactivationDeadline,
+    ...details
   });
 };
 
+/**
+ * Emailed Link Helpers
+ */
+
+/**
+ * Send the page behind an emailed link
+ * Opening the link changes nothing; the page posts the token back to the same URL.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} page - Page title, message and button label
+ */
+const sendConfirmPage = (req, res, page) => {
+  const { token } = req.query || {};
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ 
+      error: 'This link is incomplete. Please use the link from your email.' 
+    });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(renderConfirmPage({
+    ...page,
+    action: `${req.baseUrl}${req.path}`,
+    fields: {
+      token,
+      // A form cannot send the X-CSRF-Token header of a cookie session
+      _csrf: req.cookies?.[cookieService.CONFIG.CSRF_COOKIE]
+    }
+  }));
+};
+
+/**
+ * Start a session for an authenticated user and send the signin response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user document
+ * @param {string} method - How the user authenticated, for the audit log
+ * @param {Object} extra - Additional fields for the response body
+ */
+const completeSignin = async (req, res, user, method, extra = {}) => {
+  const result = await signinService.completeSignin(user, req, { method });
+
+  res.json(cookieService.applySessionCookies(res, {
+    ...result,
+    ...extra
+  }));
+};
+
+/**
+ * Continue after a successful first factor (password or magic link)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user document
+ * @param {string} method - How the user authenticated, for the audit log
+ */
+const finishFirstFactor = async (req, res, user, method) => {
+  const result = await signinService.completeFirstFactor(user, req, { method });
+
+  res.json(cookieService.applySessionCookies(res, result));
+};
+
 /**
  * Controller Functions
  */
@@ -173,46 +383,56 @@ exports.signup = async (req, res) => {
       });
     }
 
-    const passwordValidation = validatePassword(password);
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const passwordValidation = await passwordService.validatePassword(password, { email: normalizedEmail, name });
     if (!passwordValidation.isValid) {
-      return res.status(400).json({ 
-        error: passwordValidation.message 
-      });
+      return sendPasswordRejected(res, passwordValidation);
     }
 
     // Check if user already exists
-    const normalizedEmail = email.toLowerCase().trim();
     const existingUser = await User.findOne({ email: normalizedEmail });
     
+    if (existingUser && !existingUser.isActive) {
+      auditService.failure(req, ACTIONS.SIGNUP, 'account_deactivated', { user: existingUser });
+      const reactivationDeadline = existingUser.getReactivationDeadline();
+      return res.status(409).json({ 
+        error: reactivationDeadline
+          ? 'An account with this email exists but has been deactivated. Sign in or request a reactivation code to restore it.'
+          : 'An account with this email exists but has been deactivated. Please contact support.',
+        code: 'ACCOUNT_DEACTIVATED',
+        reactivationAvailable: !!reactivationDeadline,
+        reactivationDeadline
+      });
+    }
+
     if (existingUser) {
+      auditService.failure(req, ACTIONS.SIGNUP, 'email_taken', { user: existingUser });
       return res.status(409).json({ 
-        error: 'An account with this email already exists' 
+        error: 'An account with this email already exists',
+        code: 'EMAIL_TAKEN'
       });
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(CONFIG.BCRYPT_SALT_ROUNDS);
-    const passwordHash = await bcrypt.hash(password, salt);
-
-    // Generate verification code
-    const verificationCode = generateNumericCode();
-    const codeHash = hashCode(verificationCode);
-    const expiresAt = addMinutes(new Date(), CONFIG.CODE_EXPIRES_MIN);
+    const passwordHash = await passwordService.hashPassword(password);
 
     // Create user
     const user = new User({
       email: normalizedEmail,
       passwordHash,
+      passwordChangedAt: new Date(),
       name: name?.trim() || null,
-      emailVerified: false,
-      emailVerification: {
-        codeHash,
-        expiresAt
-      }
+      emailVerified: false
     });
 
     await user.save();
 
+    // Generate verification code
+    const { code: verificationCode } = await otpService.issueCode(user, PURPOSES.EMAIL_VERIFICATION);
+
+    auditService.success(req, ACTIONS.SIGNUP, { user });
+
     // Send verification email. If email fails in development, return the code in response
     try {
       await sendVerificationEmail(normalizedEmail, verificationCode);
@@ -271,6 +491,7 @@ exports.verifyEmail = async (req, res) => {
   const user = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
     
     if (!user) {
+      auditService.failure(req, ACTIONS.VERIFY_EMAIL, 'unknown_user', { email: normalizedEmail });
       return res.status(400).json({ 
         error: 'Invalid email or verification code' 
       });
@@ -283,33 +504,19 @@ exports.verifyEmail = async (req, res) => {
       });
     }
 
-    // Check if verification code exists
-    if (!user.emailVerification?.codeHash || !user.emailVerification?.expiresAt) {
-      return res.status(400).json({ 
-        error: 'No verification code found. Please request a new one.' 
-      });
-    }
-
-    // Check if code has expired
-    if (new Date() > new Date(user.emailVerification.expiresAt)) {
-      return res.status(400).json({ 
-        error: 'Verification code has expired. Please request a new one.' 
-      });
-    }
-
-    // Verify code
-    const codeHash = hashCode(code.trim());
-    if (codeHash !== user.emailVerification.codeHash) {
-      return res.status(400).json({ 
-        error: 'Invalid verification code' 
-      });
+    // Verify code (spends an attempt)
+    const result = await otpService.verifyCode(user, PURPOSES.EMAIL_VERIFICATION, code);
+    if (!result.valid) {
+      auditService.failure(req, ACTIONS.VERIFY_EMAIL, result.reason, { user });
+      return sendCodeRejected(res, result, 'verification');
     }
 
     // Update user
     user.emailVerified = true;
-    user.emailVerification = undefined;
     await user.save();
 
+    auditService.success(req, ACTIONS.VERIFY_EMAIL, { user });
+
     res.json({ 
       message: 'Email verified successfully! You can now sign in.' 
     });
@@ -346,59 +553,148 @@ exports.signin = async (req, res) => {
 
     // Find user
   const normalizedEmail = email.toLowerCase().trim();
-  // include the passwordHash (select explicitly) so bcrypt.compare can read it
+  // include the passwordHash (select explicitly) so it can be verified
   const user = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
     
     if (!user) {
+      auditService.failure(req, ACTIONS.SIGNIN, 'unknown_user', { email: normalizedEmail });
       return res.status(401).json({ 
         error: 'Invalid email or password' 
       });
     }
 
+    // Refuse locked accounts before looking at the password
+    if (user.isAccountLocked()) {
+      auditService.failure(req, ACTIONS.SIGNIN, 'account_locked', { user });
+      return sendAccountLocked(res, user);
+    }
+
     // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+    const isPasswordValid = await passwordService.verifyPassword(password, user.passwordHash);
     if (!isPasswordValid) {
+      await user.incrementLoginAttempts();
+
+      auditService.failure(req, ACTIONS.SIGNIN, 'invalid_password', {
+        user,
+        metadata: { locked: user.isAccountLocked() }
+      });
+
+      // This attempt triggered the lock: notify the owner
+      if (user.isAccountLocked()) {
+        await issueUnlockCode(user);
+        return sendAccountLocked(res, user);
+      }
+
       return res.status(401).json({ 
         error: 'Invalid email or password' 
       });
     }
 
+    // Hashes made with older settings or imported from another system are upgraded now
+    await passwordService.upgradePasswordHash(user, password);
+
+    // Deactivated account: the password is right, so offer to restore it
+    if (!user.isActive) {
+      auditService.failure(req, ACTIONS.SIGNIN, 'account_deactivated', { user });
+
+      const reactivationDeadline = user.getReactivationDeadline();
+      if (reactivationDeadline) {
+        await issueReactivationCode(user, reactivationDeadline);
+      }
+
+      return sendAccountDeactivated(res, user, { reactivationCodeSent: !!reactivationDeadline });
+    }
+
     // Check email verification
     if (!user.emailVerified) {
+      auditService.failure(req, ACTIONS.SIGNIN, 'email_not_verified', { user });
       return res.status(403).json({ 
         error: 'Please verify your email before signing in' 
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        email: user.email 
-      }, 
-      process.env.JWT_SECRET, 
-      { 
-        expiresIn: CONFIG.JWT_EXPIRES_IN 
-      }
-    );
+    await finishFirstFactor(req, res, user, 'password');
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+  } catch (error) {
+    console.error('Sign in error:', error);
+    res.status(500).json({ 
+      error: 'Failed to sign in. Please try again.' 
+    });
+  }
+};
 
-    res.json({
-      message: 'Signed in successfully',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        emailVerified: user.emailVerified
+/**
+ * Complete Sign In with a Second Factor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.signinMfa = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    // Input validation
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ 
+        error: 'Challenge token and an authentication or recovery code are required' 
+      });
+    }
+
+    const payload = tokenService.verifyPurposeToken(challengeToken, 'mfa');
+
+    const user = await User.findById(payload.id).select(mfaService.SECRET_FIELDS);
+
+    if (!user || !user.mfa?.enabled) {
+      return res.status(401).json({ 
+        error: 'Invalid or expired token. Please sign in again.' 
+      });
+    }
+
+    if (user.isAccountLocked()) {
+      auditService.failure(req, ACTIONS.SIGNIN, 'account_locked', { user });
+      return sendAccountLocked(res, user);
+    }
+
+    // A recovery code replaces the authenticator app when the phone is lost
+    const isCodeValid = recoveryCode
+      ? await mfaService.consumeRecoveryCode(user, String(recoveryCode))
+      : await mfaService.verifyTotpCode(user, String(code));
+
+    // Wrong codes count towards the account lockout like wrong passwords
+    if (!isCodeValid) {
+      await user.incrementLoginAttempts();
+
+      auditService.failure(req, ACTIONS.SIGNIN, recoveryCode ? 'invalid_recovery_code' : 'invalid_mfa_code', {
+        user,
+        metadata: { locked: user.isAccountLocked() }
+      });
+
+      if (user.isAccountLocked()) {
+        await issueUnlockCode(user);
+        return sendAccountLocked(res, user);
       }
-    });
+
+      return res.status(401).json({ 
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' 
+      });
+    }
+
+    if (recoveryCode) {
+      const updatedUser = await User.findById(user._id).select('+mfa.recoveryCodes');
+      return completeSignin(req, res, user, 'recovery_code', {
+        recoveryCodesRemaining: updatedUser.getRecoveryCodesRemaining()
+      });
+    }
+
+    await completeSignin(req, res, user, 'totp');
 
   } catch (error) {
-    console.error('Sign in error:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ 
+        error: error.message 
+      });
+    }
+
+    console.error('MFA sign in error:', error);
     res.status(500).json({ 
       error: 'Failed to sign in. Please try again.' 
     });
@@ -444,17 +740,8 @@ exports.resendVerification = async (req, res) => {
       });
     }
 
-    // Generate new verification code
-    const verificationCode = generateNumericCode();
-    const codeHash = hashCode(verificationCode);
-    const expiresAt = addMinutes(new Date(), CONFIG.CODE_EXPIRES_MIN);
-
-    // Update user
-    user.emailVerification = {
-      codeHash,
-      expiresAt
-    };
-    await user.save();
+    // Generate new verification code (the previous one stops working)
+    const { code: verificationCode } = await otpService.issueCode(user, PURPOSES.EMAIL_VERIFICATION);
 
     // Send verification email
     await sendVerificationEmail(normalizedEmail, verificationCode);
@@ -500,28 +787,14 @@ exports.forgotPassword = async (req, res) => {
     const successMessage = 'If an account with this email exists, a password reset code has been sent.';
 
     if (!user) {
+      auditService.failure(req, ACTIONS.FORGOT_PASSWORD, 'unknown_user', { email: normalizedEmail });
       return res.status(200).json({ message: successMessage });
     }
 
-    // Generate reset code
-    const resetCode = generateNumericCode();
-    const codeHash = hashCode(resetCode);
-    const expiresAt = addMinutes(new Date(), CONFIG.CODE_EXPIRES_MIN);
-
-    // Update user with reset code
-    user.passwordReset = {
-      codeHash,
-      expiresAt
-    };
-    await user.save();
-
-    // Send reset email
-    await sendResetEmail(normalizedEmail, resetCode);
+    // Generate, store and email a reset code
+    await passwordService.startPasswordReset(user);
 
-    // Log for development (remove in production)
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`🔑 Password reset code for ${normalizedEmail}: ${resetCode}`);
-    }
+    auditService.success(req, ACTIONS.FORGOT_PASSWORD, { user });
 
     res.status(200).json({ message: successMessage });
 
@@ -555,46 +828,49 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
-    const passwordValidation = validatePassword(newPassword);
-    if (!passwordValidation.isValid) {
-      return res.status(400).json({ 
-        error: passwordValidation.message 
-      });
-    }
-
     // Find user
     const normalizedEmail = email.toLowerCase().trim();
-    const user = await User.findOne({ email: normalizedEmail });
+    const user = await User.findOne({ email: normalizedEmail }).select('+passwordHash +passwordHistory');
     
-    if (!user || !user.passwordReset?.codeHash) {
+    if (!user) {
+      auditService.failure(req, ACTIONS.RESET_PASSWORD, 'unknown_user', { email: normalizedEmail });
       return res.status(400).json({ 
         error: 'Invalid reset request' 
       });
     }
 
-    // Check if code has expired
-    if (new Date() > new Date(user.passwordReset.expiresAt)) {
-      return res.status(400).json({ 
-        error: 'Reset code has expired. Please request a new one.' 
-      });
+    // Check the new password before spending an attempt on the code
+    const passwordValidation = await passwordService.validatePassword(newPassword, user);
+    if (!passwordValidation.isValid) {
+      return sendPasswordRejected(res, passwordValidation);
+    }
+
+    // Verify reset code (spends an attempt). The code stays valid until the
+    // reset succeeds, so a reused password can be corrected without a new code
+    const result = await otpService.verifyCode(user, PURPOSES.PASSWORD_RESET, code, { spend: false });
+    if (!result.valid) {
+      auditService.failure(req, ACTIONS.RESET_PASSWORD, result.reason, { user });
+      return sendCodeRejected(res, result, 'reset');
     }
 
-    // Verify reset code
-    const codeHash = hashCode(code.trim());
-    if (codeHash !== user.passwordReset.codeHash) {
+    // Only checked once the code is right: it tells whether a password was used before
+    if (await passwordService.isPasswordReused(user, newPassword)) {
+      auditService.failure(req, ACTIONS.RESET_PASSWORD, 'password_reused', { user });
       return res.status(400).json({ 
-        error: 'Invalid reset code' 
+        error: passwordService.getReuseMessage(),
+        code: 'PASSWORD_REUSED'
       });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(CONFIG.BCRYPT_SALT_ROUNDS);
-    const newPasswordHash = await bcrypt.hash(newPassword, salt);
-
     // Update user
-    user.passwordHash = newPasswordHash;
-    user.passwordReset = undefined;
+    await passwordService.setPassword(user, newPassword);
     await user.save();
+    await otpService.revokeCodes(user, PURPOSES.PASSWORD_RESET);
+
+    // Whoever knew the old password must not stay signed in
+    const sessionsRevoked = await passwordService.revokeAccess(user);
+
+    auditService.success(req, ACTIONS.RESET_PASSWORD, { user, metadata: { sessionsRevoked } });
 
     res.json({ 
       message: 'Password has been reset successfully. Please sign in with your new password.' 
@@ -609,32 +885,740 @@ exports.resetPassword = async (req, res) => {
 };
 
 /**
- * Logout User
+ * Set a New Password Required at Sign In
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.logout = async (req, res) => {
+exports.signinPasswordChange = async (req, res) => {
   try {
-    // For JWT-based authentication, logout is handled client-side
-    // by removing the token from storage. Server acknowledges the logout.
-    res.json({ 
-      message: 'Logged out successfully' 
-    });
-  } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({ 
-      error: 'Failed to logout. Please try again.' 
-    });
-  }
-};
+    const { changeToken, newPassword } = req.body || {};
 
-/**
- * Development Only Functions
- * These should be removed or disabled in production
- */
+    // Input validation
+    if (!changeToken || !newPassword) {
+      return res.status(400).json({ 
+        error: 'Change token and new password are required' 
+      });
+    }
 
-/**
- * DEV: Force Email Verification (Development Only)
+    const payload = tokenService.verifyPurposeToken(changeToken, 'password_change');
+
+    const user = await User.findById(payload.id).select('+passwordHash +passwordHistory');
+
+    // The token is spent once the password has been changed
+    if (!user || !user.isActive || !user.getPasswordChangeReason()) {
+      return res.status(401).json({ 
+        error: 'Invalid or expired token. Please sign in again.' 
+      });
+    }
+
+    const passwordValidation = await passwordService.validatePassword(newPassword, user);
+    if (!passwordValidation.isValid) {
+      return sendPasswordRejected(res, passwordValidation);
+    }
+
+    if (await passwordService.isPasswordReused(user, newPassword)) {
+      auditService.failure(req, ACTIONS.PASSWORD_CHANGE, 'password_reused', { user });
+      return res.status(400).json({ 
+        error: passwordService.getReuseMessage(),
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    const reason = user.getPasswordChangeReason();
+    await passwordService.changePassword(user, newPassword);
+
+    auditService.success(req, ACTIONS.PASSWORD_CHANGE, { user, metadata: { reason } });
+
+    // The change token is only issued after two-factor authentication
+    await completeSignin(req, res, user, payload.method || 'password');
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ 
+        error: error.message 
+      });
+    }
+
+    console.error('Password change sign in error:', error);
+    res.status(500).json({ 
+      error: 'Failed to change password. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Request Account Unlock Code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.requestUnlock = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Input validation
+    if (!email) {
+      return res.status(400).json({ 
+        error: 'Email is required' 
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ 
+        error: 'Please provide a valid email address' 
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const user = await User.findOne({ email: normalizedEmail });
+
+    // Always return success message for security (don't reveal if user exists or is locked)
+    const successMessage = 'If this account is locked, an unlock code has been sent.';
+
+    if (!user || !user.isAccountLocked()) {
+      return res.status(200).json({ message: successMessage });
+    }
+
+    await issueUnlockCode(user);
+
+    res.status(200).json({ message: successMessage });
+
+  } catch (error) {
+    console.error('Request unlock error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process unlock request. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Unlock Account with Code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { email, code } = req.body;
+
+    // Input validation
+    if (!email || !code) {
+      return res.status(400).json({ 
+        error: 'Email and unlock code are required' 
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ 
+        error: 'Please provide a valid email address' 
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const user = await User.findOne({ email: normalizedEmail });
+
+    if (!user) {
+      auditService.failure(req, ACTIONS.ACCOUNT_UNLOCK, 'unknown_user', { email: normalizedEmail });
+      return res.status(400).json({ 
+        error: 'Invalid unlock request' 
+      });
+    }
+
+    // Verify unlock code (spends an attempt)
+    const result = await otpService.verifyCode(user, PURPOSES.ACCOUNT_UNLOCK, code);
+    if (!result.valid) {
+      auditService.failure(req, ACTIONS.ACCOUNT_UNLOCK, result.reason, { user });
+      return sendCodeRejected(res, result, 'unlock');
+    }
+
+    // Clear the lock without touching lastLogin
+    await user.resetLoginAttempts({ recordLogin: false });
+
+    auditService.success(req, ACTIONS.ACCOUNT_UNLOCK, { user });
+
+    res.json({ 
+      message: 'Your account has been unlocked. You can now sign in.' 
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ 
+      error: 'Failed to unlock account. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Request Account Reactivation Code
+ * Unlike most public endpoints this one says whether the account exists, so
+ * a stuck user can tell "deactivated" from "unknown" (signup already reveals it).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.requestReactivation = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Input validation
+    if (!email) {
+      return res.status(400).json({ 
+        error: 'Email is required' 
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ 
+        error: 'Please provide a valid email address' 
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const user = await User.findOne({ email: normalizedEmail });
+
+    if (!user) {
+      auditService.failure(req, ACTIONS.ACCOUNT_REACTIVATE, 'unknown_user', { email: normalizedEmail });
+      return res.status(404).json({ 
+        error: 'No account found with this email',
+        code: 'ACCOUNT_NOT_FOUND'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ 
+        error: 'This account is already active',
+        code: 'ACCOUNT_ACTIVE'
+      });
+    }
+
+    const reactivationDeadline = user.getReactivationDeadline();
+
+    if (!reactivationDeadline) {
+      auditService.failure(req, ACTIONS.ACCOUNT_REACTIVATE, 'reactivation_unavailable', { user });
+      return res.status(403).json({ 
+        error: user.deactivatedBy === 'admin'
+          ? 'This account was deactivated by an administrator. Please contact support.'
+          : 'The reactivation period for this account has ended. Please contact support.',
+        code: 'REACTIVATION_UNAVAILABLE'
+      });
+    }
+
+    await issueReactivationCode(user, reactivationDeadline);
+
+    res.status(200).json({ 
+      message: 'A reactivation code has been sent to your email.',
+      reactivationDeadline
+    });
+
+  } catch (error) {
+    console.error('Request reactivation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process reactivation request. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Reactivate a Deactivated Account with Code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.confirmReactivation = async (req, res) => {
+  try {
+    const { email, code } = req.body;
+
+    // Input validation
+    if (!email || !code) {
+      return res.status(400).json({ 
+        error: 'Email and reactivation code are required' 
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ 
+        error: 'Please provide a valid email address' 
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const user = await User.findOne({ email: normalizedEmail });
+
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'No account found with this email',
+        code: 'ACCOUNT_NOT_FOUND'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ 
+        error: 'This account is already active',
+        code: 'ACCOUNT_ACTIVE'
+      });
+    }
+
+    if (!user.getReactivationDeadline()) {
+      return res.status(403).json({ 
+        error: 'This account can no longer be reactivated. Please contact support.',
+        code: 'REACTIVATION_UNAVAILABLE'
+      });
+    }
+
+    // Verify reactivation code (spends an attempt)
+    const result = await otpService.verifyCode(user, PURPOSES.ACCOUNT_REACTIVATION, code);
+    if (!result.valid) {
+      auditService.failure(req, ACTIONS.ACCOUNT_REACTIVATE, result.reason, { user });
+      return sendCodeRejected(res, result, 'reactivation');
+    }
+
+    // The code reached the inbox, so the address is proven as well
+    user.emailVerified = true;
+    await user.reactivate();
+
+    auditService.success(req, ACTIONS.ACCOUNT_REACTIVATE, { user });
+
+    res.json({ 
+      message: 'Your account has been reactivated. You can now sign in.' 
+    });
+
+  } catch (error) {
+    console.error('Confirm reactivation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reactivate account. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Request Magic Sign In Link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Input validation
+    if (!email) {
+      return res.status(400).json({ 
+        error: 'Email is required' 
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ 
+        error: 'Please provide a valid email address' 
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const user = await User.findOne({ email: normalizedEmail });
+
+    // Always return success message for security (don't reveal if user exists)
+    const successMessage = 'If this email can sign in, a sign in link has been sent.';
+
+    const isNewAccount = !user;
+    if ((isNewAccount && !CONFIG.MAGIC_LINK_SIGNUP) || (user && !user.isActive)) {
+      return res.status(200).json({ message: successMessage });
+    }
+
+    // Generate single-use link token
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await MagicLink.create({
+      email: normalizedEmail,
+      tokenHash: hashToken(token),
+      expiresAt: addMinutes(new Date(), CONFIG.MAGIC_LINK_EXPIRES_MIN),
+      requestedIp: req.ip || null
+    });
+
+    const link = `${CONFIG.MAGIC_LINK_URL}?token=${encodeURIComponent(token)}`;
+
+    try {
+      await sendMagicLinkEmail(normalizedEmail, link, isNewAccount);
+    } catch (mailError) {
+      console.error('Email send error for magic link:', mailError.message || mailError);
+      if (process.env.NODE_ENV === 'production') {
+        throw mailError;
+      }
+    }
+
+    // Log for development (remove in production)
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`🔗 Magic link for ${normalizedEmail}: ${link}`);
+    }
+
+    res.status(200).json({ message: successMessage });
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send sign in link. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Show the Confirmation Page of a Magic Sign In Link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.confirmMagicLink = (req, res) => {
+  sendConfirmPage(req, res, {
+    title: 'Sign In',
+    message: 'Continue to sign in with the link from your email.',
+    button: 'Sign in'
+  });
+};
+
+/**
+ * Consume Magic Sign In Link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.consumeMagicLink = async (req, res) => {
+  try {
+    const token = req.body?.token;
+
+    // Input validation
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ 
+        error: 'Sign in token is required' 
+      });
+    }
+
+    const link = await MagicLink.consume(hashToken(token.trim()));
+
+    if (!link) {
+      return res.status(400).json({ 
+        error: 'This sign in link is invalid or has expired. Please request a new one.' 
+      });
+    }
+
+    let user = await User.findOne({ email: link.email });
+
+    if (!user) {
+      if (!CONFIG.MAGIC_LINK_SIGNUP) {
+        return res.status(400).json({ 
+          error: 'This sign in link is invalid or has expired. Please request a new one.' 
+        });
+      }
+
+      // Passwordless account: store an unusable random password hash
+      const passwordHash = await passwordService.hashPassword(crypto.randomBytes(32).toString('hex'));
+
+      try {
+        user = await User.create({
+          email: link.email,
+          passwordHash,
+          emailVerified: true
+        });
+      } catch (createError) {
+        // Another link for the same address created the account first
+        if (createError.code !== 11000) {
+          throw createError;
+        }
+        user = await User.findOne({ email: link.email });
+      }
+    }
+
+    if (!user.isActive) {
+      return sendAccountDeactivated(res, user);
+    }
+
+    if (user.isAccountLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Following the link proves ownership of the address. Anyone could have registered
+    // an unverified account with it, so the password and sessions set up meanwhile are dropped.
+    if (!user.emailVerified) {
+      user.passwordHash = await passwordService.hashPassword(crypto.randomBytes(32).toString('hex'));
+      user.emailVerified = true;
+      await user.save();
+      await passwordService.revokeAccess(user);
+      await otpService.revokeCodes(user, PURPOSES.EMAIL_VERIFICATION);
+    }
+
+    await finishFirstFactor(req, res, user, 'magic_link');
+
+  } catch (error) {
+    console.error('Magic link consume error:', error);
+    res.status(500).json({ 
+      error: 'Failed to sign in. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Show the Confirmation Page of a "This Wasn't Me" Link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.confirmReportSignin = (req, res) => {
+  sendConfirmPage(req, res, {
+    title: 'Report Sign In',
+    message: 'Report this sign in to sign your account out everywhere. You will need to choose a new password before signing in again.',
+    button: 'This wasn\'t me'
+  });
+};
+
+/**
+ * Report an Unrecognised Sign In ("this wasn't me" link from the new device alert)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reportSignin = async (req, res) => {
+  try {
+    const token = req.body?.token;
+
+    // Input validation
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ 
+        error: 'Report token is required' 
+      });
+    }
+
+    const { sessionsRevoked } = await deviceService.reportSignin(token.trim(), req);
+
+    res.json({ 
+      message: 'Thanks for letting us know. Your account has been signed out everywhere and a password reset code has been sent to your email.',
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ 
+        error: error.message 
+      });
+    }
+
+    console.error('Sign in report error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process your report. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Show the Confirmation Page of an Email Change Cancel Link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.confirmCancelEmailChange = (req, res) => {
+  sendConfirmPage(req, res, {
+    title: 'Cancel Email Change',
+    message: 'Cancel the change of your account\'s email address. If it was already confirmed, this address is restored and your account is signed out everywhere.',
+    button: 'Cancel the change'
+  });
+};
+
+/**
+ * Cancel an Email Change (link sent to the old address)
+ * Undoes the change if it was already confirmed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.cancelEmailChange = async (req, res) => {
+  try {
+    const token = req.body?.token;
+
+    // Input validation
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ 
+        error: 'Cancel token is required' 
+      });
+    }
+
+    const { change, reverted, sessionsRevoked } = await emailChangeService.cancelByOldAddress(token.trim());
+
+    auditService.success(req, ACTIONS.EMAIL_CHANGE_CANCEL, {
+      user: change.user,
+      email: change.oldEmail,
+      metadata: { newEmail: change.newEmail, cancelledBy: 'old_address', reverted }
+    });
+
+    if (reverted) {
+      return res.json({ 
+        message: 'The email change has been undone. Your account has been signed out everywhere and a password reset code has been sent to this address.',
+        reverted,
+        sessionsRevoked
+      });
+    }
+
+    res.json({ 
+      message: 'The email change has been cancelled.',
+      reverted
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ 
+        error: error.message 
+      });
+    }
+
+    console.error('Email change cancel error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel the email change. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Show the Confirmation Page of an Erasure Cancel Link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.confirmCancelErasure = (req, res) => {
+  sendConfirmPage(req, res, {
+    title: 'Keep Your Account',
+    message: 'Cancel the scheduled deletion of your account and reactivate it.',
+    button: 'Keep my account'
+  });
+};
+
+/**
+ * Cancel a Scheduled Account Erasure (link from the confirmation email)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.cancelErasure = async (req, res) => {
+  try {
+    const token = req.body?.token;
+
+    // Input validation
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ 
+        error: 'Cancel token is required' 
+      });
+    }
+
+    const user = await privacyService.cancelErasure(token.trim());
+
+    auditService.success(req, ACTIONS.ERASURE_CANCEL, { user });
+
+    res.json({ 
+      message: 'Your account has been restored. You can sign in again.' 
+    });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ 
+        error: error.message 
+      });
+    }
+
+    console.error('Erasure cancel error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore your account. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Get the CSRF Token of the Cookie Session
+ * Returns the current token, or issues one if the cookie is missing.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCsrfToken = (req, res) => {
+  if (!cookieService.CONFIG.ENABLED) {
+    return res.status(404).json({ 
+      error: 'Cookie sessions are not enabled' 
+    });
+  }
+
+  const csrfToken = req.cookies?.[cookieService.CONFIG.CSRF_COOKIE] || cookieService.issueCsrfToken(res);
+
+  res.json({ 
+    csrfToken 
+  });
+};
+
+/**
+ * Refresh Access Token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const refreshToken = cookieService.getRefreshToken(req);
+
+    // Input validation
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        error: 'Refresh token is required' 
+      });
+    }
+
+    // Rotate the refresh token (revokes the family on reuse)
+    const { token, refreshToken: newRefreshToken } = await tokenService.rotateRefreshToken(refreshToken, req);
+
+    res.json(cookieService.applySessionCookies(res, {
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken: newRefreshToken,
+      expiresIn: tokenService.CONFIG.JWT_EXPIRES_IN
+    }));
+
+  } catch (error) {
+    if (error.isOperational) {
+      // A revoked or expired refresh cookie is of no further use
+      if (error.statusCode === 401) {
+        cookieService.clearSessionCookies(res);
+      }
+
+      return res.status(error.statusCode).json({ 
+        error: error.message 
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to refresh token. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Logout User
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.logout = async (req, res) => {
+  try {
+    const refreshToken = cookieService.getRefreshToken(req);
+
+    // Revoke the session of the presented access token, if any
+    if (req.user?.impersonator) {
+      await impersonationService.stopImpersonationBySession(req.user.sessionId, 'logout');
+    } else if (req.user?.sessionId) {
+      await sessionService.revokeSession(req.user.sessionId);
+    }
+
+    // Revoke the refresh token family so it can no longer mint access tokens
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken);
+    }
+
+    cookieService.clearSessionCookies(res);
+
+    res.json({ 
+      message: 'Logged out successfully' 
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      error: 'Failed to logout. Please try again.' 
+    });
+  }
+};
+
+/**
+ * Development Only Functions
+ * These should be removed or disabled in production
+ */
+
+/**
+ * DEV: Force Email Verification (Development Only)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -663,8 +1647,8 @@ exports.devVerifyEmail = async (req, res) => {
     }
 
     user.emailVerified = true;
-    user.emailVerification = undefined;
     await user.save();
+    await otpService.revokeCodes(user, PURPOSES.EMAIL_VERIFICATION);
 
     res.json({ 
       message: 'Email verified successfully (development mode)' 
@@ -698,15 +1682,8 @@ exports.devResetPassword = async (req, res) => {
       });
     }
 
-    const passwordValidation = validatePassword(newPassword);
-    if (!passwordValidation.isValid) {
-      return res.status(400).json({ 
-        error: passwordValidation.message 
-      });
-    }
-
     const normalizedEmail = email.toLowerCase().trim();
-    const user = await User.findOne({ email: normalizedEmail });
+    const user = await User.findOne({ email: normalizedEmail }).select('+passwordHash +passwordHistory');
     
     if (!user) {
       return res.status(404).json({ 
@@ -714,9 +1691,21 @@ exports.devResetPassword = async (req, res) => {
       });
     }
 
-    const salt = await bcrypt.genSalt(CONFIG.BCRYPT_SALT_ROUNDS);
-    user.passwordHash = await bcrypt.hash(newPassword, salt);
+    const passwordValidation = await passwordService.validatePassword(newPassword, user);
+    if (!passwordValidation.isValid) {
+      return sendPasswordRejected(res, passwordValidation);
+    }
+
+    if (await passwordService.isPasswordReused(user, newPassword)) {
+      return res.status(400).json({ 
+        error: passwordService.getReuseMessage(),
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    await passwordService.setPassword(user, newPassword);
     await user.save();
+    await passwordService.revokeAccess(user);
 
     res.json({ 
       message: 'Password updated successfully (development mode)' 
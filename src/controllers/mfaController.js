@@ -0,0 +1,181 @@
+/**
+ * MFA Controller
+ * Handles authenticator-app enrollment and removal for signed-in users
+ */
+
+const mfaService = require('../services/mfaService');
+const passwordService = require('../services/passwordService');
+const auditService = require('../services/auditService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Controller Functions
+ */
+
+/**
+ * Get two-factor authentication status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getStatus = async (req, res, next) => {
+  try {
+    const user = await mfaService.findUserWithSecrets(req.user.id);
+
+    res.json({
+      success: true,
+      mfa: {
+        enabled: !!user.mfa?.enabled,
+        enabledAt: user.mfa?.enabledAt || null,
+        enrollmentPending: !user.mfa?.enabled && !!user.mfa?.pendingTotpSecret,
+        recoveryCodesRemaining: user.getRecoveryCodesRemaining()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start TOTP enrollment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.enrollTotp = async (req, res, next) => {
+  try {
+    const user = await mfaService.findUserWithSecrets(req.user.id);
+
+    const { secret, otpauthUri } = await mfaService.startTotpEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm TOTP enrollment with the first code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.confirmTotp = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return next(new AppError('Authentication code is required', 400));
+    }
+
+    const user = await mfaService.findUserWithSecrets(req.user.id);
+
+    const recoveryCodes = await mfaService.confirmTotpEnrollment(user, String(code));
+
+    auditService.success(req, auditService.ACTIONS.MFA_ENABLE, { user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication has been enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable TOTP after re-entering the password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.disableTotp = async (req, res, next) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return next(new AppError('Password is required', 400));
+    }
+
+    const user = await mfaService.findUserWithSecrets(req.user.id, '+passwordHash');
+
+    const isPasswordValid = await passwordService.verifyPassword(password, user.passwordHash);
+
+    if (!isPasswordValid) {
+      auditService.failure(req, auditService.ACTIONS.MFA_DISABLE, 'invalid_password', { user });
+      return next(new AppError('Incorrect password', 400));
+    }
+
+    if (!user.mfa?.enabled && !user.mfa?.pendingTotpSecret) {
+      return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    const wasEnabled = !!user.mfa?.enabled;
+
+    await mfaService.disableMfa(user);
+
+    // Cancelling an enrollment that was never confirmed is not worth an event
+    if (wasEnabled) {
+      auditService.success(req, auditService.ACTIONS.MFA_DISABLE, { user });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication has been disabled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Regenerate recovery codes after re-entering the password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return next(new AppError('Password is required', 400));
+    }
+
+    const user = await mfaService.findUserWithSecrets(req.user.id, '+passwordHash');
+
+    const isPasswordValid = await passwordService.verifyPassword(password, user.passwordHash);
+
+    if (!isPasswordValid) {
+      auditService.failure(req, auditService.ACTIONS.RECOVERY_CODES_REGENERATE, 'invalid_password', { user });
+      return next(new AppError('Incorrect password', 400));
+    }
+
+    if (!user.mfa?.enabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(user);
+
+    auditService.success(req, auditService.ACTIONS.RECOVERY_CODES_REGENERATE, { user });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Your previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
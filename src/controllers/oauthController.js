@@ -0,0 +1,134 @@
+/**
+ * OAuth Controller
+ * Handles "Sign in with ..." redirects and callbacks for external identity providers
+ */
+
+const oauthService = require('../services/oauthService');
+const signinService = require('../services/signinService');
+const cookieService = require('../services/cookieService');
+const { getProvider, listProviders } = require('../config/oauth');
+const { AppError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  // Optional frontend page that receives the result in the URL fragment
+  SUCCESS_REDIRECT: process.env.OAUTH_SUCCESS_REDIRECT || null
+};
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Look up the provider named in the route
+ * @param {Object} req - Express request object
+ * @returns {Object} Provider configuration
+ * @throws {AppError} If the provider is not configured
+ */
+const requireProvider = (req) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    throw new AppError('Sign in provider not found', 404);
+  }
+
+  return provider;
+};
+
+/**
+ * Send the frontend to SUCCESS_REDIRECT with the result in the URL fragment
+ * The fragment never reaches server logs or Referer headers.
+ * @param {Object} res - Express response object
+ * @param {Object} result - Flat key/value result
+ */
+const redirectWithResult = (res, result) => {
+  const fragment = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(result)) {
+    if (value !== undefined && value !== null && typeof value !== 'object') {
+      fragment.set(key, String(value));
+    }
+  }
+
+  res.redirect(302, `${CONFIG.SUCCESS_REDIRECT}#${fragment.toString()}`);
+};
+
+/**
+ * Controller Functions
+ */
+
+/**
+ * List configured providers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listProviders = (req, res) => {
+  res.json({
+    success: true,
+    providers: listProviders()
+  });
+};
+
+/**
+ * Redirect to the provider's authorization endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.authorize = async (req, res, next) => {
+  try {
+    const provider = requireProvider(req);
+
+    const { url, state, expiresAt } = await oauthService.createAuthorizationUrl(provider);
+
+    cookieService.setOAuthStateCookie(res, state, expiresAt);
+
+    res.redirect(302, url);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handle the provider callback and sign the user in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.callback = async (req, res, next) => {
+  try {
+    const provider = requireProvider(req);
+
+    const browserState = cookieService.takeOAuthStateCookie(req, res);
+
+    const profile = await oauthService.handleCallback(provider, req.query, browserState);
+    const user = await oauthService.resolveUser(provider, profile);
+
+    if (!user.isActive) {
+      throw new AppError('Account has been deactivated', 403);
+    }
+
+    if (user.isAccountLocked()) {
+      throw new AppError('Account is temporarily locked due to too many failed sign in attempts', 423);
+    }
+
+    const result = cookieService.applySessionCookies(
+      res,
+      await signinService.completeFirstFactor(user, req, { method: `oauth:${provider.name}` })
+    );
+
+    if (CONFIG.SUCCESS_REDIRECT) {
+      return redirectWithResult(res, result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    if (CONFIG.SUCCESS_REDIRECT && error.isOperational) {
+      return redirectWithResult(res, { error: error.message });
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * OIDC Controller
+ * OpenID Connect provider endpoints for registered client applications
+ */
+
+const User = require('../models/User');
+const oidcService = require('../services/oidcService');
+const keyService = require('../services/keyService');
+const { AppError, OAuthError } = require('../middleware/errorHandler');
+
+/**
+ * Controller Functions
+ */
+
+/**
+ * OpenID Provider metadata
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.discovery = (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(oidcService.getDiscoveryDocument());
+};
+
+/**
+ * Public signing keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.jwks = (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(keyService.getJwks());
+};
+
+/**
+ * Validate an authorization request and hand it to the consent page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.authorize = async (req, res, next) => {
+  try {
+    const request = await oidcService.validateAuthorizationRequest(req.query);
+
+    if (request.errorRedirect) {
+      return res.redirect(302, request.errorRedirect);
+    }
+
+    const consentUrl = new URL(oidcService.CONFIG.CONSENT_URL);
+    consentUrl.searchParams.set('request', oidcService.createRequestToken(request));
+
+    res.redirect(302, consentUrl.toString());
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Describe a pending authorization request for the consent page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.authorizationDetails = async (req, res, next) => {
+  try {
+    if (!req.query.request) {
+      throw new AppError('Authorization request is required', 400);
+    }
+
+    const details = await oidcService.getAuthorizationDetails(req.query.request, req.user.id);
+
+    res.json({
+      success: true,
+      ...details
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or deny a pending authorization request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.decide = async (req, res, next) => {
+  try {
+    const { request, approve } = req.body || {};
+
+    if (!request || typeof approve !== 'boolean') {
+      throw new AppError('Authorization request and approve (boolean) are required', 400);
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.isActive) {
+      throw new AppError('User not found', 404);
+    }
+
+    const redirectTo = await oidcService.decideAuthorization(request, user, approve);
+
+    res.json({
+      success: true,
+      redirectTo
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Token endpoint (authorization_code and refresh_token grants)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.token = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const client = await oidcService.authenticateClient(req);
+
+    let result;
+
+    if (body.grant_type === 'authorization_code') {
+      result = await oidcService.exchangeAuthorizationCode(client, body);
+    } else if (body.grant_type === 'refresh_token') {
+      result = await oidcService.exchangeRefreshToken(client, body);
+    } else {
+      throw new OAuthError('unsupported_grant_type', 'Only authorization_code and refresh_token grants are supported');
+    }
+
+    res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UserInfo endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.userinfo = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      throw new OAuthError('invalid_token', 'Bearer access token is required', 401);
+    }
+
+    const claims = await oidcService.getUserInfo(authHeader.slice(7));
+
+    res.set('Cache-Control', 'no-store');
+    res.json(claims);
+
+  } catch (error) {
+    next(error);
+  }
+};
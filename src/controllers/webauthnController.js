@@ -0,0 +1,259 @@
+/**
+ * WebAuthn Controller
+ * Handles passkey registration, passkey sign in and credential management
+ */
+
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const webauthnService = require('../services/webauthnService');
+const signinService = require('../services/signinService');
+const cookieService = require('../services/cookieService');
+const auditService = require('../services/auditService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Find a credential owned by the current user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Credential document
+ * @throws {AppError} If no such credential exists for the user
+ */
+const findOwnCredential = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new AppError('Passkey not found', 404);
+  }
+
+  const credential = await WebAuthnCredential.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!credential) {
+    throw new AppError('Passkey not found', 404);
+  }
+
+  return credential;
+};
+
+/**
+ * Registration Functions
+ */
+
+/**
+ * Get registration options for a new passkey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.registrationOptions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const options = await webauthnService.createRegistrationOptions(user);
+
+    res.json({
+      success: true,
+      options
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify a registration response and store the passkey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.registrationVerify = async (req, res, next) => {
+  try {
+    const { credential, name } = req.body || {};
+
+    if (!credential?.response) {
+      return next(new AppError('Registration response is required', 400));
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const stored = await webauthnService.verifyRegistration(user, credential, name);
+
+    auditService.success(req, auditService.ACTIONS.PASSKEY_ADD, {
+      user,
+      metadata: { credentialId: String(stored._id), name: stored.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      credential: stored.toSafeObject()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authentication Functions
+ */
+
+/**
+ * Get authentication options for passkey sign in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.authenticationOptions = async (req, res, next) => {
+  try {
+    const { email } = req.body || {};
+
+    const options = await webauthnService.createAuthenticationOptions(
+      typeof email === 'string' && email ? email : null
+    );
+
+    res.json({
+      success: true,
+      options
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify an authentication response and sign the user in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.authenticationVerify = async (req, res, next) => {
+  try {
+    const { credential } = req.body || {};
+
+    if (!credential?.id || !credential?.response) {
+      return next(new AppError('Authentication response is required', 400));
+    }
+
+    const { user, userVerified } = await webauthnService.verifyAuthentication(credential);
+
+    if (!user.isActive) {
+      return next(new AppError('Account has been deactivated', 403));
+    }
+
+    if (!user.emailVerified) {
+      return next(new AppError('Please verify your email before signing in', 403));
+    }
+
+    if (user.isAccountLocked()) {
+      return next(new AppError('Account is temporarily locked due to too many failed sign in attempts', 423));
+    }
+
+    // Without user verification the passkey is only "something you have"
+    const result = userVerified
+      ? await signinService.completeSignin(user, req, { method: 'passkey' })
+      : await signinService.completeFirstFactor(user, req, { method: 'passkey' });
+
+    res.json(cookieService.applySessionCookies(res, result));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Credential Management Functions
+ */
+
+/**
+ * List the current user's passkeys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listCredentials = async (req, res, next) => {
+  try {
+    const credentials = await WebAuthnCredential.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      credentials: credentials.map(credential => credential.toSafeObject())
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a passkey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.renameCredential = async (req, res, next) => {
+  try {
+    const { name } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return next(new AppError('Name is required', 400));
+    }
+
+    const credential = await findOwnCredential(req);
+
+    credential.name = name.trim();
+    await credential.save();
+
+    res.json({
+      success: true,
+      message: 'Passkey renamed successfully',
+      credential: credential.toSafeObject()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a passkey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.deleteCredential = async (req, res, next) => {
+  try {
+    const credential = await findOwnCredential(req);
+
+    await credential.deleteOne();
+
+    auditService.success(req, auditService.ACTIONS.PASSKEY_REMOVE, {
+      user: req.user.id,
+      email: req.user.email,
+      metadata: { credentialId: String(credential._id), name: credential.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Passkey removed successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
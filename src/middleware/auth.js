@@ -3,7 +3,10 @@
  * Verifies JWT tokens and protects routes
  */
 
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const keyService = require('../services/keyService');
+const cookieService = require('../services/cookieService');
+const { hasPermission } = require('../services/roleService');
 const { AppError } = require('./errorHandler');
 
 /**
@@ -19,8 +22,8 @@ const extractToken = (req) => {
     return authHeader.split(' ')[1];
   }
   
-  // Check token in cookies (if using cookie authentication)
-  if (req.cookies && req.cookies.token) {
+  // Check token in cookies (only in cookie session mode, where CSRF tokens are enforced)
+  if (cookieService.CONFIG.ENABLED && req.cookies && req.cookies.token) {
     return req.cookies.token;
   }
   
@@ -29,13 +32,16 @@ const extractToken = (req) => {
 
 /**
  * Verify JWT token and extract user information
+ * Checks the signature against the keyring (by `kid`) and the `iss`/`aud` claims.
  * @param {string} token - JWT token
+ * @param {Object} options - Verify options
+ * @param {string} options.audience - Expected audience (defaults to JWT_AUDIENCE)
  * @returns {Object} Decoded token payload
  * @throws {Error} If token is invalid or expired
  */
-const verifyToken = (token) => {
+const verifyToken = (token, { audience = keyService.CONFIG.AUDIENCE } = {}) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    return keyService.verifyJwt(token, { audience });
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new AppError('Your session has expired. Please sign in again.', 401);
@@ -47,6 +53,52 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Ensure the session referenced by a token's `jti` claim is still active
+ * @param {Object} payload - Decoded token payload
+ * @returns {Promise<Object>} Session document
+ * @throws {AppError} If the session is unknown, revoked or expired
+ */
+const verifySession = async (payload) => {
+  if (!payload.jti) {
+    throw new AppError('Invalid token payload. Please sign in again.', 401);
+  }
+
+  const session = await Session.findById(payload.jti);
+
+  if (!session || String(session.user) !== String(payload.id)) {
+    throw new AppError('Invalid authentication token. Please sign in again.', 401);
+  }
+
+  if (!session.isActive) {
+    throw new AppError('Your session has been revoked. Please sign in again.', 401);
+  }
+
+  // Fire-and-forget: activity tracking must not slow down or fail the request
+  Session.touch(session._id).catch(error => {
+    console.error('Session touch error:', error.message);
+  });
+
+  return session;
+};
+
+/**
+ * Build `req.user` from a verified token payload
+ * `impersonator` is set when an admin is acting as the user (`act` claim).
+ * @param {Object} payload - Decoded token payload
+ * @returns {Object} Request user
+ */
+const toRequestUser = (payload) => {
+  return {
+    id: payload.id,
+    email: payload.email,
+    sessionId: payload.jti,
+    roles: payload.roles || [],
+    permissions: payload.permissions || [],
+    impersonator: payload.act ? { id: payload.act.sub, email: payload.act.email } : null
+  };
+};
+
 /**
  * Main authentication middleware
  * Protects routes by verifying JWT tokens
@@ -70,11 +122,16 @@ const authMiddleware = async (req, res, next) => {
       return next(new AppError('Invalid token payload. Please sign in again.', 401));
     }
 
+    // Purpose tokens (e.g. pending MFA challenges) are not session tokens
+    if (payload.purpose) {
+      return next(new AppError('This token cannot be used to access this resource.', 401));
+    }
+
+    // Reject tokens whose session was signed out or revoked
+    await verifySession(payload);
+
     // Attach user information to request object
-    req.user = {
-      id: payload.id,
-      email: payload.email
-    };
+    req.user = toRequestUser(payload);
 
     // Add token information for potential use in controllers
     req.token = token;
@@ -102,10 +159,11 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const payload = verifyToken(token);
-        req.user = {
-          id: payload.id,
-          email: payload.email
-        };
+        if (payload.purpose) {
+          throw new AppError('This token cannot be used to access this resource.', 401);
+        }
+        await verifySession(payload);
+        req.user = toRequestUser(payload);
         req.token = token;
         req.tokenExp = payload.exp;
       } catch (error) {
@@ -125,8 +183,9 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Check if user has required permissions (placeholder for future role-based access)
- * @param {Array} requiredRoles - Required roles
+ * Require at least one of the given roles
+ * Must run after `authMiddleware`.
+ * @param {Array} requiredRoles - Accepted roles
  * @returns {Function} Middleware function
  */
 const requireRoles = (requiredRoles = []) => {
@@ -135,17 +194,61 @@ const requireRoles = (requiredRoles = []) => {
       return next(new AppError('Authentication required', 401));
     }
 
-    // Placeholder for role-based access control
-    // In the future, you could check req.user.roles against requiredRoles
-    
+    const roles = req.user.roles || [];
+
+    if (requiredRoles.length > 0 && !requiredRoles.some(role => roles.includes(role))) {
+      return next(new AppError('You do not have permission to access this resource.', 403));
+    }
+
     next();
   };
 };
 
+/**
+ * Require every one of the given permissions
+ * Must run after `authMiddleware`. Wildcard grants (`*`, `users:*`) are honoured.
+ * @param {Array} requiredPermissions - Required permissions
+ * @returns {Function} Middleware function
+ */
+const requirePermissions = (requiredPermissions = []) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const granted = req.user.permissions || [];
+    const missing = requiredPermissions.filter(permission => !hasPermission(granted, permission));
+
+    if (missing.length > 0) {
+      return next(new AppError('You do not have permission to access this resource.', 403));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Refuse sensitive actions while an admin is impersonating the user
+ * Must run after `authMiddleware`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonator) {
+    return next(new AppError('This action is not allowed while impersonating a user.', 403));
+  }
+
+  next();
+};
+
 module.exports = {
   authMiddleware,
   optionalAuth,
   requireRoles,
+  requirePermissions,
+  forbidImpersonation,
   extractToken,
-  verifyToken
+  verifyToken,
+  verifySession
 };
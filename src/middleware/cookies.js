@@ -0,0 +1,88 @@
+/**
+ * Cookie Middleware
+ * Parses request cookies and enforces CSRF tokens for cookie sessions
+ */
+
+const crypto = require('crypto');
+
+const cookieService = require('../services/cookieService');
+const { AppError } = require('./errorHandler');
+
+// Methods that must not change state, so they need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Parse the Cookie header into `req.cookies`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const parseCookies = (req, res, next) => {
+  req.cookies = {};
+
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index < 0) {
+      continue;
+    }
+
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim();
+
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+
+    // The first cookie of a name wins (the most specific path)
+    if (name && !(name in req.cookies)) {
+      try {
+        req.cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        req.cookies[name] = value;
+      }
+    }
+  }
+
+  next();
+};
+
+/**
+ * Require a CSRF token on state-changing requests authenticated by cookie
+ * Double-submit check: the X-CSRF-Token header (or the `_csrf` field of an HTML
+ * form) must match the csrfToken cookie.
+ * Requests without session cookies (e.g. bearer token clients) are not affected.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const csrfProtection = (req, res, next) => {
+  if (!cookieService.CONFIG.ENABLED || SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!cookieService.hasSessionCookies(req)) {
+    return next();
+  }
+
+  const cookieToken = req.cookies[cookieService.CONFIG.CSRF_COOKIE];
+  const formToken = typeof req.body?._csrf === 'string' ? req.body._csrf : null;
+  const headerToken = req.get(cookieService.CONFIG.CSRF_HEADER) || formToken;
+
+  if (!cookieToken || !headerToken) {
+    return next(new AppError('Missing CSRF token', 403));
+  }
+
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return next(new AppError('Invalid CSRF token', 403));
+  }
+
+  next();
+};
+
+module.exports = {
+  parseCookies,
+  csrfProtection
+};
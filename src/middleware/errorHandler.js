@@ -16,6 +16,39 @@ class AppError extends Error {
   }
 }
 
+/**
+ * OAuth 2.0 protocol error (RFC 6749 section 5.2)
+ * Rendered as `{ error, error_description }` instead of the usual format.
+ */
+class OAuthError extends AppError {
+  constructor(code, description, statusCode = 400) {
+    super(description, statusCode);
+    this.oauthCode = code;
+  }
+}
+
+/**
+ * New password rejected by the password policy
+ * Rendered with the list of rules that failed.
+ */
+class PasswordPolicyError extends AppError {
+  constructor(validation) {
+    super(validation.message, 400);
+    this.failures = validation.failures;
+  }
+}
+
+/**
+ * New password rejected because it was used recently
+ * Rendered with the PASSWORD_REUSED code.
+ */
+class PasswordReusedError extends AppError {
+  constructor(message) {
+    super(message, 400);
+    this.passwordReused = true;
+  }
+}
+
 /**
  * Format validation errors
  * @param {Object} err - Mongoose validation error
@@ -192,6 +225,35 @@ const errorHandler = (err, req, res, next) => {
     error.isOperational = true;
   }
 
+  // OAuth protocol errors have a standard shape that clients parse
+  if (err.oauthCode) {
+    if (err.statusCode === 401) {
+      res.set('WWW-Authenticate', `Bearer error="${err.oauthCode}"`);
+    }
+    return res.status(err.statusCode).json({
+      error: err.oauthCode,
+      error_description: err.message
+    });
+  }
+
+  // Password policy errors list every rule that failed
+  if (err.failures) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.message,
+      code: 'PASSWORD_POLICY',
+      failures: err.failures
+    });
+  }
+
+  if (err.passwordReused) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.message,
+      code: 'PASSWORD_REUSED'
+    });
+  }
+
   // Send appropriate error response
   if (process.env.NODE_ENV === 'development') {
     sendErrorDev(error, res);
@@ -202,5 +264,8 @@ const errorHandler = (err, req, res, next) => {
 
 module.exports = {
   errorHandler,
-  AppError
+  AppError,
+  OAuthError,
+  PasswordPolicyError,
+  PasswordReusedError
 };
\ No newline at end of file
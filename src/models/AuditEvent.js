@@ -0,0 +1,112 @@
+/**
+ * AuditEvent Model
+ * Security audit log: who did what, when, from where and whether it worked
+ */
+
+const mongoose = require('mongoose');
+
+// Events are removed by MongoDB after this many days. Changing the value
+// later requires updating the existing TTL index (collMod) by hand.
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+
+/**
+ * AuditEvent schema
+ * `createdAt` is when the event happened.
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Account the event is about (null when the email did not match an account)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Snapshot of the email address that was used
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Someone acting on the user's behalf (an admin or impersonator)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  action: {
+    type: String,
+    required: true
+  },
+
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+
+  // Machine readable failure reason, e.g. "invalid_password"
+  reason: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 } // TTL index for retention
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ email: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, outcome: 1, createdAt: -1 });
+auditEventSchema.index({ ip: 1, createdAt: -1 });
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get safe audit event object for API responses
+ * @returns {Object} Safe audit event object
+ */
+auditEventSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    user: this.user,
+    email: this.email,
+    actor: this.actor,
+    action: this.action,
+    outcome: this.outcome,
+    reason: this.reason,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    metadata: this.metadata,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
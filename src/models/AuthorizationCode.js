@@ -0,0 +1,79 @@
+/**
+ * Authorization Code Model
+ * Short-lived, single-use codes issued by the OpenID Connect authorization endpoint
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Authorization code schema
+ */
+const authorizationCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  clientId: {
+    type: String,
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  redirectUri: {
+    type: String,
+    required: true
+  },
+
+  scope: {
+    type: [String],
+    default: []
+  },
+
+  nonce: {
+    type: String,
+    default: null
+  },
+
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+
+  authTime: {
+    type: Date,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Static methods
+ */
+
+/**
+ * Atomically fetch and delete an unexpired code
+ * @param {string} codeHash - Hashed authorization code
+ * @returns {Promise} Promise that resolves to the code document or null
+ */
+authorizationCodeSchema.statics.consume = function(codeHash) {
+  return this.findOneAndDelete({
+    codeHash,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('AuthorizationCode', authorizationCodeSchema);
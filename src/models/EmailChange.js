@@ -0,0 +1,107 @@
+/**
+ * EmailChange Model
+ * Requests to move an account to a new email address
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Email change schema
+ * Only a SHA-256 hash of the cancel token is stored. The code sent to the new
+ * address is a one-time code (purpose `email_change`).
+ * `createdAt` is when the change was requested.
+ */
+const emailChangeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  oldEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  newEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // When the code sent to the new address expires
+  codeExpiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Token in the notice sent to the old address
+  cancelTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled', 'reverted'],
+    default: 'pending'
+  },
+
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'old_address', 'too_many_attempts', 'email_taken', 'replaced', null],
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  // End of the window in which the old address can cancel or revert the change
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+emailChangeSchema.index({ user: 1, status: 1 });
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get safe email change object for API responses
+ * @returns {Object} Safe email change object
+ */
+emailChangeSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    newEmail: this.newEmail,
+    status: this.status,
+    requestedAt: this.createdAt,
+    codeExpiresAt: this.codeExpiresAt,
+    completedAt: this.completedAt,
+    cancelledAt: this.cancelledAt,
+    cancelWindowEndsAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('EmailChange', emailChangeSchema);
@@ -0,0 +1,118 @@
+/**
+ * Impersonation Model
+ * Audit trail of admins acting as a user, visible to the user afterwards
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Impersonation schema
+ * `createdAt` is when the impersonation started.
+ */
+const impersonationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Snapshot, so the record stays readable if the admin account is removed
+  impersonatorEmail: {
+    type: String,
+    required: true
+  },
+
+  // Session the impersonation token is bound to
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    unique: true
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxLength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  endedBy: {
+    type: String,
+    enum: ['impersonator', 'logout', 'admin', null],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Virtual for impersonations that can still be used
+ */
+impersonationSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > Date.now();
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get safe impersonation object for API responses
+ * Impersonations that simply ran out are reported as ended at their expiry.
+ * @returns {Object} Safe impersonation object
+ */
+impersonationSchema.methods.toSafeObject = function() {
+  const expired = !this.endedAt && this.expiresAt <= Date.now();
+
+  return {
+    id: this._id,
+    user: this.user,
+    impersonator: {
+      id: this.impersonator,
+      email: this.impersonatorEmail
+    },
+    reason: this.reason,
+    ip: this.ip,
+    startedAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    endedAt: this.endedAt || (expired ? this.expiresAt : null),
+    endedBy: this.endedBy || (expired ? 'expired' : null),
+    active: this.isActive
+  };
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
@@ -0,0 +1,80 @@
+/**
+ * KnownDevice Model
+ * Devices a user has signed in from, used to spot sign ins from somewhere new
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Known device schema
+ * A device is identified by its user agent (without version numbers) and IP prefix.
+ * `createdAt` is the first sign in from the device.
+ */
+const knownDeviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the normalised user agent and IP prefix
+  fingerprint: {
+    type: String,
+    required: true
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  ipPrefix: {
+    type: String,
+    default: null
+  },
+
+  // Last full IP address and approximate location seen
+  ip: {
+    type: String,
+    default: null
+  },
+
+  location: {
+    type: String,
+    default: null
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // "This wasn't me" link of the new device alert (SHA-256 of the token)
+  reportTokenHash: {
+    type: String,
+    default: undefined
+  },
+
+  reportExpiresAt: {
+    type: Date,
+    default: undefined
+  },
+
+  // Devices not seen for a while are forgotten and alert again
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+knownDeviceSchema.index({ user: 1, fingerprint: 1 }, { unique: true });
+knownDeviceSchema.index({ reportTokenHash: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('KnownDevice', knownDeviceSchema);
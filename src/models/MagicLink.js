@@ -0,0 +1,68 @@
+/**
+ * Magic Link Model
+ * Single-use passwordless sign in links, also usable for new email addresses
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Magic link schema
+ * Only a SHA-256 hash of the link token is stored.
+ */
+const magicLinkSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  requestedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Static methods
+ */
+
+/**
+ * Atomically mark an unused, unexpired link as used
+ * @param {string} tokenHash - Hashed link token
+ * @returns {Promise} Promise that resolves to the link document or null
+ */
+magicLinkSchema.statics.consume = function(tokenHash) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
@@ -0,0 +1,150 @@
+/**
+ * OAuth Client Model
+ * Applications allowed to use this service as their OpenID Connect provider
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * OAuth client schema
+ */
+const oauthClientSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // SHA-256 of the client secret; null for public clients (SPAs, mobile apps)
+  clientSecretHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxLength: [100, 'Client name cannot exceed 100 characters']
+  },
+
+  // Exact-match allowlist for redirect_uri
+  redirectUris: {
+    type: [String],
+    validate: {
+      validator: (uris) => uris.length > 0 && uris.every(uri => {
+        try {
+          const parsed = new URL(uri);
+          return !parsed.hash;
+        } catch (error) {
+          return false;
+        }
+      }),
+      message: 'At least one absolute redirect URI without a fragment is required'
+    }
+  },
+
+  allowedScopes: {
+    type: [String],
+    default: ['openid', 'profile', 'email', 'offline_access']
+  },
+
+  // Skip the consent screen for first-party apps
+  trusted: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Virtual for client type
+ */
+oauthClientSchema.virtual('isConfidential').get(function() {
+  return !!this.clientSecretHash;
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Check a redirect URI against the allowlist (exact match)
+ * @param {string} redirectUri - Redirect URI from the request
+ * @returns {boolean} True if allowed
+ */
+oauthClientSchema.methods.isRedirectUriAllowed = function(redirectUri) {
+  return this.redirectUris.includes(redirectUri);
+};
+
+/**
+ * Verify a client secret
+ * Requires `clientSecretHash` to be selected explicitly.
+ * @param {string} secret - Client secret
+ * @returns {boolean} True if the secret matches
+ */
+oauthClientSchema.methods.verifySecret = function(secret) {
+  if (!this.clientSecretHash || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.clientSecretHash, 'hex');
+  const actual = crypto.createHash('sha256').update(String(secret)).digest();
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Get safe client object (without secret)
+ * @returns {Object} Safe client object
+ */
+oauthClientSchema.methods.toSafeObject = function() {
+  return {
+    clientId: this.clientId,
+    name: this.name,
+    redirectUris: this.redirectUris,
+    allowedScopes: this.allowedScopes,
+    trusted: this.trusted,
+    isActive: this.isActive,
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Static methods
+ */
+
+/**
+ * Register a new client
+ * @param {Object} options - Client options
+ * @param {string} options.name - Display name shown on the consent screen
+ * @param {Array} options.redirectUris - Allowed redirect URIs
+ * @param {boolean} options.confidential - Whether to issue a client secret
+ * @param {boolean} options.trusted - Skip consent for this client
+ * @returns {Promise<Object>} Client document and plain secret (shown once)
+ */
+oauthClientSchema.statics.register = async function({ name, redirectUris, confidential = true, trusted = false }) {
+  const clientSecret = confidential ? crypto.randomBytes(32).toString('base64url') : null;
+
+  const client = await this.create({
+    clientId: crypto.randomBytes(16).toString('hex'),
+    clientSecretHash: clientSecret
+      ? crypto.createHash('sha256').update(clientSecret).digest('hex')
+      : null,
+    name,
+    redirectUris,
+    trusted
+  });
+
+  return { client, clientSecret };
+};
+
+module.exports = mongoose.model('OAuthClient', oauthClientSchema);
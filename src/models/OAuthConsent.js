@@ -0,0 +1,50 @@
+/**
+ * OAuth Consent Model
+ * Scopes a user has granted to a client application
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * OAuth consent schema
+ */
+const oauthConsentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  clientId: {
+    type: String,
+    required: true
+  },
+
+  scopes: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+oauthConsentSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Check whether every requested scope has already been granted
+ * @param {Array} scopes - Requested scopes
+ * @returns {boolean} True if no new consent is needed
+ */
+oauthConsentSchema.methods.covers = function(scopes) {
+  return scopes.every(scope => this.scopes.includes(scope));
+};
+
+module.exports = mongoose.model('OAuthConsent', oauthConsentSchema);
@@ -0,0 +1,60 @@
+/**
+ * OAuth State Model
+ * Pending authorization requests (state, nonce and PKCE verifier) awaiting their callback
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * OAuth state schema
+ */
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+
+  nonce: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Static methods
+ */
+
+/**
+ * Atomically fetch and delete an unexpired state for a provider
+ * @param {string} state - State parameter from the callback
+ * @param {string} provider - Provider name
+ * @returns {Promise} Promise that resolves to the state document or null
+ */
+oauthStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
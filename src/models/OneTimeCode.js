@@ -0,0 +1,63 @@
+/**
+ * OneTimeCode Model
+ * Numeric codes emailed to users (email verification, password reset, unlock, reactivation, email change)
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * One-time code schema
+ * Only an HMAC of the code is stored, keyed with a server-side pepper and
+ * bound to the purpose and the user. A code is spent once it is used or
+ * once `maxAttempts` guesses have been made.
+ */
+const oneTimeCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'account_unlock', 'account_reactivation', 'email_change'],
+    required: true
+  },
+
+  codeHash: {
+    type: String,
+    required: true
+  },
+
+  // Guesses made so far, including the correct one
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+oneTimeCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
@@ -0,0 +1,111 @@
+/**
+ * Refresh Token Model
+ * Opaque, rotating refresh tokens grouped into families for reuse detection
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Refresh token schema
+ * Only a SHA-256 hash of the token is stored; the raw value is returned to the client once.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // All tokens produced by rotating the same signin share a family.
+  // For our own sessions this is the session ID.
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Set for tokens issued to OpenID Connect client applications
+  clientId: {
+    type: String,
+    default: null
+  },
+
+  scope: {
+    type: [String],
+    default: undefined
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+
+  createdByIp: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Virtual for token usability
+ */
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+/**
+ * Static methods
+ */
+
+/**
+ * Revoke every token in a family
+ * @param {string} family - Token family identifier
+ * @returns {Promise} Promise that resolves when the family is revoked
+ */
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Revoke every token belonging to a user
+ * @param {string} userId - User ID
+ * @returns {Promise} Promise that resolves when the tokens are revoked
+ */
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,67 @@
+/**
+ * Role Model
+ * Named sets of permissions that can be assigned to users
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Role schema
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name may only contain letters, digits, "-" and "_"']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  permissions: {
+    type: [String],
+    default: []
+  },
+
+  // Built-in roles are defined in config/roles.js and cannot be deleted
+  system: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Static methods
+ */
+
+/**
+ * Create or update the built-in roles
+ * @param {Array} roles - Role definitions { name, description, permissions }
+ * @returns {Promise} Promise that resolves when all roles are stored
+ */
+roleSchema.statics.seed = function(roles) {
+  return this.bulkWrite(roles.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: {
+        $set: {
+          description: role.description,
+          permissions: role.permissions,
+          system: true
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
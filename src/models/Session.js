@@ -0,0 +1,162 @@
+/**
+ * Session Model
+ * Server-side registry of signed-in devices, referenced by the `jti` claim of access tokens
+ */
+
+const mongoose = require('mongoose');
+
+// Minimum time between lastSeenAt writes for the same session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Session schema
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Admin acting as this user (see Impersonation model)
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+/**
+ * Virtual for a human readable device description
+ */
+sessionSchema.virtual('device').get(function() {
+  const ua = this.userAgent || '';
+
+  if (!ua) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+    ['curl/', 'curl'],
+    ['PostmanRuntime/', 'Postman']
+  ];
+  const systems = [
+    ['Windows', 'Windows'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Android', 'Android'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ];
+
+  const browser = browsers.find(([token]) => ua.includes(token))?.[1];
+  const system = systems.find(([token]) => ua.includes(token))?.[1];
+
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+
+  return browser || system || 'Unknown device';
+});
+
+/**
+ * Virtual for session usability
+ */
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get safe session object for API responses
+ * @param {string} currentSessionId - Session ID of the requesting token
+ * @returns {Object} Safe session object
+ */
+sessionSchema.methods.toSafeObject = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    impersonated: !!this.impersonator,
+    current: String(this._id) === String(currentSessionId)
+  };
+};
+
+/**
+ * Static methods
+ */
+
+/**
+ * Find active sessions for a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise} Promise that resolves to session documents
+ */
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Record activity on a session, at most once per TOUCH_INTERVAL_MS
+ * @param {string} sessionId - Session ID
+ * @returns {Promise} Promise that resolves when the update is complete
+ */
+sessionSchema.statics.touch = function(sessionId) {
+  const now = new Date();
+
+  return this.updateOne(
+    { _id: sessionId, lastSeenAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) } },
+    { $set: { lastSeenAt: now } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,81 @@
+/**
+ * Signing Key Model
+ * Asymmetric JWT signing keys, identified by `kid` and rotated on a schedule
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Signing key schema
+ * The private key is stored as an encrypted PKCS#8 PEM (see utils/encryption).
+ */
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // One above the key this one replaced; unique so concurrent rotations cannot both succeed
+  generation: {
+    type: Number,
+    required: true
+  },
+
+  alg: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  publicJwk: {
+    type: Object,
+    required: true
+  },
+
+  // Published in the JWKS from creation, used for signing from this time on
+  activatesAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when a newer key takes over; the key keeps verifying until then
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false },
+  versionKey: false
+});
+
+/**
+ * Indexes for performance
+ */
+signingKeySchema.index({ createdAt: -1 });
+signingKeySchema.index({ generation: 1 }, { unique: true });
+
+/**
+ * Static methods
+ */
+
+/**
+ * Find keys that can still verify tokens, newest first
+ * @returns {Promise<Array>} Signing keys including their private key
+ */
+signingKeySchema.statics.findUsable = function() {
+  return this.find({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  })
+    .select('+privateKey')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
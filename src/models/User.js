@@ -4,34 +4,127 @@
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_ROLE } = require('../config/roles');
+
+// Account lockout configuration
+const LOCKOUT = {
+  MAX_ATTEMPTS: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  LOCK_MINUTES: Number(process.env.LOGIN_LOCK_MINUTES) || 30
+};
+
+// Self-service reactivation window after an account is deactivated
+const REACTIVATION = {
+  WINDOW_DAYS: Number(process.env.ACCOUNT_REACTIVATION_DAYS) || 30
+};
+
+// Maximum password age before a change is forced (0 = passwords never expire)
+const PASSWORD_EXPIRY = {
+  MAX_AGE_DAYS: Number(process.env.PASSWORD_MAX_AGE_DAYS) || 0
+};
 
 /**
- * Email verification schema
+ * Previous password schema
  */
-const emailVerificationSchema = new mongoose.Schema({
-  codeHash: {
+const previousPasswordSchema = new mongoose.Schema({
+  hash: {
     type: String,
     required: true
   },
-  expiresAt: {
+  // When this password stopped being the current one
+  replacedAt: {
     type: Date,
-    required: true,
-    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+    required: true
   }
 }, { _id: false });
 
 /**
- * Password reset schema
+ * Scheduled account erasure schema
  */
-const passwordResetSchema = new mongoose.Schema({
+const erasureSchema = new mongoose.Schema({
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+  // The account is purged by the erasure job after this date
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  cancelTokenHash: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * Recovery code schema
+ */
+const recoveryCodeSchema = new mongoose.Schema({
   codeHash: {
     type: String,
     required: true
   },
-  expiresAt: {
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Two-factor authentication schema
+ * Secrets are stored encrypted (see utils/encryption) and never selected by default
+ */
+const mfaSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  totpSecret: {
+    type: String,
+    select: false
+  },
+  pendingTotpSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  lastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  recoveryCodes: {
+    type: [recoveryCodeSchema],
+    default: undefined,
+    select: false
+  },
+  enabledAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Linked social login / OpenID Connect account schema
+ */
+const oauthAccountSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Stable user identifier at the provider (`sub` claim)
+  subject: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  linkedAt: {
     type: Date,
-    required: true,
-    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+    default: Date.now
   }
 }, { _id: false });
 
@@ -58,6 +151,25 @@ const userSchema = new mongoose.Schema({
     select: false // Don't include password in queries by default
   },
   
+  // Most recent previous passwords first, to stop reuse
+  passwordHistory: {
+    type: [previousPasswordSchema],
+    default: [],
+    select: false
+  },
+
+  // When the current password was set (null for accounts created before this was tracked)
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set by an admin to force a new password at the next sign in
+  passwordChangeRequired: {
+    type: Boolean,
+    default: false
+  },
+  
   name: {
     type: String,
     trim: true,
@@ -70,14 +182,26 @@ const userSchema = new mongoose.Schema({
     index: true
   },
   
-  emailVerification: {
-    type: emailVerificationSchema,
-    default: undefined
+  mfa: {
+    type: mfaSchema,
+    default: () => ({})
   },
   
-  passwordReset: {
-    type: passwordResetSchema,
-    default: undefined
+  oauthAccounts: {
+    type: [oauthAccountSchema],
+    default: []
+  },
+  
+  // Access control: role names (see Role model) plus direct permission grants
+  roles: {
+    type: [String],
+    default: () => [DEFAULT_ROLE],
+    index: true
+  },
+  
+  permissions: {
+    type: [String],
+    default: []
   },
   
   // Profile fields
@@ -125,6 +249,24 @@ const userSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+
+  // Who deactivated the account and when (owners can reactivate within a window)
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+
+  deactivatedBy: {
+    type: String,
+    enum: ['user', 'admin', null],
+    default: null
+  },
+
+  // Pending permanent erasure (the account is deactivated meanwhile)
+  erasure: {
+    type: erasureSchema,
+    default: undefined
+  },
   
   // Timestamps
   createdAt: {
@@ -151,6 +293,11 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1, emailVerified: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastLogin: -1 });
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 });
+userSchema.index({ 'erasure.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ 'erasure.cancelTokenHash': 1 }, { sparse: true });
+// No TTL indexes on this collection: an expiring subdocument field would delete the whole user.
+// Expiring codes and tokens live in their own collections (e.g. OneTimeCode).
 
 /**
  * Virtual for full name
@@ -176,15 +323,6 @@ userSchema.pre('save', function(next) {
   // Update the updatedAt field
   this.updatedAt = new Date();
   
-  // Clean up expired verification codes
-  if (this.emailVerification?.expiresAt && this.emailVerification.expiresAt < new Date()) {
-    this.emailVerification = undefined;
-  }
-  
-  if (this.passwordReset?.expiresAt && this.passwordReset.expiresAt < new Date()) {
-    this.passwordReset = undefined;
-  }
-  
   next();
 });
 
@@ -200,19 +338,44 @@ userSchema.methods.isAccountLocked = function() {
   return this.accountLocked && this.lockUntil && this.lockUntil > Date.now();
 };
 
+/**
+ * Count unused 2FA recovery codes
+ * Requires `mfa.recoveryCodes` to be selected explicitly.
+ * @returns {number} Number of recovery codes left
+ */
+userSchema.methods.getRecoveryCodesRemaining = function() {
+  return (this.mfa?.recoveryCodes || []).filter(code => !code.usedAt).length;
+};
+
+/**
+ * Get seconds remaining until the account unlocks
+ * @returns {number} Seconds until unlock (0 if not locked)
+ */
+userSchema.methods.getLockRemainingSeconds = function() {
+  if (!this.isAccountLocked()) {
+    return 0;
+  }
+  return Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000);
+};
+
 /**
  * Increment login attempts and lock account if necessary
+ * Thresholds come from LOGIN_MAX_ATTEMPTS and LOGIN_LOCK_MINUTES.
  * @returns {Promise} Promise that resolves when operation is complete
  */
 userSchema.methods.incrementLoginAttempts = function() {
-  const maxAttempts = 5;
-  const lockTime = 30 * 60 * 1000; // 30 minutes
+  // A previous lock has run out: start counting from scratch
+  if (this.accountLocked && this.lockUntil && this.lockUntil <= Date.now()) {
+    this.loginAttempts = 0;
+    this.accountLocked = false;
+    this.lockUntil = null;
+  }
   
   this.loginAttempts += 1;
   
-  if (this.loginAttempts >= maxAttempts) {
+  if (this.loginAttempts >= LOCKOUT.MAX_ATTEMPTS) {
     this.accountLocked = true;
-    this.lockUntil = new Date(Date.now() + lockTime);
+    this.lockUntil = new Date(Date.now() + LOCKOUT.LOCK_MINUTES * 60 * 1000);
   }
   
   return this.save();
@@ -220,17 +383,100 @@ userSchema.methods.incrementLoginAttempts = function() {
 
 /**
  * Reset login attempts
+ * @param {Object} options - Reset options
+ * @param {boolean} options.recordLogin - Also update lastLogin (false when unlocking without a sign in)
  * @returns {Promise} Promise that resolves when operation is complete
  */
-userSchema.methods.resetLoginAttempts = function() {
+userSchema.methods.resetLoginAttempts = function({ recordLogin = true } = {}) {
   this.loginAttempts = 0;
   this.accountLocked = false;
   this.lockUntil = null;
-  this.lastLogin = new Date();
+  if (recordLogin) {
+    this.lastLogin = new Date();
+  }
+  
+  return this.save();
+};
+
+/**
+ * Deactivate the account
+ * @param {string} by - Who deactivated it: "user" (self-service) or "admin"
+ * @returns {Promise} Promise that resolves when operation is complete
+ */
+userSchema.methods.deactivate = function(by = 'user') {
+  this.isActive = false;
+  this.deactivatedAt = new Date();
+  this.deactivatedBy = by;
   
   return this.save();
 };
 
+/**
+ * Reactivate the account, cancelling any scheduled erasure
+ * @returns {Promise} Promise that resolves when operation is complete
+ */
+userSchema.methods.reactivate = function() {
+  this.isActive = true;
+  this.deactivatedAt = null;
+  this.deactivatedBy = null;
+  this.erasure = undefined;
+  
+  return this.save();
+};
+
+/**
+ * Get when the current password expires
+ * Accounts created before passwordChangedAt was tracked count from their creation.
+ * @returns {Date|null} Expiry, or null if PASSWORD_MAX_AGE_DAYS is not set
+ */
+userSchema.methods.getPasswordExpiresAt = function() {
+  if (!PASSWORD_EXPIRY.MAX_AGE_DAYS) {
+    return null;
+  }
+
+  const since = this.passwordChangedAt || this.createdAt || new Date();
+  return new Date(since.getTime() + PASSWORD_EXPIRY.MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get why the password must be changed before signing in
+ * @returns {string|null} "admin_required", "expired", or null if no change is needed
+ */
+userSchema.methods.getPasswordChangeReason = function() {
+  if (this.passwordChangeRequired) {
+    return 'admin_required';
+  }
+
+  const expiresAt = this.getPasswordExpiresAt();
+  if (expiresAt && expiresAt <= Date.now()) {
+    return 'expired';
+  }
+
+  return null;
+};
+
+/**
+ * Get the last moment the owner can reactivate the account themselves
+ * Accounts deactivated by an admin can only be reactivated by an admin.
+ * The window comes from ACCOUNT_REACTIVATION_DAYS and never outlasts a scheduled erasure.
+ * @returns {Date|null} Deadline, or null if self-service reactivation is not possible
+ */
+userSchema.methods.getReactivationDeadline = function() {
+  if (this.isActive || this.deactivatedBy === 'admin') {
+    return null;
+  }
+
+  // Accounts deactivated before deactivatedAt existed: fall back to the last update
+  const since = this.deactivatedAt || this.updatedAt || new Date();
+  let deadline = new Date(since.getTime() + REACTIVATION.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (this.erasure?.scheduledFor && this.erasure.scheduledFor < deadline) {
+    deadline = this.erasure.scheduledFor;
+  }
+
+  return deadline > Date.now() ? deadline : null;
+};
+
 /**
  * Get safe user object (without sensitive data)
  * @returns {Object} Safe user object
@@ -242,9 +488,17 @@ userSchema.methods.toSafeObject = function() {
     name: this.name,
     fullName: this.fullName,
     emailVerified: this.emailVerified,
+    mfaEnabled: !!this.mfa?.enabled,
+    ...(this.mfa?.enabled && this.isSelected('mfa.recoveryCodes') && {
+      recoveryCodesRemaining: this.getRecoveryCodesRemaining()
+    }),
+    linkedProviders: (this.oauthAccounts || []).map(account => account.provider),
+    roles: this.roles,
     profile: this.profile,
     lastLogin: this.lastLogin,
     isActive: this.isActive,
+    ...(this.getPasswordExpiresAt() && { passwordExpiresAt: this.getPasswordExpiresAt() }),
+    ...(this.erasure?.scheduledFor && { erasureScheduledFor: this.erasure.scheduledFor }),
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
@@ -267,23 +521,25 @@ userSchema.statics.findByEmail = function(email) {
 };
 
 /**
- * Clean up expired verification codes
- * @returns {Promise} Promise that resolves when cleanup is complete
+ * Make sure no TTL index can delete users
+ * Older versions declared TTL indexes on code subdocuments, and MongoDB keeps
+ * them after the schema changes until `npm run users:drop-legacy-codes` drops them.
+ * @returns {Promise<void>}
+ * @throws {Error} If the users collection has a TTL index
  */
-userSchema.statics.cleanupExpiredCodes = function() {
-  const now = new Date();
-  
-  return this.updateMany({
-    $or: [
-      { 'emailVerification.expiresAt': { $lt: now } },
-      { 'passwordReset.expiresAt': { $lt: now } }
-    ]
-  }, {
-    $unset: {
-      emailVerification: 1,
-      passwordReset: 1
+userSchema.statics.assertNoTtlIndexes = async function() {
+  const indexes = await this.collection.indexes().catch(error => {
+    // A new database has no users collection yet
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
     }
+    throw error;
   });
+  const ttlIndexes = indexes.filter(index => index.expireAfterSeconds !== undefined);
+
+  if (ttlIndexes.length > 0) {
+    throw new Error(`TTL indexes on users would delete accounts (${ttlIndexes.map(index => index.name).join(', ')}). Run npm run users:drop-legacy-codes`);
+  }
 };
 
 /**
@@ -292,8 +548,13 @@ userSchema.statics.cleanupExpiredCodes = function() {
 userSchema.set('toJSON', {
   transform: function(doc, ret, options) {
     delete ret.passwordHash;
-    delete ret.emailVerification;
-    delete ret.passwordReset;
+    delete ret.passwordHistory;
+    if (ret.mfa) {
+      delete ret.mfa.totpSecret;
+      delete ret.mfa.pendingTotpSecret;
+      delete ret.mfa.lastUsedStep;
+      delete ret.mfa.recoveryCodes;
+    }
     delete ret.loginAttempts;
     delete ret.accountLocked;
     delete ret.lockUntil;
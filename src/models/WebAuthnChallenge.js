@@ -0,0 +1,58 @@
+/**
+ * WebAuthn Challenge Model
+ * Single-use challenges handed out with registration and authentication options
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * WebAuthn challenge schema
+ */
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+
+  // Set for registrations and for authentications started with an email
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Static methods
+ */
+
+/**
+ * Atomically fetch and delete an unexpired challenge
+ * @param {string} challenge - Base64url challenge from clientDataJSON
+ * @param {string} type - Expected challenge type
+ * @returns {Promise} Promise that resolves to the challenge document or null
+ */
+webAuthnChallengeSchema.statics.consume = function(challenge, type) {
+  return this.findOneAndDelete({
+    challenge,
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
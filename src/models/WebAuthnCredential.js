@@ -0,0 +1,108 @@
+/**
+ * WebAuthn Credential Model
+ * Passkeys and security keys registered by a user
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * WebAuthn credential schema
+ */
+const webAuthnCredentialSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Base64url credential ID as reported by the authenticator
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // COSE encoded public key
+  publicKey: {
+    type: Buffer,
+    required: true
+  },
+
+  // Signature counter, used to detect cloned authenticators
+  counter: {
+    type: Number,
+    default: 0
+  },
+
+  transports: {
+    type: [String],
+    default: []
+  },
+
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice'],
+    default: 'singleDevice'
+  },
+
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+
+  aaguid: {
+    type: String,
+    default: null
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxLength: [64, 'Name cannot exceed 64 characters'],
+    default: 'Passkey'
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get safe credential object for API responses (no key material)
+ * @returns {Object} Safe credential object
+ */
+webAuthnCredentialSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    transports: this.transports,
+    deviceType: this.deviceType,
+    backedUp: this.backedUp,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt
+  };
+};
+
+/**
+ * Convert to the shape expected by @simplewebauthn/server
+ * @returns {Object} WebAuthn credential
+ */
+webAuthnCredentialSchema.methods.toWebAuthnCredential = function() {
+  return {
+    id: this.credentialId,
+    publicKey: new Uint8Array(this.publicKey),
+    counter: this.counter,
+    transports: this.transports
+  };
+};
+
+module.exports = mongoose.model('WebAuthnCredential', webAuthnCredentialSchema);
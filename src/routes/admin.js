@@ -0,0 +1,137 @@
+/**
+ * Admin Routes
+ * User management for support staff (requires the matching permissions)
+ */
+
+const express = require('express');
+
+const adminController = require('../controllers/adminController');
+const { authMiddleware, requirePermissions, forbidImpersonation } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/cookies');
+const { PERMISSIONS } = require('../config/roles');
+
+const router = express.Router();
+
+// Every admin route requires a signed-in user acting as themselves
+router.use(csrfProtection, authMiddleware, forbidImpersonation);
+
+/**
+ * User Management Routes
+ */
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users with pagination, filters and email search
+ * @access  Private (users:read)
+ * @query   { page?, limit?, verified?, active?, locked?, createdFrom?, createdTo?, email?, role? }
+ */
+router.get('/users', requirePermissions([PERMISSIONS.USERS_READ]), adminController.listUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    View a user and their active sessions
+ * @access  Private (users:read)
+ */
+router.get('/users/:id', requirePermissions([PERMISSIONS.USERS_READ]), adminController.getUser);
+
+/**
+ * @route   POST /api/admin/users/:id/verify-email
+ * @desc    Mark the user's email address as verified
+ * @access  Private (users:write)
+ */
+router.post('/users/:id/verify-email', requirePermissions([PERMISSIONS.USERS_WRITE]), adminController.verifyEmail);
+
+/**
+ * @route   POST /api/admin/users/:id/password-reset
+ * @desc    Email the user a password reset code
+ * @access  Private (users:write)
+ */
+router.post('/users/:id/password-reset', requirePermissions([PERMISSIONS.USERS_WRITE]), adminController.sendPasswordReset);
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Clear failed sign in attempts and any lock
+ * @access  Private (users:write)
+ */
+router.post('/users/:id/unlock', requirePermissions([PERMISSIONS.USERS_WRITE]), adminController.unlockUser);
+
+/**
+ * @route   POST /api/admin/users/:id/require-password-change
+ * @desc    Force a new password at the next sign in and revoke all sessions
+ * @access  Private (users:write)
+ */
+router.post('/users/:id/require-password-change', requirePermissions([PERMISSIONS.USERS_WRITE]), adminController.requirePasswordChange);
+
+/**
+ * @route   POST /api/admin/users/:id/deactivate
+ * @desc    Deactivate the account and revoke all of its sessions
+ * @access  Private (users:write)
+ */
+router.post('/users/:id/deactivate', requirePermissions([PERMISSIONS.USERS_WRITE]), adminController.deactivateUser);
+
+/**
+ * @route   POST /api/admin/users/:id/reactivate
+ * @desc    Reactivate a deactivated account
+ * @access  Private (users:write)
+ */
+router.post('/users/:id/reactivate', requirePermissions([PERMISSIONS.USERS_WRITE]), adminController.reactivateUser);
+
+/**
+ * @route   PUT /api/admin/users/:id/roles
+ * @desc    Replace the user's roles
+ * @access  Private (roles:manage)
+ * @body    { roles }
+ */
+router.put('/users/:id/roles', requirePermissions([PERMISSIONS.ROLES_MANAGE]), adminController.updateRoles);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Get a short-lived token to act as the user
+ * @access  Private (users:impersonate)
+ * @body    { reason }
+ */
+router.post('/users/:id/impersonate', requirePermissions([PERMISSIONS.USERS_IMPERSONATE]), adminController.startImpersonation);
+
+/**
+ * Impersonation Routes
+ */
+
+/**
+ * @route   GET /api/admin/impersonations
+ * @desc    List impersonations, newest first
+ * @access  Private (users:read)
+ * @query   { page?, limit?, user?, impersonator?, active? }
+ */
+router.get('/impersonations', requirePermissions([PERMISSIONS.USERS_READ]), adminController.listImpersonations);
+
+/**
+ * @route   POST /api/admin/impersonations/:id/stop
+ * @desc    End an impersonation and revoke its token
+ * @access  Private (users:impersonate)
+ */
+router.post('/impersonations/:id/stop', requirePermissions([PERMISSIONS.USERS_IMPERSONATE]), adminController.stopImpersonation);
+
+/**
+ * Audit Log Routes
+ */
+
+/**
+ * @route   GET /api/admin/audit-events
+ * @desc    Search the security audit log, newest first
+ * @access  Private (audit:read)
+ * @query   { page?, limit?, user?, actor?, email?, action?, outcome?, ip?, from?, to? }
+ */
+router.get('/audit-events', requirePermissions([PERMISSIONS.AUDIT_READ]), adminController.listAuditEvents);
+
+/**
+ * Role Routes
+ */
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List assignable roles and their permissions
+ * @access  Private (roles:manage)
+ */
+router.get('/roles', requirePermissions([PERMISSIONS.ROLES_MANAGE]), adminController.listRoles);
+
+module.exports = router;
@@ -7,9 +7,21 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 
 const authController = require('../controllers/authController');
+const webauthnController = require('../controllers/webauthnController');
+const oauthController = require('../controllers/oauthController');
+const { authMiddleware, optionalAuth, forbidImpersonation } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/cookies');
 
 const router = express.Router();
 
+// Endpoints behind links in emails, confirmed with a form post
+const EMAILED_LINK_PATHS = [
+  '/magic-link/consume',
+  '/report-signin',
+  '/email-change/cancel',
+  '/erasure/cancel'
+];
+
 /**
  * Rate limiting configurations for different endpoint types
  */
@@ -60,6 +72,12 @@ const validateEmailInput = (req, res, next) => {
   next();
 };
 
+// The confirmation pages of emailed links post plain HTML forms
+router.post(EMAILED_LINK_PATHS, express.urlencoded({ extended: false, limit: '10kb' }));
+
+// State-changing requests sent with session cookies must carry the CSRF token
+router.use(csrfProtection);
+
 /**
  * Authentication Routes
  */
@@ -100,6 +118,28 @@ router.post('/signin',
   authController.signin
 );
 
+/**
+ * @route   POST /api/auth/signin/mfa
+ * @desc    Exchange an MFA challenge token and a TOTP code for a JWT token
+ * @access  Public
+ * @body    { challengeToken, code }
+ */
+router.post('/signin/mfa',
+  strictLimiter,
+  authController.signinMfa
+);
+
+/**
+ * @route   POST /api/auth/signin/password-change
+ * @desc    Set a new password with the change token returned by sign in, then sign in
+ * @access  Public
+ * @body    { changeToken, newPassword }
+ */
+router.post('/signin/password-change',
+  strictLimiter,
+  authController.signinPasswordChange
+);
+
 /**
  * @route   POST /api/auth/resend-verification
  * @desc    Resend email verification code
@@ -140,17 +180,277 @@ router.post('/reset-password',
   authController.resetPassword
 );
 
+/**
+ * Account Unlock Routes
+ */
+
+/**
+ * @route   POST /api/auth/request-unlock
+ * @desc    Email a new unlock code to a locked account
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/request-unlock',
+  strictLimiter,
+  validateEmailInput,
+  authController.requestUnlock
+);
+
+/**
+ * @route   POST /api/auth/unlock
+ * @desc    Unlock an account locked by failed sign in attempts
+ * @access  Public
+ * @body    { email, code }
+ */
+router.post('/unlock',
+  verificationLimiter,
+  validateEmailInput,
+  authController.unlockAccount
+);
+
+/**
+ * Magic Link Routes
+ */
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use sign in link
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/magic-link',
+  strictLimiter,
+  validateEmailInput,
+  authController.requestMagicLink
+);
+
+/**
+ * @route   GET /api/auth/magic-link/consume
+ * @desc    Show the page that confirms a magic link (does not use it)
+ * @access  Public
+ * @query   { token }
+ */
+router.get('/magic-link/consume',
+  authController.confirmMagicLink
+);
+
+/**
+ * @route   POST /api/auth/magic-link/consume
+ * @desc    Exchange a magic link token for a JWT token
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/magic-link/consume',
+  verificationLimiter,
+  authController.consumeMagicLink
+);
+
+/**
+ * New Device Alert Routes
+ */
+
+/**
+ * @route   GET /api/auth/report-signin
+ * @desc    Show the page that confirms a "this wasn't me" report (does not report)
+ * @access  Public
+ * @query   { token }
+ */
+router.get('/report-signin',
+  authController.confirmReportSignin
+);
+
+/**
+ * @route   POST /api/auth/report-signin
+ * @desc    "This wasn't me": revoke all sessions and start a password reset
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/report-signin',
+  verificationLimiter,
+  authController.reportSignin
+);
+
+/**
+ * Email Change Routes
+ */
+
+/**
+ * @route   GET /api/auth/email-change/cancel
+ * @desc    Show the page that confirms cancelling an email change (does not cancel)
+ * @access  Public
+ * @query   { token }
+ */
+router.get('/email-change/cancel',
+  authController.confirmCancelEmailChange
+);
+
+/**
+ * @route   POST /api/auth/email-change/cancel
+ * @desc    Cancel (or undo) an email change from the notice sent to the old address
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/email-change/cancel',
+  verificationLimiter,
+  authController.cancelEmailChange
+);
+
+/**
+ * Account Reactivation Routes
+ */
+
+/**
+ * @route   POST /api/auth/reactivate
+ * @desc    Email a reactivation code to a deactivated account
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/reactivate',
+  strictLimiter,
+  validateEmailInput,
+  authController.requestReactivation
+);
+
+/**
+ * @route   POST /api/auth/reactivate/confirm
+ * @desc    Reactivate a deactivated account with the emailed code
+ * @access  Public
+ * @body    { email, code }
+ */
+router.post('/reactivate/confirm',
+  verificationLimiter,
+  validateEmailInput,
+  authController.confirmReactivation
+);
+
+/**
+ * Account Erasure Routes
+ */
+
+/**
+ * @route   GET /api/auth/erasure/cancel
+ * @desc    Show the page that confirms cancelling an account erasure (does not cancel)
+ * @access  Public
+ * @query   { token }
+ */
+router.get('/erasure/cancel',
+  authController.confirmCancelErasure
+);
+
+/**
+ * @route   POST /api/auth/erasure/cancel
+ * @desc    Cancel a scheduled account erasure and reactivate the account
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/erasure/cancel',
+  verificationLimiter,
+  authController.cancelErasure
+);
+
+/**
+ * Passkey (WebAuthn) Routes
+ */
+
+/**
+ * @route   POST /api/auth/webauthn/register/options
+ * @desc    Get options to register a new passkey
+ * @access  Private
+ */
+router.post('/webauthn/register/options',
+  authMiddleware,
+  forbidImpersonation,
+  webauthnController.registrationOptions
+);
+
+/**
+ * @route   POST /api/auth/webauthn/register/verify
+ * @desc    Verify the attestation and store the passkey
+ * @access  Private
+ * @body    { credential, name? }
+ */
+router.post('/webauthn/register/verify',
+  authMiddleware,
+  forbidImpersonation,
+  webauthnController.registrationVerify
+);
+
+/**
+ * @route   POST /api/auth/webauthn/authenticate/options
+ * @desc    Get options to sign in with a passkey
+ * @access  Public
+ * @body    { email? }
+ */
+router.post('/webauthn/authenticate/options',
+  verificationLimiter,
+  webauthnController.authenticationOptions
+);
+
+/**
+ * @route   POST /api/auth/webauthn/authenticate/verify
+ * @desc    Verify the assertion and return JWT token
+ * @access  Public
+ * @body    { credential }
+ */
+router.post('/webauthn/authenticate/verify',
+  strictLimiter,
+  webauthnController.authenticationVerify
+);
+
+/**
+ * Social Login (OAuth2 / OpenID Connect) Routes
+ */
+
+/**
+ * @route   GET /api/auth/oauth/providers
+ * @desc    List configured sign in providers
+ * @access  Public
+ */
+router.get('/oauth/providers', oauthController.listProviders);
+
+/**
+ * @route   GET /api/auth/oauth/:provider
+ * @desc    Redirect to the provider (authorization code + PKCE)
+ * @access  Public
+ */
+router.get('/oauth/:provider',
+  oauthController.authorize
+);
+
+/**
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @desc    Validate state/nonce, exchange the code and return JWT token
+ * @access  Public
+ * @query   { code, state }
+ */
+router.get('/oauth/:provider/callback', oauthController.callback);
+
 /**
  * Session Management Routes
  */
 
 /**
- * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @route   GET /api/auth/csrf
+ * @desc    Get the CSRF token of the cookie session (issuing one if missing)
+ * @access  Public (cookie session mode only)
+ */
+router.get('/csrf', authController.getCsrfToken);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and return a new access token
  * @access  Public
- * @body    {}
+ * @body    { refreshToken } (read from the refresh cookie in cookie session mode)
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user, revoke the current session and its refresh tokens, and clear session cookies
+ * @access  Public (revokes the bearer token's session when one is sent)
+ * @body    { refreshToken? }
  */
-router.post('/logout', authController.logout);
+router.post('/logout', optionalAuth, authController.logout);
 
 /**
  * Development Only Routes
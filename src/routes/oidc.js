@@ -0,0 +1,82 @@
+/**
+ * OpenID Connect Provider Routes
+ * Discovery, authorization, token and userinfo endpoints for registered client apps
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+
+const oidcController = require('../controllers/oidcController');
+const { authMiddleware, forbidImpersonation } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/cookies');
+
+const router = express.Router();
+
+// Rate limiting for the token endpoint (clients authenticate here)
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 requests per window
+  message: {
+    error: 'temporarily_unavailable',
+    error_description: 'Too many token requests. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'development'
+});
+
+/**
+ * @route   GET /.well-known/openid-configuration
+ * @desc    OpenID Provider metadata
+ * @access  Public
+ */
+router.get('/.well-known/openid-configuration', oidcController.discovery);
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying ID and access tokens
+ * @access  Public
+ */
+router.get('/.well-known/jwks.json', oidcController.jwks);
+
+/**
+ * @route   GET /oauth2/authorize
+ * @desc    Start an authorization code + PKCE flow, redirects to the consent page
+ * @access  Public
+ * @query   { response_type, client_id, redirect_uri, scope, state?, nonce?, code_challenge, code_challenge_method }
+ */
+router.get('/oauth2/authorize', oidcController.authorize);
+
+/**
+ * @route   GET /oauth2/authorize/details
+ * @desc    Describe a pending authorization request for the consent page
+ * @access  Private
+ * @query   { request }
+ */
+router.get('/oauth2/authorize/details', authMiddleware, oidcController.authorizationDetails);
+
+/**
+ * @route   POST /oauth2/authorize/decision
+ * @desc    Approve or deny a pending authorization request
+ * @access  Private
+ * @body    { request, approve }
+ */
+router.post('/oauth2/authorize/decision', csrfProtection, authMiddleware, forbidImpersonation, oidcController.decide);
+
+/**
+ * @route   POST /oauth2/token
+ * @desc    Exchange an authorization code or refresh token
+ * @access  Client (client_secret_basic, client_secret_post or public + PKCE)
+ * @body    application/x-www-form-urlencoded { grant_type, code?, redirect_uri?, code_verifier?, refresh_token?, scope? }
+ */
+router.post('/oauth2/token', tokenLimiter, express.urlencoded({ extended: false }), oidcController.token);
+
+/**
+ * @route   GET|POST /oauth2/userinfo
+ * @desc    Claims about the user an access token was issued for
+ * @access  Bearer access token issued by /oauth2/token
+ */
+router.get('/oauth2/userinfo', oidcController.userinfo);
+router.post('/oauth2/userinfo', oidcController.userinfo);
+
+module.exports = router;
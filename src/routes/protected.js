@@ -4,12 +4,43 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const { authMiddleware } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const sessionService = require('../services/sessionService');
+const impersonationService = require('../services/impersonationService');
+const auditService = require('../services/auditService');
+const accountController = require('../controllers/accountController');
+const mfaController = require('../controllers/mfaController');
+const webauthnController = require('../controllers/webauthnController');
+const { authMiddleware, requirePermissions, forbidImpersonation } = require('../middleware/auth');
+const { csrfProtection } = require('../middleware/cookies');
 const { AppError } = require('../middleware/errorHandler');
+const { parsePagination } = require('../utils/pagination');
+const { PERMISSIONS } = require('../config/roles');
 
 const router = express.Router();
 
+// State-changing requests sent with session cookies must carry the CSRF token
+router.use(csrfProtection);
+
+// Actions confirmed with the password: a stolen session must not be able to
+// guess it. Only rejected requests count, per account rather than per IP.
+const passwordConfirmLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 failed attempts per window
+  keyGenerator: (req) => String(req.user.id),
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many incorrect passwords. Please try again in 15 minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'development'
+});
+
 /**
  * User Profile Routes
  */
@@ -21,7 +52,7 @@ const router = express.Router();
  */
 router.get('/me', authMiddleware, async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select('+mfa.recoveryCodes');
     
     if (!user) {
       return next(new AppError('User not found', 404));
@@ -33,7 +64,9 @@ router.get('/me', authMiddleware, async (req, res, next) => {
 
     res.json({
       success: true,
-      user: user.toSafeObject()
+      user: user.toSafeObject(),
+      // Lets the frontend show a banner while support staff act as the user
+      ...(req.user.impersonator && { impersonatedBy: req.user.impersonator })
     });
 
   } catch (error) {
@@ -75,8 +108,14 @@ router.put('/me', authMiddleware, async (req, res, next) => {
       };
     }
 
+    const changedFields = user.modifiedPaths().filter(path => !path.includes('.'));
     await user.save();
 
+    auditService.success(req, auditService.ACTIONS.PROFILE_UPDATE, {
+      user,
+      metadata: { fields: changedFields }
+    });
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -93,7 +132,7 @@ router.put('/me', authMiddleware, async (req, res, next) => {
  * @desc    Deactivate user account (soft delete)
  * @access  Private
  */
-router.delete('/me', authMiddleware, async (req, res, next) => {
+router.delete('/me', authMiddleware, forbidImpersonation, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     
@@ -101,9 +140,13 @@ router.delete('/me', authMiddleware, async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
-    // Soft delete by deactivating account
-    user.isActive = false;
-    await user.save();
+    // Soft delete by deactivating account (the owner can reactivate it for a while)
+    await user.deactivate('user');
+
+    // Sign the account out everywhere
+    await sessionService.revokeAllSessions(user._id);
+
+    auditService.success(req, auditService.ACTIONS.ACCOUNT_DEACTIVATE, { user });
 
     res.json({
       success: true,
@@ -115,6 +158,25 @@ router.delete('/me', authMiddleware, async (req, res, next) => {
   }
 });
 
+/**
+ * Personal Data Routes
+ */
+
+/**
+ * @route   GET /api/account/export
+ * @desc    Download the account's personal data as a JSON archive
+ * @access  Private
+ */
+router.get('/account/export', authMiddleware, forbidImpersonation, accountController.exportData);
+
+/**
+ * @route   POST /api/account/erasure
+ * @desc    Deactivate the account and permanently erase it after the grace period
+ * @access  Private
+ * @body    { password }
+ */
+router.post('/account/erasure', authMiddleware, forbidImpersonation, passwordConfirmLimiter, accountController.requestErasure);
+
 /**
  * Account Information Routes
  */
@@ -150,16 +212,287 @@ router.get('/account/stats', authMiddleware, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/account/activity
+ * @desc    Security history of the account (sign ins, password resets, ...), newest first
+ * @access  Private
+ * @query   { page?, limit?, action? }
+ */
+router.get('/account/activity', authMiddleware, async (req, res, next) => {
+  try {
+    const filter = { user: req.user.id };
+
+    if (req.query.action) {
+      filter.action = String(req.query.action);
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const { events, total } = await auditService.findEvents(filter, { limit, skip });
+
+    res.json({
+      success: true,
+      events: events.map(event => event.toSafeObject()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Password Routes
+ */
+
+/**
+ * @route   POST /api/account/password
+ * @desc    Change the password and sign out every other session
+ * @access  Private
+ * @body    { currentPassword, newPassword }
+ */
+router.post('/account/password', authMiddleware, forbidImpersonation, passwordConfirmLimiter, accountController.changePassword);
+
+/**
+ * Email Change Routes
+ */
+
+/**
+ * @route   GET /api/account/email
+ * @desc    Get the pending email change, if any
+ * @access  Private
+ */
+router.get('/account/email', authMiddleware, accountController.getEmailChange);
+
+/**
+ * @route   POST /api/account/email
+ * @desc    Request a new email address (sends a code to it and a notice to the old one)
+ * @access  Private
+ * @body    { newEmail, password }
+ */
+router.post('/account/email', authMiddleware, forbidImpersonation, passwordConfirmLimiter, accountController.requestEmailChange);
+
+/**
+ * @route   POST /api/account/email/verify
+ * @desc    Confirm the new email address with the code sent to it
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/account/email/verify', authMiddleware, forbidImpersonation, accountController.verifyEmailChange);
+
+/**
+ * @route   DELETE /api/account/email
+ * @desc    Cancel the pending email change
+ * @access  Private
+ */
+router.delete('/account/email', authMiddleware, forbidImpersonation, accountController.cancelEmailChange);
+
+/**
+ * Session Management Routes
+ */
+
+/**
+ * @route   GET /api/account/sessions
+ * @desc    List devices where the user is signed in
+ * @access  Private
+ */
+router.get('/account/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => session.toSafeObject(req.user.sessionId))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/account/sessions/:id
+ * @desc    Sign out a single session (remote revocation)
+ * @access  Private
+ */
+router.delete('/account/sessions/:id', authMiddleware, forbidImpersonation, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    await sessionService.revokeSession(session._id);
+
+    res.json({
+      success: true,
+      message: 'Session has been signed out'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/account/sessions
+ * @desc    Sign out every session except the current one
+ * @access  Private
+ */
+router.delete('/account/sessions', authMiddleware, forbidImpersonation, async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeOtherSessions(req.user.id, req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      revoked
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Impersonation Routes
+ */
+
+/**
+ * @route   GET /api/account/impersonations
+ * @desc    List times support staff acted as this user
+ * @access  Private
+ */
+router.get('/account/impersonations', authMiddleware, async (req, res, next) => {
+  try {
+    const impersonations = await Impersonation.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      impersonations: impersonations.map(impersonation => impersonation.toSafeObject())
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/account/impersonation/stop
+ * @desc    End the current impersonation (called with the impersonation token)
+ * @access  Private (impersonation token)
+ */
+router.post('/account/impersonation/stop', authMiddleware, async (req, res, next) => {
+  try {
+    if (!req.user.impersonator) {
+      return next(new AppError('You are not impersonating anyone', 400));
+    }
+
+    await impersonationService.stopImpersonationBySession(req.user.sessionId, 'impersonator');
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Two-Factor Authentication Routes
+ */
+
+/**
+ * @route   GET /api/account/mfa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/account/mfa', authMiddleware, mfaController.getStatus);
+
+/**
+ * @route   POST /api/account/mfa/totp/enroll
+ * @desc    Generate a TOTP secret and otpauth:// URI
+ * @access  Private
+ */
+router.post('/account/mfa/totp/enroll', authMiddleware, forbidImpersonation, mfaController.enrollTotp);
+
+/**
+ * @route   POST /api/account/mfa/totp/confirm
+ * @desc    Enable TOTP by confirming the first code
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/account/mfa/totp/confirm', authMiddleware, forbidImpersonation, mfaController.confirmTotp);
+
+/**
+ * @route   POST /api/account/mfa/totp/disable
+ * @desc    Disable TOTP (requires password re-entry)
+ * @access  Private
+ * @body    { password }
+ */
+router.post('/account/mfa/totp/disable', authMiddleware, forbidImpersonation, passwordConfirmLimiter, mfaController.disableTotp);
+
+/**
+ * @route   POST /api/account/mfa/recovery-codes
+ * @desc    Replace recovery codes with a new set (requires password re-entry)
+ * @access  Private
+ * @body    { password }
+ */
+router.post('/account/mfa/recovery-codes', authMiddleware, forbidImpersonation, passwordConfirmLimiter, mfaController.regenerateRecoveryCodes);
+
+/**
+ * Passkey Management Routes
+ */
+
+/**
+ * @route   GET /api/account/credentials
+ * @desc    List registered passkeys
+ * @access  Private
+ */
+router.get('/account/credentials', authMiddleware, webauthnController.listCredentials);
+
+/**
+ * @route   PUT /api/account/credentials/:id
+ * @desc    Rename a passkey
+ * @access  Private
+ * @body    { name }
+ */
+router.put('/account/credentials/:id', authMiddleware, forbidImpersonation, webauthnController.renameCredential);
+
+/**
+ * @route   DELETE /api/account/credentials/:id
+ * @desc    Remove a passkey
+ * @access  Private
+ */
+router.delete('/account/credentials/:id', authMiddleware, forbidImpersonation, webauthnController.deleteCredential);
+
 /**
  * System Health Routes
  */
 
 /**
  * @route   GET /api/health/detailed
- * @desc    Get detailed system health (authenticated)
- * @access  Private
+ * @desc    Get detailed system health
+ * @access  Private (system:health)
  */
-router.get('/health/detailed', authMiddleware, async (req, res, next) => {
+router.get('/health/detailed', authMiddleware, requirePermissions([PERMISSIONS.SYSTEM_HEALTH]), async (req, res, next) => {
   try {
     const { healthCheck } = require('../config/db');
     const { getStatus: getEmailStatus } = require('../config/mailer');
@@ -0,0 +1,80 @@
+/**
+ * Assign Role
+ * Grants or removes a role for a user, e.g. to create the first admin
+ *
+ * Usage:
+ *   npm run users:assign-role -- --email admin@example.com --role admin [--remove]
+ *
+ * The change applies to the user's next access token (at the latest after a refresh).
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { seedRoles } = require('../services/roleService');
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options { email, role, remove }
+ */
+const parseArgs = (argv) => {
+  const options = { email: null, role: null, remove: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--email':
+        options.email = String(argv[++i] || '').toLowerCase().trim();
+        break;
+      case '--role':
+        options.role = String(argv[++i] || '').toLowerCase().trim();
+        break;
+      case '--remove':
+        options.remove = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.email || !options.role) {
+    throw new Error('--email and --role are required');
+  }
+
+  return options;
+};
+
+const main = async () => {
+  try {
+    const { email, role, remove } = parseArgs(process.argv.slice(2));
+
+    await connectDB(process.env.MONGO_URI);
+    await seedRoles();
+
+    if (!await Role.exists({ name: role })) {
+      throw new Error(`Role "${role}" does not exist`);
+    }
+
+    const user = await User.findOneAndUpdate(
+      { email },
+      remove ? { $pull: { roles: role } } : { $addToSet: { roles: role } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error(`No user with email ${email}`);
+    }
+
+    console.log(`✅ ${remove ? 'Removed' : 'Assigned'} role "${role}" ${remove ? 'from' : 'to'} ${user.email}`);
+    console.log(`   Roles: ${user.roles.join(', ') || '(none)'}`);
+
+    await disconnectDB();
+  } catch (error) {
+    console.error('❌ Failed to update roles:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,51 @@
+/**
+ * Drop Legacy Codes
+ * One-off migration after one-time codes moved from the User document to the
+ * OneTimeCode collection
+ *
+ * Usage:
+ *   npm run users:drop-legacy-codes
+ *
+ * Drops the TTL indexes that were declared on the old `emailVerification` and
+ * `passwordReset` subdocuments (MongoDB keeps them after the schema changes,
+ * and a TTL index on a user field deletes the whole user) and removes the
+ * leftover fields.
+ * Codes that were pending are lost: users simply request a new one.
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const User = require('../models/User');
+
+const LEGACY_FIELDS = ['emailVerification', 'passwordReset'];
+
+const main = async () => {
+  try {
+    await connectDB(process.env.MONGO_URI);
+
+    const indexes = await User.collection.indexes();
+    const legacyIndexes = indexes.filter(index => (
+      Object.keys(index.key).some(field => LEGACY_FIELDS.includes(field.split('.')[0]))
+    ));
+
+    for (const index of legacyIndexes) {
+      await User.collection.dropIndex(index.name);
+      console.log(`🗑️ Dropped index ${index.name}`);
+    }
+
+    const result = await User.collection.updateMany(
+      { $or: LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } })) },
+      { $unset: Object.fromEntries(LEGACY_FIELDS.map(field => [field, 1])) }
+    );
+
+    console.log(`✅ Removed legacy codes from ${result.modifiedCount} user${result.modifiedCount === 1 ? '' : 's'}`);
+
+    await disconnectDB();
+  } catch (error) {
+    console.error('❌ Failed to drop legacy codes:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,121 @@
+/**
+ * Import Users
+ * Creates accounts from another system, keeping their existing password hashes
+ *
+ * Usage:
+ *   npm run users:import -- --file users.json [--verified]
+ *
+ * The file holds a JSON array of users:
+ *   [{ "email": "user@example.com", "passwordHash": "$pbkdf2-sha256$i=29000$...", "name": "Jane Doe" }]
+ *
+ * Supported hash formats are bcrypt, scrypt and PBKDF2 (PHC/passlib or Django).
+ * Each hash is replaced with one from the configured hasher the first time the
+ * user signs in. Emails that already have an account are skipped. Imported
+ * accounts must verify their email unless --verified is given or the entry has
+ * `"emailVerified": true`.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+
+const { connectDB, disconnectDB } = require('../config/db');
+const User = require('../models/User');
+const passwordHash = require('../utils/passwordHash');
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options { file, verified }
+ */
+const parseArgs = (argv) => {
+  const options = { file: null, verified: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--file':
+        options.file = argv[++i] || null;
+        break;
+      case '--verified':
+        options.verified = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('--file is required');
+  }
+
+  return options;
+};
+
+/**
+ * Import one user
+ * @param {Object} entry - User entry from the file
+ * @param {boolean} verified - Mark the email as verified
+ * @returns {Promise<string>} "imported" or "skipped"
+ * @throws {Error} If the entry cannot be imported
+ */
+const importUser = async (entry, verified) => {
+  const email = String(entry.email || '').toLowerCase().trim();
+
+  if (!email) {
+    throw new Error('missing email');
+  }
+
+  if (!passwordHash.identify(entry.passwordHash)) {
+    throw new Error(`${email}: unsupported password hash format`);
+  }
+
+  if (await User.exists({ email })) {
+    return 'skipped';
+  }
+
+  try {
+    await User.create({
+      email,
+      passwordHash: entry.passwordHash,
+      name: entry.name?.trim() || null,
+      emailVerified: verified || entry.emailVerified === true
+    });
+  } catch (error) {
+    throw new Error(`${email}: ${error.message}`);
+  }
+
+  return 'imported';
+};
+
+const main = async () => {
+  try {
+    const { file, verified } = parseArgs(process.argv.slice(2));
+
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error('The file must contain a JSON array of users');
+    }
+
+    await connectDB(process.env.MONGO_URI);
+
+    const counts = { imported: 0, skipped: 0, failed: 0 };
+
+    for (const entry of entries) {
+      try {
+        counts[await importUser(entry, verified)]++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`⚠️ ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Imported ${counts.imported}, skipped ${counts.skipped} existing, ${counts.failed} failed`);
+
+    await disconnectDB();
+  } catch (error) {
+    console.error('❌ Failed to import users:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
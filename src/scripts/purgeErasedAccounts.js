@@ -0,0 +1,32 @@
+/**
+ * Purge Erased Accounts
+ * Runs the account erasure job once, e.g. from cron when the job is not run by the server
+ *
+ * Usage:
+ *   npm run users:purge-erased
+ *
+ * Accounts whose erasure grace period has ended are deleted together with their
+ * sessions, tokens, devices and passkeys. Audit records are kept but anonymised.
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const privacyService = require('../services/privacyService');
+
+const main = async () => {
+  try {
+    await connectDB(process.env.MONGO_URI);
+
+    const erased = await privacyService.purgeDueAccounts();
+
+    console.log(`✅ Erased ${erased} account${erased === 1 ? '' : 's'}`);
+
+    await disconnectDB();
+  } catch (error) {
+    console.error('❌ Failed to purge erased accounts:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,76 @@
+/**
+ * Register OpenID Connect Client
+ * Creates a client application allowed to sign users in through this server
+ *
+ * Usage:
+ *   npm run oidc:register-client -- --name "My App" --redirect-uri https://app.example.com/callback
+ *   [--redirect-uri <another>] [--public] [--trusted]
+ *
+ * --public   Client cannot keep a secret (SPA / mobile), PKCE only
+ * --trusted  First-party client, the consent screen is skipped
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const OAuthClient = require('../models/OAuthClient');
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Registration options
+ */
+const parseArgs = (argv) => {
+  const options = { name: null, redirectUris: [], confidential: true, trusted: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--name':
+        options.name = argv[++i];
+        break;
+      case '--redirect-uri':
+        options.redirectUris.push(argv[++i]);
+        break;
+      case '--public':
+        options.confidential = false;
+        break;
+      case '--trusted':
+        options.trusted = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.name || options.redirectUris.length === 0) {
+    throw new Error('--name and at least one --redirect-uri are required');
+  }
+
+  return options;
+};
+
+const main = async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    await connectDB(process.env.MONGO_URI);
+
+    const { client, clientSecret } = await OAuthClient.register(options);
+
+    console.log('✅ Client registered');
+    console.log(`   Name:          ${client.name}`);
+    console.log(`   Client ID:     ${client.clientId}`);
+    if (clientSecret) {
+      console.log(`   Client secret: ${clientSecret}`);
+      console.log('   Store the secret now, it cannot be shown again.');
+    }
+    console.log(`   Redirect URIs: ${client.redirectUris.join(', ')}`);
+
+    await disconnectDB();
+  } catch (error) {
+    console.error('❌ Failed to register client:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,41 @@
+/**
+ * Rotate JWT Signing Keys
+ * Creates a new signing key ahead of the scheduled rotation
+ *
+ * Usage:
+ *   npm run keys:rotate [-- --immediate]
+ *
+ * By default the new key is published first and starts signing a few minutes
+ * later, once every instance has reloaded its keyring. Use --immediate only
+ * when the current key is compromised: older keys stop verifying right away,
+ * so every access token signed with them is rejected and clients refresh.
+ * Instances that have not reloaded yet will reject tokens signed with the new
+ * key, and keep trusting the old one, until they do.
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const keyService = require('../services/keyService');
+
+const main = async () => {
+  try {
+    const immediate = process.argv.includes('--immediate');
+
+    await connectDB(process.env.MONGO_URI);
+
+    const key = await keyService.rotateKeys({ immediate });
+
+    console.log('✅ Signing key rotated');
+    console.log(`   Key ID:    ${key.kid}`);
+    console.log(`   Algorithm: ${key.alg}`);
+    console.log(`   Active at: ${key.activatesAt.toISOString()}`);
+
+    await disconnectDB();
+  } catch (error) {
+    console.error('❌ Failed to rotate signing keys:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
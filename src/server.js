@@ -16,10 +16,17 @@ const rateLimit = require('express-rate-limit');
 const { connectDB } = require('./config/db');
 const { initMailer } = require('./config/mailer');
 const { errorHandler } = require('./middleware/errorHandler');
+const { parseCookies } = require('./middleware/cookies');
+const { initKeyring } = require('./services/keyService');
+const { seedRoles } = require('./services/roleService');
+const { startErasureJob } = require('./services/privacyService');
+const User = require('./models/User');
 
 // Route handlers
 const authRoutes = require('./routes/auth');
 const protectedRoutes = require('./routes/protected');
+const adminRoutes = require('./routes/admin');
+const oidcRoutes = require('./routes/oidc');
 
 /**
  * Initialize Express application with middleware
@@ -32,12 +39,15 @@ app.use(helmet());
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 
+// Cookie parsing (used by the cookie session mode)
+app.use(parseCookies);
+
 // CORS configuration
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
 }));
 
 // Rate limiting for authentication routes
@@ -58,8 +68,12 @@ const authLimiter = rateLimit({
 
 // API routes
 app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', protectedRoutes);
 
+// OpenID Connect provider endpoints (issuer root)
+app.use(oidcRoutes);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -95,6 +109,18 @@ const startServer = async () => {
     
     // Connect to MongoDB
     await connectDB(process.env.MONGO_URI);
+
+    // Refuse to run while a leftover TTL index could delete users
+    await User.assertNoTtlIndexes();
+
+    // Load (or create) the JWT signing keys
+    await initKeyring();
+
+    // Make sure the built-in roles (e.g. admin) exist
+    await seedRoles();
+
+    // Permanently erase accounts whose erasure grace period has ended
+    startErasureJob();
     
     // Start HTTP server
     app.listen(PORT, () => {
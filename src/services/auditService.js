@@ -0,0 +1,127 @@
+/**
+ * Audit Service
+ * Records security-relevant account events in the AuditEvent collection
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audited actions
+ */
+const ACTIONS = {
+  SIGNUP: 'signup',
+  SIGNIN: 'signin',
+  SIGNIN_REPORTED: 'signin_reported',
+  VERIFY_EMAIL: 'verify_email',
+  FORGOT_PASSWORD: 'forgot_password',
+  RESET_PASSWORD: 'reset_password',
+  PASSWORD_CHANGE: 'password_change',
+  PASSWORD_CHANGE_REQUIRED: 'password_change_required',
+  ACCOUNT_UNLOCK: 'account_unlock',
+  ROLES_UPDATE: 'roles_update',
+  MFA_ENABLE: 'mfa_enable',
+  MFA_DISABLE: 'mfa_disable',
+  RECOVERY_CODES_REGENERATE: 'recovery_codes_regenerate',
+  PASSKEY_ADD: 'passkey_add',
+  PASSKEY_REMOVE: 'passkey_remove',
+  PROFILE_UPDATE: 'profile_update',
+  EMAIL_CHANGE_REQUEST: 'email_change_request',
+  EMAIL_CHANGE: 'email_change',
+  EMAIL_CHANGE_CANCEL: 'email_change_cancel',
+  ACCOUNT_DEACTIVATE: 'account_deactivate',
+  ACCOUNT_REACTIVATE: 'account_reactivate',
+  DATA_EXPORT: 'data_export',
+  ERASURE_REQUEST: 'erasure_request',
+  ERASURE_CANCEL: 'erasure_cancel',
+  ACCOUNT_ERASE: 'account_erase'
+};
+
+/**
+ * Record an audit event
+ * Never throws: a failed audit write is logged and must not break the request.
+ * @param {Object} req - Express request, used for IP, user agent and impersonator
+ * @param {Object} event - Event details
+ * @param {string} event.action - One of ACTIONS
+ * @param {string} event.outcome - "success" or "failure"
+ * @param {Object|string} event.user - User document or ID the event is about
+ * @param {string} event.email - Email address used (defaults to the user's)
+ * @param {string} event.actor - User acting on the account's behalf (defaults to the impersonator)
+ * @param {string} event.reason - Failure reason
+ * @param {Object} event.metadata - Additional details
+ * @returns {Promise<Object|null>} AuditEvent document, or null if the write failed
+ */
+const record = async (req, {
+  action,
+  outcome = 'success',
+  user = null,
+  email = null,
+  actor = null,
+  reason = null,
+  metadata = null
+}) => {
+  try {
+    return await AuditEvent.create({
+      user: user?._id || user,
+      email: email || user?.email || null,
+      actor: actor || req?.user?.impersonator?.id || null,
+      action,
+      outcome,
+      reason,
+      ip: req?.ip || null,
+      userAgent: req?.get?.('User-Agent') || null,
+      metadata
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error.message || error);
+    return null;
+  }
+};
+
+/**
+ * Record a successful event
+ * @param {Object} req - Express request object
+ * @param {string} action - One of ACTIONS
+ * @param {Object} details - See record()
+ * @returns {Promise<Object|null>} AuditEvent document
+ */
+const success = (req, action, details = {}) => {
+  return record(req, { ...details, action, outcome: 'success' });
+};
+
+/**
+ * Record a failed event
+ * @param {Object} req - Express request object
+ * @param {string} action - One of ACTIONS
+ * @param {string} reason - Machine readable failure reason
+ * @param {Object} details - See record()
+ * @returns {Promise<Object|null>} AuditEvent document
+ */
+const failure = (req, action, reason, details = {}) => {
+  return record(req, { ...details, action, outcome: 'failure', reason });
+};
+
+/**
+ * Find audit events, newest first
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} pagination - { limit, skip }
+ * @returns {Promise<Object>} { events, total }
+ */
+const findEvents = async (filter, { limit, skip }) => {
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    AuditEvent.countDocuments(filter)
+  ]);
+
+  return { events, total };
+};
+
+module.exports = {
+  ACTIONS,
+  record,
+  success,
+  failure,
+  findEvents
+};
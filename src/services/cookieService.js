@@ -0,0 +1,202 @@
+/**
+ * Cookie Service
+ * Optional cookie session mode: access and refresh tokens travel in HttpOnly
+ * cookies instead of response bodies, with a double-submit CSRF token.
+ * Also holds the cookie that ties a social login to the browser that started it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Configuration constants
+const CONFIG = {
+  ENABLED: process.env.AUTH_COOKIE_MODE === 'true',
+  SECURE: process.env.AUTH_COOKIE_SECURE !== 'false',
+  SAME_SITE: (process.env.AUTH_COOKIE_SAMESITE || 'lax').toLowerCase(),
+  DOMAIN: process.env.AUTH_COOKIE_DOMAIN || undefined,
+  REFRESH_TOKEN_EXPIRES_DAYS: Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+  ACCESS_COOKIE: 'token',
+  REFRESH_COOKIE: 'refreshToken',
+  CSRF_COOKIE: 'csrfToken',
+  CSRF_HEADER: 'x-csrf-token',
+  // The refresh token is only sent to the refresh and logout endpoints
+  REFRESH_PATH: '/api/auth',
+  OAUTH_STATE_COOKIE: 'oauthState',
+  OAUTH_STATE_PATH: '/api/auth/oauth',
+  CSRF_TOKEN_BYTES: 32
+};
+
+if (!['strict', 'lax', 'none'].includes(CONFIG.SAME_SITE)) {
+  throw new Error('AUTH_COOKIE_SAMESITE must be strict, lax or none');
+}
+
+if (CONFIG.SAME_SITE === 'none' && !CONFIG.SECURE) {
+  throw new Error('AUTH_COOKIE_SAMESITE=none requires secure cookies');
+}
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Build the options shared by every auth cookie
+ * @param {Object} options - Cookie-specific options
+ * @returns {Object} Options for res.cookie / res.clearCookie
+ */
+const cookieOptions = (options = {}) => {
+  return {
+    httpOnly: true,
+    secure: CONFIG.SECURE,
+    sameSite: CONFIG.SAME_SITE,
+    domain: CONFIG.DOMAIN,
+    path: '/',
+    ...options
+  };
+};
+
+/**
+ * Get how long an access token stays valid
+ * @param {string} token - Access token
+ * @returns {number} Milliseconds until it expires
+ */
+const getTokenMaxAge = (token) => {
+  const { exp } = jwt.decode(token) || {};
+  return exp ? Math.max(exp * 1000 - Date.now(), 0) : undefined;
+};
+
+/**
+ * Cookie Functions
+ */
+
+/**
+ * Set a new CSRF token cookie
+ * The cookie is readable by the page, which echoes it in the X-CSRF-Token header.
+ * @param {Object} res - Express response object
+ * @returns {string} CSRF token
+ */
+const issueCsrfToken = (res) => {
+  const csrfToken = crypto.randomBytes(CONFIG.CSRF_TOKEN_BYTES).toString('base64url');
+
+  res.cookie(CONFIG.CSRF_COOKIE, csrfToken, cookieOptions({
+    httpOnly: false,
+    maxAge: CONFIG.REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  }));
+
+  return csrfToken;
+};
+
+/**
+ * Move the tokens of a signin or refresh response into cookies
+ * Does nothing unless AUTH_COOKIE_MODE is on and the body carries a token
+ * (e.g. not for a 2FA challenge).
+ * @param {Object} res - Express response object
+ * @param {Object} body - Response body with `token` and `refreshToken`
+ * @returns {Object} Body to send: without the tokens, with a fresh `csrfToken`
+ */
+const applySessionCookies = (res, body) => {
+  if (!CONFIG.ENABLED || !body?.token) {
+    return body;
+  }
+
+  const { token, refreshToken, ...rest } = body;
+
+  res.cookie(CONFIG.ACCESS_COOKIE, token, cookieOptions({
+    maxAge: getTokenMaxAge(token)
+  }));
+
+  if (refreshToken) {
+    res.cookie(CONFIG.REFRESH_COOKIE, refreshToken, cookieOptions({
+      path: CONFIG.REFRESH_PATH,
+      maxAge: CONFIG.REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+    }));
+  }
+
+  return {
+    ...rest,
+    csrfToken: issueCsrfToken(res)
+  };
+};
+
+/**
+ * Clear the session and CSRF cookies
+ * @param {Object} res - Express response object
+ */
+const clearSessionCookies = (res) => {
+  if (!CONFIG.ENABLED) {
+    return;
+  }
+
+  res.clearCookie(CONFIG.ACCESS_COOKIE, cookieOptions());
+  res.clearCookie(CONFIG.REFRESH_COOKIE, cookieOptions({ path: CONFIG.REFRESH_PATH }));
+  res.clearCookie(CONFIG.CSRF_COOKIE, cookieOptions({ httpOnly: false }));
+};
+
+/**
+ * Remember the state of a social login in the browser that started it
+ * Always set (cookie session mode or not). SameSite=Lax so it is sent when
+ * the provider redirects back.
+ * @param {Object} res - Express response object
+ * @param {string} state - OAuth state parameter
+ * @param {Date} expiresAt - When the sign in request expires
+ */
+const setOAuthStateCookie = (res, state, expiresAt) => {
+  res.cookie(CONFIG.OAUTH_STATE_COOKIE, state, cookieOptions({
+    sameSite: 'lax',
+    path: CONFIG.OAUTH_STATE_PATH,
+    expires: expiresAt
+  }));
+};
+
+/**
+ * Read and clear the social login state cookie
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string|null} State stored when the sign in started
+ */
+const takeOAuthStateCookie = (req, res) => {
+  res.clearCookie(CONFIG.OAUTH_STATE_COOKIE, cookieOptions({
+    sameSite: 'lax',
+    path: CONFIG.OAUTH_STATE_PATH
+  }));
+
+  return req.cookies?.[CONFIG.OAUTH_STATE_COOKIE] || null;
+};
+
+/**
+ * Get the refresh token from the request body or, in cookie mode, the refresh cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null} Refresh token
+ */
+const getRefreshToken = (req) => {
+  const { refreshToken } = req.body || {};
+
+  if (typeof refreshToken === 'string' && refreshToken) {
+    return refreshToken;
+  }
+
+  if (CONFIG.ENABLED && typeof req.cookies?.[CONFIG.REFRESH_COOKIE] === 'string') {
+    return req.cookies[CONFIG.REFRESH_COOKIE];
+  }
+
+  return null;
+};
+
+/**
+ * Check whether the request carries session cookies (and so needs a CSRF token)
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if an access or refresh cookie was sent
+ */
+const hasSessionCookies = (req) => {
+  return !!(req.cookies?.[CONFIG.ACCESS_COOKIE] || req.cookies?.[CONFIG.REFRESH_COOKIE]);
+};
+
+module.exports = {
+  CONFIG,
+  issueCsrfToken,
+  applySessionCookies,
+  clearSessionCookies,
+  setOAuthStateCookie,
+  takeOAuthStateCookie,
+  getRefreshToken,
+  hasSessionCookies
+};
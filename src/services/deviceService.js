@@ -0,0 +1,269 @@
+/**
+ * Device Service
+ * Remembers the devices a user signs in from and emails an alert for new ones
+ */
+
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const KnownDevice = require('../models/KnownDevice');
+const { sendMail } = require('../config/mailer');
+const passwordService = require('./passwordService');
+const auditService = require('./auditService');
+const { AppError } = require('../middleware/errorHandler');
+const { escapeHtml } = require('../utils/html');
+
+// Configuration constants
+const CONFIG = {
+  ALERTS_ENABLED: process.env.NEW_DEVICE_ALERTS !== 'false',
+  DEVICE_EXPIRES_DAYS: Number(process.env.KNOWN_DEVICE_EXPIRES_DAYS) || 180,
+  REPORT_EXPIRES_DAYS: Number(process.env.SIGNIN_REPORT_EXPIRES_DAYS) || 7,
+  REPORT_TOKEN_BYTES: 32,
+  REPORT_URL: process.env.SIGNIN_REPORT_URL || `http://localhost:${process.env.PORT || 4000}/api/auth/report-signin`
+};
+
+// Location headers set by common proxies and CDNs: [city, region, country]
+const LOCATION_HEADERS = [
+  ['cf-ipcity', 'cf-region', 'cf-ipcountry'],
+  ['x-vercel-ip-city', 'x-vercel-ip-country-region', 'x-vercel-ip-country'],
+  ['cloudfront-viewer-city', 'cloudfront-viewer-country-region', 'cloudfront-viewer-country'],
+  ['x-geo-city', 'x-geo-region', 'x-geo-country']
+];
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Hash a report token using SHA-256
+ * @param {string} token - Raw token
+ * @returns {string} Hashed token
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Strip version numbers so browser updates don't look like a new device
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Normalised user agent
+ */
+const normalizeUserAgent = (userAgent) => {
+  return (userAgent || '')
+    .toLowerCase()
+    .replace(/\d+([._]\d+)*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Reduce an IP address to its network prefix (/24 for IPv4, /48 for IPv6)
+ * @param {string} ip - IP address
+ * @returns {string|null} IP prefix
+ */
+const getIpPrefix = (ip) => {
+  if (!ip) {
+    return null;
+  }
+
+  // IPv4-mapped IPv6 addresses (::ffff:203.0.113.7)
+  const address = ip.replace(/^::ffff:/i, '');
+
+  if (address.includes('.')) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  const groups = address.split('::')[0].split(':');
+  return `${groups.slice(0, 3).join(':')}::/48`;
+};
+
+/**
+ * Approximate location from proxy or CDN geolocation headers
+ * @param {Object} req - Express request object
+ * @returns {string|null} e.g. "Berlin, BE, DE", or null when unknown
+ */
+const getLocation = (req) => {
+  for (const headers of LOCATION_HEADERS) {
+    const parts = headers
+      .map(header => req?.get?.(header))
+      .filter(value => value && value !== 'XX')
+      .map(value => {
+        try {
+          return decodeURIComponent(value);
+        } catch (error) {
+          return value;
+        }
+      });
+
+    if (parts.length > 0) {
+      return parts.join(', ');
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Fingerprint the device a request comes from
+ * @param {Object} req - Express request object
+ * @returns {Object} { fingerprint, userAgent, ipPrefix }
+ */
+const fingerprintRequest = (req) => {
+  const userAgent = req?.get?.('User-Agent') || null;
+  const ipPrefix = getIpPrefix(req?.ip);
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${normalizeUserAgent(userAgent)}|${ipPrefix || ''}`)
+    .digest('hex');
+
+  return { fingerprint, userAgent, ipPrefix };
+};
+
+/**
+ * Send the new sign in alert
+ * @param {Object} user - User document
+ * @param {Object} details - { time, location, ip, userAgent, reportLink }
+ */
+const sendNewDeviceEmail = async (user, { time, location, ip, userAgent, reportLink }) => {
+  const where = location ? `${location} (IP ${ip})` : `IP ${ip || 'unknown'}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>New Sign In to Your Account</h2>
+      <p>Your account was just signed in to from a device or location we haven't seen before.</p>
+      <ul>
+        <li><strong>Time:</strong> ${time.toUTCString()}</li>
+        <li><strong>Approximate location:</strong> ${escapeHtml(where)}</li>
+        <li><strong>Device:</strong> ${escapeHtml(userAgent || 'Unknown device')}</li>
+      </ul>
+      <p>If this was you, you can ignore this email.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${reportLink}" style="background-color: #c62828; color: #ffffff; padding: 14px 28px; text-decoration: none; border-radius: 4px; font-weight: bold;">This wasn't me</a>
+      </div>
+      <p>The button signs your account out everywhere and emails you a code to choose a new password.</p>
+    </div>
+  `;
+
+  await sendMail({
+    to: user.email,
+    from: process.env.EMAIL_FROM,
+    subject: 'New sign in to your account',
+    html,
+    text: `Your account was signed in to from a new device or location at ${time.toUTCString()} from ${where} (${userAgent || 'unknown device'}). If this wasn't you, open this link to sign out everywhere and reset your password: ${reportLink}`
+  });
+};
+
+/**
+ * Device Functions
+ */
+
+/**
+ * Remember the device of a successful sign in and alert the user if it is new
+ * The very first device of an account is remembered without an alert.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<boolean>} Whether the device was new
+ */
+const checkSigninDevice = async (user, req) => {
+  const { fingerprint, userAgent, ipPrefix } = fingerprintRequest(req);
+  const now = new Date();
+  const location = getLocation(req);
+
+  const result = await KnownDevice.updateOne(
+    { user: user._id, fingerprint },
+    {
+      $set: {
+        ip: req?.ip || null,
+        location,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + CONFIG.DEVICE_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+      },
+      $setOnInsert: { userAgent, ipPrefix }
+    },
+    { upsert: true }
+  );
+
+  if (!result.upsertedId) {
+    return false;
+  }
+
+  const deviceCount = await KnownDevice.countDocuments({ user: user._id });
+  if (!CONFIG.ALERTS_ENABLED || deviceCount <= 1) {
+    return true;
+  }
+
+  // Opaque token stored hashed on the device, so the link outlives signing key rotations
+  const reportToken = crypto.randomBytes(CONFIG.REPORT_TOKEN_BYTES).toString('base64url');
+  await KnownDevice.updateOne(
+    { _id: result.upsertedId },
+    {
+      $set: {
+        reportTokenHash: hashToken(reportToken),
+        reportExpiresAt: new Date(now.getTime() + CONFIG.REPORT_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+      }
+    }
+  );
+  const reportLink = `${CONFIG.REPORT_URL}?token=${encodeURIComponent(reportToken)}`;
+
+  try {
+    await sendNewDeviceEmail(user, { time: now, location, ip: req?.ip, userAgent, reportLink });
+  } catch (mailError) {
+    console.error('Email send error for new device alert:', mailError.message || mailError);
+  }
+
+  // Log for development only: the link signs the account out everywhere
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`🚨 Sign in report link for ${user.email}: ${reportLink}`);
+  }
+
+  return true;
+};
+
+/**
+ * Handle a "this wasn't me" report from a new sign in alert
+ * Forgets the reported device, signs the account out everywhere, requires a new
+ * password at the next sign in and starts a password reset.
+ * @param {string} token - Report token from the alert email
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { user, sessionsRevoked }
+ * @throws {AppError} If the link is invalid, expired or already used
+ */
+const reportSignin = async (token, req) => {
+  const device = await KnownDevice.findOneAndDelete({
+    reportTokenHash: hashToken(token),
+    reportExpiresAt: { $gt: new Date() }
+  });
+  const user = device && await User.findById(device.user);
+
+  if (!user) {
+    throw new AppError('This link is invalid, has expired or has already been used.', 400);
+  }
+
+  // Whoever signed in may know the password: it must not work again
+  user.passwordChangeRequired = true;
+  await user.save();
+
+  const sessionsRevoked = await passwordService.revokeAccess(user);
+  await passwordService.startPasswordReset(user);
+
+  auditService.success(req, auditService.ACTIONS.SIGNIN_REPORTED, {
+    user,
+    metadata: {
+      sessionsRevoked,
+      device: {
+        userAgent: device.userAgent,
+        ip: device.ip,
+        location: device.location
+      }
+    }
+  });
+
+  return { user, sessionsRevoked };
+};
+
+module.exports = {
+  CONFIG,
+  checkSigninDevice,
+  reportSignin
+};
@@ -0,0 +1,340 @@
+/**
+ * Email Change Service
+ * Moves an account to a new email address once the new address is verified,
+ * while the old address can still cancel (or undo) the change for a while
+ */
+
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const EmailChange = require('../models/EmailChange');
+const { sendMail } = require('../config/mailer');
+const sessionService = require('./sessionService');
+const passwordService = require('./passwordService');
+const otpService = require('./otpService');
+const { AppError } = require('../middleware/errorHandler');
+const { escapeHtml } = require('../utils/html');
+
+const { PURPOSES } = otpService;
+
+// Configuration constants
+const CONFIG = {
+  CODE_EXPIRES_MIN: otpService.CONFIG.CODE_EXPIRES_MIN,
+  CANCEL_WINDOW_HOURS: Number(process.env.EMAIL_CHANGE_CANCEL_HOURS) || 72,
+  CANCEL_URL: process.env.EMAIL_CHANGE_CANCEL_URL || `http://localhost:${process.env.PORT || 4000}/api/auth/email-change/cancel`
+};
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Hash a cancel token using SHA-256
+ * @param {string} token - Raw token
+ * @returns {string} Hashed token
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check for the duplicate key error raised by the unique email index
+ * @param {Error} error - Error thrown by MongoDB
+ * @returns {boolean} Whether the error is a duplicate email
+ */
+const isDuplicateEmailError = (error) => {
+  return error?.code === 11000 && !!(error.keyPattern?.email || error.keyValue?.email);
+};
+
+/**
+ * Send the verification code to the new address
+ * @param {string} newEmail - New email address
+ * @param {string} code - Verification code
+ */
+const sendEmailChangeCode = async (newEmail, code) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Confirm Your New Email Address</h2>
+      <p>Use the following code to finish moving your account to this email address:</p>
+      <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">
+        ${code}
+      </div>
+      <p><strong>This code will expire in ${CONFIG.CODE_EXPIRES_MIN} minutes.</strong></p>
+      <p>If you didn't request this change, please ignore this email.</p>
+    </div>
+  `;
+
+  await sendMail({
+    to: newEmail,
+    from: process.env.EMAIL_FROM,
+    subject: 'Confirm your new email address',
+    html,
+    text: `Your code to confirm your new email address is ${code}. It expires in ${CONFIG.CODE_EXPIRES_MIN} minutes.`
+  });
+};
+
+/**
+ * Tell the old address about the requested change
+ * @param {string} oldEmail - Current email address
+ * @param {string} newEmail - Requested email address
+ * @param {string} cancelLink - Link that cancels or undoes the change
+ */
+const sendEmailChangeNotice = async (oldEmail, newEmail, cancelLink) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Email Address Change Requested</h2>
+      <p>Someone asked to move your account from this address to <strong>${escapeHtml(newEmail)}</strong>. The change takes effect once the new address is confirmed.</p>
+      <p>If this wasn't you, cancel the change. The link also undoes a change that was already confirmed, signs your account out everywhere and sends you a code to choose a new password.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${cancelLink}" style="background-color: #c62828; color: #ffffff; padding: 14px 28px; text-decoration: none; border-radius: 4px; font-weight: bold;">Cancel this change</a>
+      </div>
+      <p><strong>This link works for ${CONFIG.CANCEL_WINDOW_HOURS} hours.</strong></p>
+    </div>
+  `;
+
+  await sendMail({
+    to: oldEmail,
+    from: process.env.EMAIL_FROM,
+    subject: 'Your account email address is being changed',
+    html,
+    text: `Someone asked to move your account to ${newEmail}. If this wasn't you, open this link within ${CONFIG.CANCEL_WINDOW_HOURS} hours to cancel or undo the change: ${cancelLink}`
+  });
+};
+
+/**
+ * Email Change Functions
+ */
+
+/**
+ * Find the pending email change of a user
+ * @param {string} userId - User ID
+ * @returns {Promise} Promise that resolves to the email change document or null
+ */
+const findPendingChange = (userId) => {
+  return EmailChange.findOne({ user: userId, status: 'pending' });
+};
+
+/**
+ * Start moving a user to a new email address
+ * Replaces any change that is still pending.
+ * @param {Object} user - User document (password already confirmed)
+ * @param {string} newEmail - Normalised new email address
+ * @returns {Promise<Object>} { change, devCode } (devCode only when delivery failed outside production)
+ * @throws {AppError} If the address is the current one or already in use
+ */
+const requestEmailChange = async (user, newEmail) => {
+  if (newEmail === user.email) {
+    throw new AppError('This is already your email address', 400);
+  }
+
+  if (await User.exists({ email: newEmail })) {
+    throw new AppError('An account with this email already exists', 409);
+  }
+
+  const now = new Date();
+
+  await EmailChange.updateMany(
+    { user: user._id, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledBy: 'replaced', cancelledAt: now } }
+  );
+
+  // Replaces the code of any earlier request
+  const { code, expiresAt: codeExpiresAt } = await otpService.issueCode(user, PURPOSES.EMAIL_CHANGE);
+  const cancelToken = crypto.randomBytes(32).toString('base64url');
+
+  const change = await EmailChange.create({
+    user: user._id,
+    oldEmail: user.email,
+    newEmail,
+    codeExpiresAt,
+    cancelTokenHash: hashToken(cancelToken),
+    expiresAt: new Date(now.getTime() + CONFIG.CANCEL_WINDOW_HOURS * 3600000)
+  });
+
+  const cancelLink = `${CONFIG.CANCEL_URL}?token=${encodeURIComponent(cancelToken)}`;
+
+  try {
+    await sendEmailChangeNotice(user.email, newEmail, cancelLink);
+  } catch (mailError) {
+    console.error('Email send error for email change notice:', mailError.message || mailError);
+  }
+
+  let devCode = null;
+
+  try {
+    await sendEmailChangeCode(newEmail, code);
+  } catch (mailError) {
+    console.error('Email send error for email change code:', mailError.message || mailError);
+    if (process.env.NODE_ENV === 'production') {
+      throw new AppError('Failed to send the verification code. Please try again.', 500);
+    }
+    devCode = code;
+  }
+
+  // Log for development (remove in production)
+  if (process.env.NODE_ENV !== 'production') {
+    console.log(`📧 Email change code for ${newEmail}: ${code}`);
+    console.log(`↩️ Email change cancel link for ${user.email}: ${cancelLink}`);
+  }
+
+  return { change, devCode };
+};
+
+/**
+ * Confirm the pending email change with the code sent to the new address
+ * @param {Object} user - User document
+ * @param {string} code - Verification code
+ * @returns {Promise<Object>} Completed email change document
+ * @throws {AppError} If there is no pending change, the code is wrong or the address was taken meanwhile
+ */
+const verifyEmailChange = async (user, code) => {
+  const change = await findPendingChange(user._id);
+
+  if (!change) {
+    throw new AppError('No pending email change. Please request a new one.', 400);
+  }
+
+  const result = await otpService.verifyCode(user, PURPOSES.EMAIL_CHANGE, code);
+
+  if (!result.valid) {
+    if (result.reason === 'too_many_attempts') {
+      change.status = 'cancelled';
+      change.cancelledBy = 'too_many_attempts';
+      change.cancelledAt = new Date();
+      await change.save();
+      throw new AppError('Too many incorrect codes. Please request a new email change.', 400);
+    }
+
+    const messages = {
+      no_code: 'No verification code found. Please request a new email change.',
+      code_expired: 'Verification code has expired. Please request a new email change.',
+      invalid_code: 'Invalid verification code'
+    };
+
+    throw new AppError(messages[result.reason], 400);
+  }
+
+  // The unique index is the final word: another account may have taken the
+  // address after the request was made
+  let updated;
+  try {
+    updated = await User.updateOne(
+      { _id: user._id, email: change.oldEmail },
+      { $set: { email: change.newEmail, emailVerified: true } }
+    );
+  } catch (error) {
+    if (!isDuplicateEmailError(error)) {
+      throw error;
+    }
+    updated = null;
+  }
+
+  if (!updated || updated.matchedCount === 0) {
+    change.status = 'cancelled';
+    change.cancelledBy = 'email_taken';
+    change.cancelledAt = new Date();
+    await change.save();
+
+    throw updated
+      ? new AppError('Your email address changed since this request. Please request a new one.', 409)
+      : new AppError('An account with this email already exists', 409);
+  }
+
+  change.status = 'completed';
+  change.completedAt = new Date();
+  await change.save();
+
+  return change;
+};
+
+/**
+ * Cancel the user's own pending email change
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Cancelled email change document, or null if none was pending
+ */
+const cancelPendingChange = async (userId) => {
+  const change = await EmailChange.findOneAndUpdate(
+    { user: userId, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledBy: 'user', cancelledAt: new Date() } },
+    { new: true }
+  );
+
+  if (change) {
+    await otpService.revokeCodes(userId, PURPOSES.EMAIL_CHANGE);
+  }
+
+  return change;
+};
+
+/**
+ * Cancel or undo an email change from the link sent to the old address
+ * Undoing a completed change also signs the account out everywhere and
+ * emails a password reset code to the restored address.
+ * @param {string} token - Cancel token from the notice email
+ * @returns {Promise<Object>} { change, reverted, sessionsRevoked }
+ * @throws {AppError} If the link is invalid or expired, or the old address was taken meanwhile
+ */
+const cancelByOldAddress = async (token) => {
+  const now = new Date();
+
+  const change = await EmailChange.findOne({
+    cancelTokenHash: hashToken(token),
+    status: { $in: ['pending', 'completed'] },
+    expiresAt: { $gt: now }
+  });
+
+  if (!change) {
+    throw new AppError('This link is invalid or has expired.', 400);
+  }
+
+  if (change.status === 'pending') {
+    change.status = 'cancelled';
+    change.cancelledBy = 'old_address';
+    change.cancelledAt = now;
+    await change.save();
+    await otpService.revokeCodes(change.user, PURPOSES.EMAIL_CHANGE);
+
+    return { change, reverted: false, sessionsRevoked: 0 };
+  }
+
+  let result;
+  try {
+    result = await User.updateOne(
+      { _id: change.user, email: change.newEmail },
+      { $set: { email: change.oldEmail } }
+    );
+  } catch (error) {
+    if (!isDuplicateEmailError(error)) {
+      throw error;
+    }
+    throw new AppError('Your previous email address is now used by another account. Please contact support.', 409);
+  }
+
+  if (result.matchedCount === 0) {
+    throw new AppError('This email change can no longer be undone. Please contact support.', 409);
+  }
+
+  change.status = 'reverted';
+  change.cancelledBy = 'old_address';
+  change.cancelledAt = now;
+  await change.save();
+
+  // Whoever confirmed the change may still be signed in
+  const sessionsRevoked = await sessionService.revokeAllSessions(change.user);
+
+  const user = await User.findById(change.user);
+  if (user) {
+    await passwordService.startPasswordReset(user);
+  }
+
+  return { change, reverted: true, sessionsRevoked };
+};
+
+module.exports = {
+  CONFIG,
+  findPendingChange,
+  requestEmailChange,
+  verifyEmailChange,
+  cancelPendingChange,
+  cancelByOldAddress
+};
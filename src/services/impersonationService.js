@@ -0,0 +1,140 @@
+/**
+ * Impersonation Service
+ * Lets an admin act as a user through a short-lived, clearly marked token
+ */
+
+const User = require('../models/User');
+const Impersonation = require('../models/Impersonation');
+const sessionService = require('./sessionService');
+const tokenService = require('./tokenService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  EXPIRES_MIN: Number(process.env.IMPERSONATION_EXPIRES_MIN) || 15
+};
+
+/**
+ * Start impersonating a user
+ * The token carries an RFC 8693 `act` claim naming the admin. It has no
+ * refresh token and cannot be renewed.
+ * @param {Object} admin - Admin user document
+ * @param {Object} target - User to impersonate
+ * @param {string} reason - Why the admin needs access (kept for the audit trail)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Token and impersonation record
+ * @throws {AppError} If the target cannot be impersonated
+ */
+const startImpersonation = async (admin, target, reason, req) => {
+  if (String(admin._id) === String(target._id)) {
+    throw new AppError('You cannot impersonate yourself', 400);
+  }
+
+  if (!target.isActive) {
+    throw new AppError('Cannot impersonate a deactivated account', 400);
+  }
+
+  if (target.roles.includes('admin')) {
+    throw new AppError('Administrators cannot be impersonated', 403);
+  }
+
+  const expiresAt = new Date(Date.now() + CONFIG.EXPIRES_MIN * 60000);
+  const session = await sessionService.createSession(target, req, expiresAt, {
+    impersonator: admin._id
+  });
+
+  const impersonation = await Impersonation.create({
+    user: target._id,
+    impersonator: admin._id,
+    impersonatorEmail: admin.email,
+    session: session._id,
+    reason,
+    ip: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || null,
+    expiresAt
+  });
+
+  const token = await tokenService.issueAccessToken(target, session._id, {
+    claims: {
+      act: {
+        sub: String(admin._id),
+        email: admin.email
+      }
+    },
+    expiresIn: CONFIG.EXPIRES_MIN * 60
+  });
+
+  console.log(`🎭 ${admin.email} started impersonating ${target.email} (${impersonation._id}): ${reason}`);
+
+  return { token, impersonation };
+};
+
+/**
+ * End an impersonation and revoke its session
+ * @param {Object} impersonation - Impersonation document
+ * @param {string} endedBy - 'impersonator', 'logout' or 'admin'
+ * @returns {Promise<Object>} Updated impersonation
+ */
+const stopImpersonation = async (impersonation, endedBy) => {
+  if (!impersonation.isActive) {
+    return impersonation;
+  }
+
+  await sessionService.revokeSession(impersonation.session);
+
+  impersonation.endedAt = new Date();
+  impersonation.endedBy = endedBy;
+  await impersonation.save();
+
+  console.log(`🎭 Impersonation ${impersonation._id} of user ${impersonation.user} ended (${endedBy})`);
+
+  return impersonation;
+};
+
+/**
+ * End the impersonation bound to a session, if there is one
+ * @param {string} sessionId - Session ID of the impersonation token
+ * @param {string} endedBy - 'impersonator' or 'logout'
+ * @returns {Promise<Object|null>} Updated impersonation
+ */
+const stopImpersonationBySession = async (sessionId, endedBy) => {
+  const impersonation = await Impersonation.findOne({ session: sessionId });
+
+  if (!impersonation) {
+    return null;
+  }
+
+  return stopImpersonation(impersonation, endedBy);
+};
+
+/**
+ * Load the admin and target users for a new impersonation
+ * @param {string} adminId - Admin user ID
+ * @param {string} targetId - Target user ID
+ * @returns {Promise<Object>} { admin, target }
+ * @throws {AppError} If either user does not exist
+ */
+const findParticipants = async (adminId, targetId) => {
+  const [admin, target] = await Promise.all([
+    User.findById(adminId),
+    User.findById(targetId)
+  ]);
+
+  if (!admin || !admin.isActive) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!target) {
+    throw new AppError('User not found', 404);
+  }
+
+  return { admin, target };
+};
+
+module.exports = {
+  CONFIG,
+  startImpersonation,
+  stopImpersonation,
+  stopImpersonationBySession,
+  findParticipants
+};
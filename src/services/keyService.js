@@ -0,0 +1,322 @@
+/**
+ * Key Service
+ * Keyring of asymmetric JWT signing keys (RS256 / ES256) with scheduled rotation
+ *
+ * Keys live in MongoDB so every instance signs with the same key. A new key is
+ * published in the JWKS ahead of use, and a replaced key keeps verifying for a
+ * grace period so tokens signed with it stay valid until they expire.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SigningKey = require('../models/SigningKey');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// Configuration constants
+const CONFIG = {
+  ALGORITHM: process.env.JWT_SIGNING_ALG || 'RS256',
+  ISSUER: (process.env.JWT_ISSUER || `http://localhost:${process.env.PORT || 4000}`).replace(/\/$/, ''),
+  AUDIENCE: process.env.JWT_AUDIENCE || 'auth-api',
+  ROTATION_DAYS: Number(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+  // How long a replaced key keeps verifying; must cover the access token lifetimes (see assertGraceCovers)
+  GRACE_HOURS: Number(process.env.JWT_KEY_GRACE_HOURS) || 24,
+  // New keys are published this long before they sign anything
+  PUBLISH_AHEAD_MIN: 10,
+  REFRESH_INTERVAL_MIN: 5
+};
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// In-memory copy of the usable keys, most recently created first
+let keyring = [];
+let refreshTimer = null;
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Compute the RFC 7638 JWK thumbprint, used as the key ID
+ * @param {Object} jwk - Public JWK
+ * @returns {string} Base64url thumbprint
+ */
+const computeKid = (jwk) => {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+/**
+ * Generate a key pair for an algorithm
+ * @param {string} alg - RS256 or ES256
+ * @returns {Object} Node.js key pair
+ */
+const generateKeyPair = (alg) => {
+  if (alg === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+};
+
+/**
+ * Turn a stored key into a keyring entry
+ * @param {Object} doc - Signing key document (with private key selected)
+ * @returns {Object} Keyring entry
+ */
+const toEntry = (doc) => {
+  const privateKey = crypto.createPrivateKey(decrypt(doc.privateKey));
+
+  return {
+    kid: doc.kid,
+    generation: doc.generation,
+    alg: doc.alg,
+    privateKey,
+    publicKey: crypto.createPublicKey(privateKey),
+    publicJwk: doc.publicJwk,
+    activatesAt: doc.activatesAt,
+    expiresAt: doc.expiresAt
+  };
+};
+
+/**
+ * Check that replaced keys verify for longer than a token lives
+ * @param {string|number} expiresIn - Token lifetime (jsonwebtoken format, e.g. "15m" or seconds)
+ * @param {string} setting - Setting that configures the lifetime, for the error message
+ * @throws {Error} If the lifetime exceeds JWT_KEY_GRACE_HOURS
+ */
+const assertGraceCovers = (expiresIn, setting) => {
+  // Let jsonwebtoken parse the lifetime exactly as it does when signing
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+
+  if (exp - iat > CONFIG.GRACE_HOURS * 3600) {
+    throw new Error(`${setting} must not be longer than JWT_KEY_GRACE_HOURS (${CONFIG.GRACE_HOURS}h)`);
+  }
+};
+
+/**
+ * Keyring Management
+ */
+
+/**
+ * Reload the keyring from the database
+ * @returns {Promise<Array>} Keyring entries
+ */
+const loadKeyring = async () => {
+  const docs = await SigningKey.findUsable();
+  keyring = docs.map(toEntry);
+  return keyring;
+};
+
+/**
+ * Create a new signing key and schedule the current keys for retirement
+ * Every key has a generation number one above the key it replaces. The
+ * generation is unique, so when several instances rotate from the same key
+ * only one of them creates a new key.
+ * @param {Object} options - Rotation options
+ * @param {boolean} options.immediate - Sign with the new key right away and stop trusting older keys
+ * @param {number} options.fromGeneration - Generation of the key being replaced (defaults to the latest)
+ * @returns {Promise<Object>} New signing key document
+ * @throws {Error} If another instance rotated from the same key first
+ */
+const rotateKeys = async ({ immediate = false, fromGeneration } = {}) => {
+  if (!SUPPORTED_ALGORITHMS.includes(CONFIG.ALGORITHM)) {
+    throw new Error(`JWT_SIGNING_ALG must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+
+  if (fromGeneration === undefined) {
+    const latest = await SigningKey.findOne().sort({ generation: -1 }).select('generation');
+    fromGeneration = latest?.generation || 0;
+  }
+  const generation = fromGeneration + 1;
+
+  const { privateKey, publicKey } = generateKeyPair(CONFIG.ALGORITHM);
+  const jwk = publicKey.export({ format: 'jwk' });
+  const kid = computeKid(jwk);
+
+  const activatesAt = new Date(Date.now() + (immediate ? 0 : CONFIG.PUBLISH_AHEAD_MIN * 60000));
+
+  let key;
+  try {
+    key = await SigningKey.create({
+      kid,
+      generation,
+      alg: CONFIG.ALGORITHM,
+      privateKey: encrypt(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      publicJwk: { ...jwk, kid, alg: CONFIG.ALGORITHM, use: 'sig' },
+      activatesAt
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const conflict = new Error(`Signing key generation ${generation} was already created by another instance`);
+      conflict.rotationConflict = true;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  const older = { generation: { $lt: generation }, expiresAt: null };
+
+  // An immediate rotation replaces a compromised key: older keys stop verifying now.
+  // Otherwise a key that signs until the new key activates verifies for the grace period.
+  if (!immediate) {
+    await SigningKey.updateMany(
+      { ...older, activatesAt: { $lte: activatesAt } },
+      { $set: { expiresAt: new Date(activatesAt.getTime() + CONFIG.GRACE_HOURS * 3600000) } }
+    );
+  }
+
+  // A pending key that would only activate after the new key never signs anything
+  await SigningKey.updateMany(older, { $set: { expiresAt: new Date() } });
+
+  console.log(`🔑 New JWT signing key ${kid} (${CONFIG.ALGORITHM}) activates at ${activatesAt.toISOString()}`);
+
+  await loadKeyring();
+  return key;
+};
+
+/**
+ * Load the keyring, creating the first key or rotating when the current key is too old
+ * @returns {Promise<void>}
+ */
+const ensureKeys = async () => {
+  await loadKeyring();
+
+  const newest = keyring[0];
+  let options = null;
+
+  if (!newest || newest.expiresAt) {
+    options = { immediate: true };
+  } else if ((Date.now() - newest.activatesAt.getTime()) / 86400000 >= CONFIG.ROTATION_DAYS) {
+    options = {};
+  }
+
+  if (!options) {
+    return;
+  }
+
+  try {
+    await rotateKeys({ ...options, fromGeneration: newest?.generation });
+  } catch (error) {
+    if (!error.rotationConflict) {
+      throw error;
+    }
+    // Another instance rotated first; use its key
+    await loadKeyring();
+  }
+};
+
+/**
+ * Load the keyring at startup and keep it fresh
+ * Every instance reloads periodically, so keys rotated elsewhere are picked up
+ * before they start signing.
+ * @returns {Promise<void>}
+ */
+const initKeyring = async () => {
+  await ensureKeys();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      ensureKeys().catch(error => {
+        console.error('Signing key refresh error:', error.message);
+      });
+    }, CONFIG.REFRESH_INTERVAL_MIN * 60000);
+    refreshTimer.unref();
+  }
+
+  console.log(`🔑 JWT keyring loaded (${keyring.length} key${keyring.length === 1 ? '' : 's'})`);
+};
+
+/**
+ * Key Access
+ */
+
+/**
+ * Get the key currently used for signing
+ * This is the most recently created key that has activated.
+ * @returns {Object} Keyring entry { kid, alg, privateKey, publicKey, publicJwk }
+ * @throws {Error} If the keyring has not been loaded
+ */
+const getSigningKey = () => {
+  const now = Date.now();
+  const key = keyring.find(entry => entry.activatesAt.getTime() <= now);
+
+  if (!key) {
+    throw new Error('JWT signing keys have not been loaded');
+  }
+
+  return key;
+};
+
+/**
+ * Find a key that can verify tokens
+ * @param {string} kid - Key ID from the token header
+ * @returns {Object|null} Keyring entry
+ */
+const getVerificationKey = (kid) => {
+  const now = Date.now();
+
+  return keyring.find(entry => (
+    entry.kid === kid && (!entry.expiresAt || entry.expiresAt.getTime() > now)
+  )) || null;
+};
+
+/**
+ * Get the public key set (active, upcoming and retiring keys)
+ * @returns {Object} JWKS document
+ */
+const getJwks = () => {
+  return { keys: keyring.map(entry => entry.publicJwk) };
+};
+
+/**
+ * Sign a JWT with the current key
+ * @param {Object} payload - Claims
+ * @param {Object} options - jsonwebtoken sign options (e.g. audience, expiresIn)
+ * @returns {string} Signed JWT
+ */
+const signJwt = (payload, options = {}) => {
+  const { privateKey, kid, alg } = getSigningKey();
+
+  return jwt.sign(payload, privateKey, {
+    ...options,
+    algorithm: alg,
+    keyid: kid,
+    issuer: CONFIG.ISSUER
+  });
+};
+
+/**
+ * Verify a JWT signed by this keyring
+ * Throws the usual jsonwebtoken errors so callers can map them.
+ * @param {string} token - Signed JWT
+ * @param {Object} options - jsonwebtoken verify options (e.g. audience)
+ * @returns {Object} Token payload
+ */
+const verifyJwt = (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded?.header?.kid && getVerificationKey(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.alg],
+    issuer: CONFIG.ISSUER
+  });
+};
+
+module.exports = {
+  CONFIG,
+  assertGraceCovers,
+  initKeyring,
+  rotateKeys,
+  getSigningKey,
+  getJwks,
+  signJwt,
+  verifyJwt
+};
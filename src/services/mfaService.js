@@ -0,0 +1,232 @@
+/**
+ * MFA Service
+ * Enrollment and verification of authenticator-app (TOTP) second factors
+ */
+
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { AppError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  ISSUER: process.env.MFA_ISSUER || 'Authentication API',
+  RECOVERY_CODE_COUNT: 10,
+  RECOVERY_CODE_LENGTH: 10
+};
+
+// Secret fields are excluded from queries by default
+const SECRET_FIELDS = '+mfa.totpSecret +mfa.pendingTotpSecret +mfa.lastUsedStep +mfa.recoveryCodes';
+
+// Unambiguous characters only (no 0/o, 1/l/i)
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Normalize a recovery code as typed by a user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without separators
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+};
+
+/**
+ * Hash a recovery code using SHA-256
+ * @param {string} code - Recovery code
+ * @returns {string} Hashed code
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+/**
+ * Generate a single recovery code formatted as `xxxxx-xxxxx`
+ * @returns {string} Recovery code
+ */
+const generateRecoveryCode = () => {
+  let code = '';
+  for (let i = 0; i < CONFIG.RECOVERY_CODE_LENGTH; i++) {
+    code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+  }
+  const half = CONFIG.RECOVERY_CODE_LENGTH / 2;
+  return `${code.slice(0, half)}-${code.slice(half)}`;
+};
+
+/**
+ * Load a user together with their MFA secrets
+ * @param {string} userId - User ID
+ * @param {string} extraFields - Additional hidden fields to select (e.g. '+passwordHash')
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} If the user does not exist
+ */
+const findUserWithSecrets = async (userId, extraFields = '') => {
+  const user = await User.findById(userId).select(`${SECRET_FIELDS} ${extraFields}`.trim());
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Start TOTP enrollment by generating a pending secret
+ * @param {Object} user - User document (loaded with secrets)
+ * @returns {Promise<Object>} Base32 secret and otpauth URI for the authenticator app
+ * @throws {AppError} If two-factor authentication is already enabled
+ */
+const startTotpEnrollment = async (user) => {
+  if (user.mfa?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = totp.generateSecret();
+
+  user.set('mfa.pendingTotpSecret', encrypt(secret));
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri(secret, user.email, CONFIG.ISSUER)
+  };
+};
+
+/**
+ * Confirm TOTP enrollment with the first code from the authenticator app
+ * @param {Object} user - User document (loaded with secrets)
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array>} Freshly generated recovery codes (shown to the user once)
+ * @throws {AppError} If there is no pending enrollment or the code is wrong
+ */
+const confirmTotpEnrollment = async (user, code) => {
+  if (user.mfa?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  if (!user.mfa?.pendingTotpSecret) {
+    throw new AppError('No pending two-factor enrollment. Please start enrollment again.', 400);
+  }
+
+  const secret = decrypt(user.mfa.pendingTotpSecret);
+  const step = totp.verifyTotp(secret, code);
+
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  user.set('mfa.totpSecret', user.mfa.pendingTotpSecret);
+  user.set('mfa.pendingTotpSecret', undefined);
+  user.set('mfa.lastUsedStep', step);
+  user.set('mfa.enabled', true);
+  user.set('mfa.enabledAt', new Date());
+
+  return regenerateRecoveryCodes(user);
+};
+
+/**
+ * Replace all recovery codes of a user with a new set
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Plain recovery codes (shown to the user once)
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const codes = Array.from({ length: CONFIG.RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  user.set('mfa.recoveryCodes', codes.map(code => ({
+    codeHash: hashRecoveryCode(code),
+    usedAt: null
+  })));
+  await user.save();
+
+  return codes;
+};
+
+/**
+ * Use up a recovery code in place of the second factor
+ * @param {Object} user - User document
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} True if an unused matching code was consumed
+ */
+const consumeRecoveryCode = async (user, code) => {
+  if (!user.mfa?.enabled) {
+    return false;
+  }
+
+  // Atomic match-and-mark so a code cannot be used twice concurrently
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'mfa.recoveryCodes': {
+        $elemMatch: { codeHash: hashRecoveryCode(code), usedAt: null }
+      }
+    },
+    { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Turn off two-factor authentication and drop all secrets
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Updated user document
+ */
+const disableMfa = async (user) => {
+  user.set('mfa', { enabled: false, enabledAt: null });
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Verify a TOTP code for a user with two-factor authentication enabled
+ * Accepted codes are remembered so they cannot be replayed.
+ * @param {Object} user - User document (loaded with secrets)
+ * @param {string} code - TOTP code
+ * @returns {Promise<boolean>} True if the code is valid
+ */
+const verifyTotpCode = async (user, code) => {
+  if (!user.mfa?.enabled || !user.mfa.totpSecret) {
+    return false;
+  }
+
+  const step = totp.verifyTotp(decrypt(user.mfa.totpSecret), code, {
+    afterStep: user.mfa.lastUsedStep ?? -1
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Atomic check-and-set so two requests with the same code cannot both pass
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  user.set('mfa.lastUsedStep', step);
+  return true;
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  findUserWithSecrets,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  disableMfa,
+  verifyTotpCode,
+  regenerateRecoveryCodes,
+  consumeRecoveryCode
+};
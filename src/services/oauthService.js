@@ -0,0 +1,406 @@
+/**
+ * OAuth Service
+ * Authorization code + PKCE flow against external OAuth2 / OpenID Connect providers
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwksClient = require('jwks-rsa');
+
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const otpService = require('./otpService');
+const passwordService = require('./passwordService');
+const { getRedirectUri } = require('../config/oauth');
+const { AppError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  STATE_EXPIRES_MIN: 10,
+  HTTP_TIMEOUT_MS: 10000,
+  ID_TOKEN_ALGORITHMS: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384']
+};
+
+// Per-provider caches
+const discoveryCache = new Map();
+const jwksClients = new Map();
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Generate a random URL-safe string
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Base64url string
+ */
+const randomString = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Derive the S256 PKCE code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} Code challenge
+ */
+const createCodeChallenge = (verifier) => {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Fetch JSON from a provider
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {AppError} If the provider cannot be reached or answers with an error
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': 'auth-example',
+        ...options.headers
+      },
+      signal: AbortSignal.timeout(CONFIG.HTTP_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new AppError(`Could not reach the sign in provider: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new AppError(`Sign in provider returned an error: ${reason}`, 502);
+  }
+
+  return body;
+};
+
+/**
+ * Resolve provider endpoints, using OIDC discovery when an issuer is configured
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} Endpoint URLs and issuer
+ */
+const getEndpoints = async (provider) => {
+  if (provider.type !== 'oidc') {
+    return provider;
+  }
+
+  if (!discoveryCache.has(provider.name)) {
+    const issuer = provider.issuer.replace(/\/$/, '');
+    const discovery = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    discoveryCache.set(provider.name, {
+      issuer: discovery.issuer,
+      authorizationUrl: provider.authorizationUrl || discovery.authorization_endpoint,
+      tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+      userinfoUrl: provider.userinfoUrl || discovery.userinfo_endpoint,
+      jwksUri: provider.jwksUri || discovery.jwks_uri
+    });
+  }
+
+  return discoveryCache.get(provider.name);
+};
+
+/**
+ * Get the JWKS client for a provider
+ * @param {Object} provider - Provider configuration
+ * @param {string} jwksUri - JWKS endpoint
+ * @returns {Object} jwks-rsa client
+ */
+const getJwksClient = (provider, jwksUri) => {
+  if (!jwksClients.has(provider.name)) {
+    jwksClients.set(provider.name, jwksClient({
+      jwksUri,
+      cache: true,
+      rateLimit: true,
+      timeout: CONFIG.HTTP_TIMEOUT_MS
+    }));
+  }
+
+  return jwksClients.get(provider.name);
+};
+
+/**
+ * Verify an ID token signature and claims
+ * @param {Object} provider - Provider configuration
+ * @param {Object} endpoints - Resolved endpoints
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified ID token claims
+ * @throws {AppError} If the token is invalid
+ */
+const verifyIdToken = async (provider, endpoints, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded?.header) {
+    throw new AppError('Sign in provider returned an invalid ID token', 401);
+  }
+
+  try {
+    const signingKey = await getJwksClient(provider, endpoints.jwksUri).getSigningKey(decoded.header.kid);
+
+    const claims = jwt.verify(idToken, signingKey.getPublicKey(), {
+      algorithms: CONFIG.ID_TOKEN_ALGORITHMS,
+      issuer: endpoints.issuer,
+      audience: provider.clientId
+    });
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new Error('nonce mismatch');
+    }
+
+    return claims;
+  } catch (error) {
+    throw new AppError(`Sign in provider returned an invalid ID token: ${error.message}`, 401);
+  }
+};
+
+/**
+ * Fetch the profile of a plain OAuth2 provider (no ID token)
+ * @param {Object} provider - Provider configuration
+ * @param {string} accessToken - Provider access token
+ * @returns {Promise<Object>} Normalized profile
+ */
+const fetchOAuth2Profile = async (provider, accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const info = await fetchJson(provider.userinfoUrl, { headers });
+
+  let email = info.email || null;
+  let emailVerified = info.email_verified === true;
+
+  // Providers like GitHub only report verification through a separate endpoint
+  if (provider.emailsUrl) {
+    const emails = await fetchJson(provider.emailsUrl, { headers });
+    const primary = Array.isArray(emails)
+      ? emails.find(entry => entry.primary && entry.verified) || emails.find(entry => entry.verified)
+      : null;
+
+    if (primary) {
+      email = primary.email;
+      emailVerified = true;
+    }
+  }
+
+  return {
+    subject: String(info.sub || info.id),
+    email,
+    emailVerified,
+    name: info.name || null
+  };
+};
+
+/**
+ * Flow Functions
+ */
+
+/**
+ * Start the authorization code flow
+ * The caller must also store `state` in the browser (a cookie) so the
+ * callback can check it comes from the browser that started the flow.
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} { url, state, expiresAt } where url is where to redirect the browser
+ */
+const createAuthorizationUrl = async (provider) => {
+  const endpoints = await getEndpoints(provider);
+
+  const state = randomString();
+  const nonce = randomString();
+  const codeVerifier = randomString(48);
+  const expiresAt = new Date(Date.now() + CONFIG.STATE_EXPIRES_MIN * 60000);
+
+  await OAuthState.create({
+    state,
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    expiresAt
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider.name),
+    scope: provider.scopes,
+    state,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  if (provider.type === 'oidc') {
+    params.set('nonce', nonce);
+  }
+
+  return {
+    url: `${endpoints.authorizationUrl}?${params.toString()}`,
+    state,
+    expiresAt
+  };
+};
+
+/**
+ * Complete the flow: validate state, exchange the code and read the profile
+ * @param {Object} provider - Provider configuration
+ * @param {Object} query - Callback query parameters
+ * @param {string} browserState - State stored in the browser when the flow started
+ * @returns {Promise<Object>} Normalized profile { subject, email, emailVerified, name }
+ * @throws {AppError} If the callback is invalid or the provider rejects the code
+ */
+const handleCallback = async (provider, { code, state, error }, browserState) => {
+  if (error) {
+    throw new AppError(`Sign in was cancelled or denied: ${error}`, 400);
+  }
+
+  if (!code || !state) {
+    throw new AppError('Authorization code and state are required', 400);
+  }
+
+  // Stops an attacker from completing their own sign in in the victim's browser
+  if (!browserState || !safeEqual(browserState, state)) {
+    throw new AppError('Sign in was started in another browser. Please try again.', 400);
+  }
+
+  const pending = await OAuthState.consume(String(state), provider.name);
+
+  if (!pending) {
+    throw new AppError('Sign in request has expired or is invalid. Please try again.', 400);
+  }
+
+  const endpoints = await getEndpoints(provider);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: String(code),
+    redirect_uri: getRedirectUri(provider.name),
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier
+  });
+
+  if (provider.clientSecret) {
+    form.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(endpoints.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString()
+  });
+
+  if (provider.type === 'oidc') {
+    if (!tokens.id_token) {
+      throw new AppError('Sign in provider did not return an ID token', 502);
+    }
+
+    const claims = await verifyIdToken(provider, endpoints, tokens.id_token, pending.nonce);
+
+    return {
+      subject: String(claims.sub),
+      email: claims.email || null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || null
+    };
+  }
+
+  if (!tokens.access_token) {
+    throw new AppError('Sign in provider did not return an access token', 502);
+  }
+
+  return fetchOAuth2Profile(provider, tokens.access_token);
+};
+
+/**
+ * Find, link or create the local user for a provider profile
+ * @param {Object} provider - Provider configuration
+ * @param {Object} profile - Normalized provider profile
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} If the provider did not supply a verified email
+ */
+const resolveUser = async (provider, profile) => {
+  // 1. Previously linked account
+  const linked = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider: provider.name, subject: profile.subject } }
+  });
+
+  if (linked) {
+    return linked;
+  }
+
+  // Linking and creation both trust the email, so it must be verified by the provider
+  if (!profile.email || !profile.emailVerified) {
+    throw new AppError(`Your ${provider.displayName} account has no verified email address`, 400);
+  }
+
+  const email = profile.email.toLowerCase().trim();
+  const account = {
+    provider: provider.name,
+    subject: profile.subject,
+    email,
+    linkedAt: new Date()
+  };
+
+  // 2. Existing account with the same email: link it
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    // Anyone could have registered an unverified account with this email. The provider
+    // proves who owns it, so the password and sessions set up meanwhile are dropped.
+    const takeOver = !existing.emailVerified;
+
+    if (takeOver) {
+      existing.passwordHash = await passwordService.hashPassword(randomString());
+      existing.emailVerified = true;
+    }
+
+    existing.oauthAccounts.push(account);
+    await existing.save();
+
+    if (takeOver) {
+      await passwordService.revokeAccess(existing);
+      await otpService.revokeCodes(existing, otpService.PURPOSES.EMAIL_VERIFICATION);
+    }
+
+    return existing;
+  }
+
+  // 3. New account with an unusable random password
+  const passwordHash = await passwordService.hashPassword(randomString());
+
+  try {
+    return await User.create({
+      email,
+      passwordHash,
+      name: profile.name?.trim() || null,
+      emailVerified: true,
+      oauthAccounts: [account]
+    });
+  } catch (error) {
+    // A concurrent callback created the account first
+    if (error.code === 11000) {
+      return User.findOne({ email });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  createAuthorizationUrl,
+  handleCallback,
+  resolveUser
+};
@@ -0,0 +1,536 @@
+/**
+ * OIDC Service
+ * OpenID Connect provider: authorization requests, consent, token issuance and userinfo
+ */
+
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthConsent = require('../models/OAuthConsent');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const RefreshToken = require('../models/RefreshToken');
+const keyService = require('./keyService');
+const { hashToken, addDays } = require('./tokenService');
+const { OAuthError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  ISSUER: keyService.CONFIG.ISSUER,
+  CONSENT_URL: process.env.OIDC_CONSENT_URL || 'http://localhost:3000/oauth/consent',
+  ACCESS_TOKEN_EXPIRES_SEC: Number(process.env.OIDC_ACCESS_TOKEN_EXPIRES_SEC) || 3600,
+  ID_TOKEN_EXPIRES_SEC: 3600,
+  CODE_EXPIRES_SEC: 60,
+  REQUEST_EXPIRES_IN: '10m',
+  REFRESH_TOKEN_EXPIRES_DAYS: Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+  SUPPORTED_SCOPES: ['openid', 'profile', 'email', 'offline_access']
+};
+
+keyService.assertGraceCovers(CONFIG.ACCESS_TOKEN_EXPIRES_SEC, 'OIDC_ACCESS_TOKEN_EXPIRES_SEC');
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Split a space-delimited scope string into a unique list
+ * @param {string} scope - Scope parameter
+ * @returns {Array} Scopes
+ */
+const parseScope = (scope) => {
+  return [...new Set(String(scope || '').split(' ').map(item => item.trim()).filter(Boolean))];
+};
+
+/**
+ * Build a redirect back to the client with query parameters
+ * @param {string} redirectUri - Registered redirect URI
+ * @param {Object} params - Query parameters
+ * @returns {string} Redirect URL
+ */
+const buildRedirect = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  }
+
+  return url.toString();
+};
+
+/**
+ * Discovery
+ */
+
+/**
+ * Build the OpenID Provider metadata document
+ * @returns {Object} Discovery document
+ */
+const getDiscoveryDocument = () => {
+  return {
+    issuer: CONFIG.ISSUER,
+    authorization_endpoint: `${CONFIG.ISSUER}/oauth2/authorize`,
+    token_endpoint: `${CONFIG.ISSUER}/oauth2/token`,
+    userinfo_endpoint: `${CONFIG.ISSUER}/oauth2/userinfo`,
+    jwks_uri: `${CONFIG.ISSUER}/.well-known/jwks.json`,
+    response_types_supported: ['code'],
+    response_modes_supported: ['query'],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [keyService.CONFIG.ALGORITHM],
+    scopes_supported: CONFIG.SUPPORTED_SCOPES,
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'email', 'email_verified', 'name', 'given_name', 'family_name', 'picture', 'updated_at']
+  };
+};
+
+/**
+ * Authorization Endpoint
+ */
+
+/**
+ * Validate an authorization request
+ * Errors about the client or redirect URI are shown to the user; everything
+ * else is reported back to the client via its redirect URI.
+ * @param {Object} query - Authorization request parameters
+ * @returns {Promise<Object>} Validated request
+ * @throws {OAuthError} If the request cannot be redirected back safely
+ */
+const validateAuthorizationRequest = async (query) => {
+  const clientId = String(query.client_id || '');
+  const redirectUri = String(query.redirect_uri || '');
+
+  const client = clientId && await OAuthClient.findOne({ clientId, isActive: true });
+
+  if (!client) {
+    throw new OAuthError('invalid_client', 'Unknown or disabled client');
+  }
+
+  if (!client.isRedirectUriAllowed(redirectUri)) {
+    throw new OAuthError('invalid_request', 'redirect_uri is not registered for this client');
+  }
+
+  const state = query.state ? String(query.state) : null;
+  const fail = (error, description) => ({
+    errorRedirect: buildRedirect(redirectUri, { error, error_description: description, state })
+  });
+
+  if (query.response_type !== 'code') {
+    return fail('unsupported_response_type', 'Only response_type=code is supported');
+  }
+
+  const scopes = parseScope(query.scope);
+
+  if (!scopes.includes('openid')) {
+    return fail('invalid_scope', 'The openid scope is required');
+  }
+
+  const unsupported = scopes.filter(scope => !client.allowedScopes.includes(scope));
+  if (unsupported.length > 0) {
+    return fail('invalid_scope', `Scope not allowed for this client: ${unsupported.join(' ')}`);
+  }
+
+  if (!query.code_challenge || query.code_challenge_method !== 'S256') {
+    return fail('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+  }
+
+  return {
+    client,
+    clientId,
+    redirectUri,
+    scopes,
+    state,
+    nonce: query.nonce ? String(query.nonce) : null,
+    codeChallenge: String(query.code_challenge)
+  };
+};
+
+/**
+ * Wrap a validated request in a signed token for the consent page
+ * @param {Object} request - Validated authorization request
+ * @returns {string} Signed request token
+ */
+const createRequestToken = (request) => {
+  return keyService.signJwt(
+    {
+      purpose: 'oidc_authorize',
+      client_id: request.clientId,
+      redirect_uri: request.redirectUri,
+      scope: request.scopes.join(' '),
+      state: request.state,
+      nonce: request.nonce,
+      code_challenge: request.codeChallenge
+    },
+    { audience: CONFIG.ISSUER, expiresIn: CONFIG.REQUEST_EXPIRES_IN }
+  );
+};
+
+/**
+ * Read a request token created by `createRequestToken`
+ * @param {string} requestToken - Signed request token
+ * @returns {Promise<Object>} Validated authorization request
+ * @throws {OAuthError} If the token is invalid or expired
+ */
+const readRequestToken = async (requestToken) => {
+  let payload;
+
+  try {
+    payload = keyService.verifyJwt(String(requestToken || ''), { audience: CONFIG.ISSUER });
+  } catch (error) {
+    throw new OAuthError('invalid_request', 'Authorization request is invalid or has expired');
+  }
+
+  if (payload.purpose !== 'oidc_authorize') {
+    throw new OAuthError('invalid_request', 'Authorization request is invalid or has expired');
+  }
+
+  const client = await OAuthClient.findOne({ clientId: payload.client_id, isActive: true });
+
+  if (!client || !client.isRedirectUriAllowed(payload.redirect_uri)) {
+    throw new OAuthError('invalid_client', 'Unknown or disabled client');
+  }
+
+  return {
+    client,
+    clientId: payload.client_id,
+    redirectUri: payload.redirect_uri,
+    scopes: parseScope(payload.scope),
+    state: payload.state,
+    nonce: payload.nonce,
+    codeChallenge: payload.code_challenge
+  };
+};
+
+/**
+ * Describe a pending authorization request for the consent screen
+ * @param {string} requestToken - Signed request token
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<Object>} Client, scopes and whether consent is still needed
+ */
+const getAuthorizationDetails = async (requestToken, userId) => {
+  const request = await readRequestToken(requestToken);
+  const consent = await OAuthConsent.findOne({ user: userId, clientId: request.clientId });
+
+  return {
+    client: {
+      clientId: request.client.clientId,
+      name: request.client.name
+    },
+    scopes: request.scopes,
+    consentRequired: !request.client.trusted && !(consent && consent.covers(request.scopes))
+  };
+};
+
+/**
+ * Record the user's decision and build the redirect back to the client
+ * @param {string} requestToken - Signed request token
+ * @param {Object} user - Signed-in user document
+ * @param {boolean} approved - Whether the user approved the request
+ * @returns {Promise<string>} Redirect URL carrying a code or an error
+ */
+const decideAuthorization = async (requestToken, user, approved) => {
+  const request = await readRequestToken(requestToken);
+
+  if (!approved) {
+    return buildRedirect(request.redirectUri, {
+      error: 'access_denied',
+      error_description: 'The user denied the request',
+      state: request.state
+    });
+  }
+
+  await OAuthConsent.findOneAndUpdate(
+    { user: user._id, clientId: request.clientId },
+    { $addToSet: { scopes: { $each: request.scopes } } },
+    { upsert: true }
+  );
+
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  await AuthorizationCode.create({
+    codeHash: hashToken(code),
+    clientId: request.clientId,
+    user: user._id,
+    redirectUri: request.redirectUri,
+    scope: request.scopes,
+    nonce: request.nonce,
+    codeChallenge: request.codeChallenge,
+    authTime: new Date(),
+    expiresAt: new Date(Date.now() + CONFIG.CODE_EXPIRES_SEC * 1000)
+  });
+
+  return buildRedirect(request.redirectUri, { code, state: request.state });
+};
+
+/**
+ * Token Endpoint
+ */
+
+/**
+ * Authenticate the client calling the token endpoint
+ * Supports client_secret_basic, client_secret_post and public clients (none).
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Client document
+ * @throws {OAuthError} If authentication fails
+ */
+const authenticateClient = async (req) => {
+  let clientId = req.body?.client_id;
+  let clientSecret = req.body?.client_secret;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    clientId = decodeURIComponent(decoded.slice(0, separator));
+    clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+  }
+
+  const client = clientId && await OAuthClient
+    .findOne({ clientId: String(clientId), isActive: true })
+    .select('+clientSecretHash');
+
+  if (!client) {
+    throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+  }
+
+  if (client.isConfidential && !client.verifySecret(clientSecret)) {
+    throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+  }
+
+  return client;
+};
+
+/**
+ * Issue access, ID and refresh tokens for a client
+ * @param {Object} user - User document
+ * @param {Object} client - Client document
+ * @param {Object} grant - Grant details
+ * @param {Array} grant.scopes - Granted scopes
+ * @param {string} grant.nonce - Nonce from the authorization request
+ * @param {Date} grant.authTime - When the user authenticated
+ * @param {string} grant.family - Existing refresh token family (for rotation)
+ * @returns {Promise<Object>} Token response body
+ */
+const issueClientTokens = async (user, client, { scopes, nonce = null, authTime, family = null }) => {
+  const accessToken = keyService.signJwt({
+    sub: String(user._id),
+    aud: client.clientId,
+    client_id: client.clientId,
+    scope: scopes.join(' '),
+    token_use: 'access'
+  }, { expiresIn: CONFIG.ACCESS_TOKEN_EXPIRES_SEC });
+
+  const response = {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: CONFIG.ACCESS_TOKEN_EXPIRES_SEC,
+    scope: scopes.join(' ')
+  };
+
+  if (scopes.includes('openid')) {
+    response.id_token = keyService.signJwt({
+      sub: String(user._id),
+      aud: client.clientId,
+      auth_time: Math.floor(new Date(authTime).getTime() / 1000),
+      ...(nonce && { nonce }),
+      ...buildClaims(user, scopes)
+    }, { expiresIn: CONFIG.ID_TOKEN_EXPIRES_SEC });
+  }
+
+  if (scopes.includes('offline_access')) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: hashToken(refreshToken),
+      family: family || `oidc:${crypto.randomUUID()}`,
+      clientId: client.clientId,
+      scope: scopes,
+      expiresAt: addDays(new Date(), CONFIG.REFRESH_TOKEN_EXPIRES_DAYS)
+    });
+
+    response.refresh_token = refreshToken;
+  }
+
+  return response;
+};
+
+/**
+ * Exchange an authorization code (authorization_code grant)
+ * @param {Object} client - Authenticated client
+ * @param {Object} body - Token request body
+ * @returns {Promise<Object>} Token response body
+ * @throws {OAuthError} If the code, redirect URI or PKCE verifier is invalid
+ */
+const exchangeAuthorizationCode = async (client, body) => {
+  if (!body.code || !body.code_verifier) {
+    throw new OAuthError('invalid_request', 'code and code_verifier are required');
+  }
+
+  const record = await AuthorizationCode.consume(hashToken(String(body.code)));
+
+  if (!record || record.clientId !== client.clientId) {
+    throw new OAuthError('invalid_grant', 'Authorization code is invalid or has expired');
+  }
+
+  if (record.redirectUri !== body.redirect_uri) {
+    throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(body.code_verifier)).digest('base64url');
+  if (challenge !== record.codeChallenge) {
+    throw new OAuthError('invalid_grant', 'PKCE verification failed');
+  }
+
+  const user = await User.findById(record.user);
+
+  if (!user || !user.isActive) {
+    throw new OAuthError('invalid_grant', 'User is no longer active');
+  }
+
+  return issueClientTokens(user, client, {
+    scopes: record.scope,
+    nonce: record.nonce,
+    authTime: record.authTime
+  });
+};
+
+/**
+ * Rotate a client refresh token (refresh_token grant)
+ * Replaying a rotated token revokes the whole family, as for our own sessions.
+ * @param {Object} client - Authenticated client
+ * @param {Object} body - Token request body
+ * @returns {Promise<Object>} Token response body
+ * @throws {OAuthError} If the refresh token is invalid
+ */
+const exchangeRefreshToken = async (client, body) => {
+  if (!body.refresh_token) {
+    throw new OAuthError('invalid_request', 'refresh_token is required');
+  }
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(String(body.refresh_token)) });
+
+  if (!record || record.clientId !== client.clientId || record.expiresAt < new Date()) {
+    throw new OAuthError('invalid_grant', 'Refresh token is invalid or has expired');
+  }
+
+  // A narrower scope may be requested, never a wider one. Checked before the
+  // token is claimed, so a rejected request leaves it usable.
+  const requested = body.scope ? parseScope(body.scope) : record.scope;
+  if (requested.some(scope => !record.scope.includes(scope))) {
+    throw new OAuthError('invalid_scope', 'Requested scope exceeds the original grant');
+  }
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!claimed) {
+    await RefreshToken.revokeFamily(record.family);
+    throw new OAuthError('invalid_grant', 'Refresh token has already been used');
+  }
+
+  const user = await User.findById(record.user);
+
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(record.family);
+    throw new OAuthError('invalid_grant', 'User is no longer active');
+  }
+
+  // Keep the family going even if offline_access is dropped from a narrowed scope
+  const scopes = requested.includes('offline_access') ? requested : [...requested, 'offline_access'];
+
+  const response = await issueClientTokens(user, client, {
+    scopes,
+    authTime: record.createdAt,
+    family: record.family
+  });
+
+  response.scope = requested.join(' ');
+  return response;
+};
+
+/**
+ * UserInfo Endpoint
+ */
+
+/**
+ * Build standard claims for a user, filtered by scope
+ * Backed by `User.toSafeObject()`.
+ * @param {Object} user - User document
+ * @param {Array} scopes - Granted scopes
+ * @returns {Object} Claims
+ */
+const buildClaims = (user, scopes) => {
+  const safe = user.toSafeObject();
+  const claims = { sub: String(safe.id) };
+
+  if (scopes.includes('email')) {
+    claims.email = safe.email;
+    claims.email_verified = safe.emailVerified;
+  }
+
+  if (scopes.includes('profile')) {
+    claims.name = safe.fullName || safe.name || null;
+    claims.given_name = safe.profile?.firstName || null;
+    claims.family_name = safe.profile?.lastName || null;
+    claims.picture = safe.profile?.avatar || null;
+    claims.updated_at = Math.floor(new Date(safe.updatedAt).getTime() / 1000);
+  }
+
+  return claims;
+};
+
+/**
+ * Verify an access token issued to a client
+ * @param {string} token - Bearer access token
+ * @returns {Object} Token payload
+ * @throws {OAuthError} If the token is invalid or expired
+ */
+const verifyClientAccessToken = (token) => {
+  try {
+    // The audience is the client the token was issued to
+    const payload = keyService.verifyJwt(token);
+
+    if (payload.token_use !== 'access') {
+      throw new Error('not an access token');
+    }
+
+    return payload;
+  } catch (error) {
+    throw new OAuthError('invalid_token', 'Access token is invalid or has expired', 401);
+  }
+};
+
+/**
+ * Get userinfo claims for an access token
+ * @param {string} token - Bearer access token
+ * @returns {Promise<Object>} Claims
+ * @throws {OAuthError} If the token is invalid or the user is gone
+ */
+const getUserInfo = async (token) => {
+  const payload = verifyClientAccessToken(token);
+  const user = await User.findById(payload.sub);
+
+  if (!user || !user.isActive) {
+    throw new OAuthError('invalid_token', 'Access token is invalid or has expired', 401);
+  }
+
+  return buildClaims(user, parseScope(payload.scope));
+};
+
+module.exports = {
+  CONFIG,
+  getDiscoveryDocument,
+  validateAuthorizationRequest,
+  createRequestToken,
+  getAuthorizationDetails,
+  decideAuthorization,
+  authenticateClient,
+  exchangeAuthorizationCode,
+  exchangeRefreshToken,
+  getUserInfo
+};
@@ -0,0 +1,213 @@
+/**
+ * One-Time Code Service
+ * Issues and checks the numeric codes emailed for verification, password
+ * reset, unlock, reactivation and email changes, with a per-code attempt limit
+ */
+
+const crypto = require('crypto');
+
+const OneTimeCode = require('../models/OneTimeCode');
+
+// Configuration constants
+const CONFIG = {
+  CODE_LENGTH: Number(process.env.CODE_LENGTH) || 6,
+  CODE_EXPIRES_MIN: Number(process.env.EMAIL_CODE_EXPIRES_MIN) || 15,
+  MAX_ATTEMPTS: Number(process.env.OTP_MAX_ATTEMPTS) || 5
+};
+
+/**
+ * Code purposes
+ */
+const PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+  ACCOUNT_UNLOCK: 'account_unlock',
+  ACCOUNT_REACTIVATION: 'account_reactivation',
+  EMAIL_CHANGE: 'email_change'
+};
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Get the pepper used to key code hashes
+ * Uses OTP_PEPPER when set, otherwise derives one from JWT_SECRET.
+ * @returns {Buffer} Pepper
+ * @throws {Error} If no key material is configured
+ */
+const getPepper = () => {
+  const { OTP_PEPPER, JWT_SECRET } = process.env;
+
+  if (OTP_PEPPER) {
+    return Buffer.from(OTP_PEPPER, 'utf8');
+  }
+
+  if (!JWT_SECRET) {
+    throw new Error('OTP_PEPPER or JWT_SECRET must be configured');
+  }
+
+  return crypto.createHash('sha256').update(`one-time-code:${JWT_SECRET}`).digest();
+};
+
+/**
+ * Generate a numeric code with a CSPRNG
+ * @param {number} length - Length of the code
+ * @returns {string} Numeric code
+ */
+const generateNumericCode = (length = CONFIG.CODE_LENGTH) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += crypto.randomInt(10);
+  }
+  return code;
+};
+
+/**
+ * Hash a code, binding it to its user and purpose
+ * @param {string} userId - User ID
+ * @param {string} purpose - One of PURPOSES
+ * @param {string} code - Raw code
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const hashCode = (userId, purpose, code) => {
+  return crypto
+    .createHmac('sha256', getPepper())
+    .update(`${purpose}:${userId}:${code}`)
+    .digest('hex');
+};
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean} Whether they are equal
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Code Functions
+ */
+
+/**
+ * Issue a new code, replacing any code of the same purpose sent before
+ * @param {Object|string} user - User document or ID
+ * @param {string} purpose - One of PURPOSES
+ * @param {Object} options - Issue options
+ * @param {number} options.expiresInMin - Minutes until the code expires
+ * @param {number} options.maxAttempts - Guesses allowed before the code is spent
+ * @returns {Promise<Object>} { code, expiresAt }
+ */
+const issueCode = async (user, purpose, {
+  expiresInMin = CONFIG.CODE_EXPIRES_MIN,
+  maxAttempts = CONFIG.MAX_ATTEMPTS
+} = {}) => {
+  const userId = user._id || user;
+  const code = generateNumericCode();
+  const expiresAt = new Date(Date.now() + expiresInMin * 60000);
+
+  await OneTimeCode.deleteMany({ user: userId, purpose });
+
+  await OneTimeCode.create({
+    user: userId,
+    purpose,
+    codeHash: hashCode(userId, purpose, code),
+    maxAttempts,
+    expiresAt
+  });
+
+  return { code, expiresAt };
+};
+
+/**
+ * Check a code and spend it if it is correct
+ * Every guess uses up an attempt before the code is compared, so parallel
+ * guesses cannot get past the limit.
+ * @param {Object|string} user - User document or ID
+ * @param {string} purpose - One of PURPOSES
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verify options
+ * @param {boolean} options.spend - Spend a correct code (false when the request may still
+ *   be refused for another reason; call revokeCodes once it succeeds)
+ * @returns {Promise<Object>} { valid: true } or { valid: false, reason, attemptsRemaining }
+ *   where reason is "no_code", "code_expired", "too_many_attempts" or "invalid_code"
+ */
+const verifyCode = async (user, purpose, code, { spend = true } = {}) => {
+  const userId = user._id || user;
+  const now = new Date();
+
+  const entry = await OneTimeCode.findOneAndUpdate(
+    {
+      user: userId,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+
+  if (!entry) {
+    // Work out why, for the error message and the audit log
+    const latest = await OneTimeCode.findOne({ user: userId, purpose, usedAt: null })
+      .sort({ createdAt: -1 });
+
+    if (!latest) {
+      return { valid: false, reason: 'no_code', attemptsRemaining: 0 };
+    }
+
+    if (latest.expiresAt <= now) {
+      return { valid: false, reason: 'code_expired', attemptsRemaining: 0 };
+    }
+
+    return { valid: false, reason: 'too_many_attempts', attemptsRemaining: 0 };
+  }
+
+  if (!safeEqual(hashCode(userId, purpose, String(code).trim()), entry.codeHash)) {
+    const attemptsRemaining = Math.max(entry.maxAttempts - entry.attempts, 0);
+    return {
+      valid: false,
+      reason: attemptsRemaining > 0 ? 'invalid_code' : 'too_many_attempts',
+      attemptsRemaining
+    };
+  }
+
+  if (!spend) {
+    return { valid: true };
+  }
+
+  // A concurrent request may have spent the code meanwhile
+  const spent = await OneTimeCode.updateOne(
+    { _id: entry._id, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  if (spent.modifiedCount === 0) {
+    return { valid: false, reason: 'no_code', attemptsRemaining: 0 };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Delete every outstanding code of a purpose (e.g. once the email is verified another way)
+ * @param {Object|string} user - User document or ID
+ * @param {string} purpose - One of PURPOSES
+ * @returns {Promise} Promise that resolves when the codes are deleted
+ */
+const revokeCodes = (user, purpose) => {
+  return OneTimeCode.deleteMany({ user: user._id || user, purpose });
+};
+
+module.exports = {
+  CONFIG,
+  PURPOSES,
+  issueCode,
+  verifyCode,
+  revokeCodes
+};
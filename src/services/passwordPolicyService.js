@@ -0,0 +1,389 @@
+/**
+ * Password Policy Service
+ * Checks new passwords against the configured policy: length, character
+ * classes, banned and personal words, estimated strength and known breaches
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { loadPasswordPolicy } = require('../config/passwordPolicy');
+
+const POLICY = loadPasswordPolicy();
+
+// Passwords seen most often in breaches, most common first
+const COMMON_PASSWORDS = [
+  'password', '123456', 'qwerty', 'letmein', 'welcome', 'admin', 'login', 'iloveyou',
+  'monkey', 'dragon', 'football', 'baseball', 'sunshine', 'princess', 'master', 'shadow',
+  'superman', 'batman', 'trustno1', 'hello', 'freedom', 'whatever', 'secret', 'summer',
+  'winter', 'spring', 'autumn', 'love', 'test', 'guest', 'root', 'changeme', 'default',
+  'pass', 'user', 'computer', 'internet', 'starwars', 'pokemon', 'soccer', 'hockey',
+  'killer', 'charlie', 'michael', 'jordan', 'ashley', 'jessica', 'flower', 'cookie',
+  'cheese', 'banana', 'orange', 'purple', 'silver', 'golden', 'tigger', 'ninja',
+  'mustang', 'access', 'matrix', 'pepper', 'ginger', 'hunter', 'ranger', 'buster',
+  'thomas', 'robert', 'daniel', 'andrew', 'family', 'friend', 'money', 'angel', 'blue'
+];
+
+// Adjacent keys, for keyboard walks such as "asdf"
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'qwertzuiop', 'azertyuiop'];
+
+// Common character substitutions ("p@$$w0rd")
+const LEET = {
+  '@': 'a', '4': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i',
+  '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '2': 'z'
+};
+
+// Guesses per character not covered by a pattern
+const BRUTEFORCE_CARDINALITY = 10;
+
+// Guess counts at which the score goes up by one
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Undo common character substitutions
+ * @param {string} value - Lowercase password
+ * @returns {string} Password with substitutions replaced by letters
+ */
+const unleet = (value) => {
+  return value.replace(/[@48361!0$572]/g, char => LEET[char]);
+};
+
+/**
+ * Collect words from the user's email address and name
+ * @param {Object} context - { email, name }
+ * @returns {string[]} Lowercase words of at least three characters
+ */
+const getPersonalWords = ({ email, name } = {}) => {
+  const words = [];
+
+  if (email) {
+    const [local, domain = ''] = String(email).toLowerCase().split('@');
+    words.push(local, ...local.split(/[^a-z0-9]+/), domain.split('.')[0]);
+  }
+
+  if (name) {
+    words.push(...String(name).toLowerCase().split(/\s+/));
+  }
+
+  return [...new Set(words.filter(word => word && word.length >= 3))];
+};
+
+/**
+ * Find the first word contained in the password, with or without substitutions
+ * @param {string} value - Password
+ * @param {string[]} words - Lowercase words
+ * @returns {string|undefined} Matching word
+ */
+const findContainedWord = (value, words) => {
+  const lower = value.toLowerCase();
+  const plain = unleet(lower);
+  return words.find(word => lower.includes(word) || plain.includes(word));
+};
+
+/**
+ * Count the guesses needed for the letter case of a dictionary match
+ * @param {string} token - Matched part of the password, original case
+ * @returns {number} Multiplier
+ */
+const caseVariations = (token) => {
+  const upper = (token.match(/[A-Z]/g) || []).length;
+
+  if (upper === 0) {
+    return 1;
+  }
+
+  // "Password" and "PASSWORD" are the first things tried
+  if (upper === token.length || (upper === 1 && /^[A-Z]/.test(token))) {
+    return 2;
+  }
+
+  return 2 ** Math.min(upper, token.length);
+};
+
+/**
+ * Find runs of the password that follow a rule between neighbouring characters
+ * @param {string} value - Lowercase password
+ * @param {number} minLength - Shortest run to report
+ * @param {Function} follows - (previous, current, direction) => direction or null
+ * @returns {Array} Runs as { i, j, direction }
+ */
+const findRuns = (value, minLength, follows) => {
+  const runs = [];
+  let i = 0;
+
+  while (i < value.length - 1) {
+    const direction = follows(value[i], value[i + 1], null);
+
+    if (direction === null) {
+      i += 1;
+      continue;
+    }
+
+    let j = i + 1;
+    while (j < value.length - 1 && follows(value[j], value[j + 1], direction) !== null) {
+      j += 1;
+    }
+
+    if (j - i + 1 >= minLength) {
+      runs.push({ i, j, direction });
+    }
+
+    // The last character can start the next run
+    i = j;
+  }
+
+  return runs;
+};
+
+/**
+ * Find guessable patterns in the password
+ * @param {string} value - Password, original case
+ * @param {Map} dictionary - Lowercase word to rank
+ * @returns {Array} Matches as { i, j, guesses }
+ */
+const findPatterns = (value, dictionary) => {
+  const lower = value.toLowerCase();
+  const plain = unleet(lower);
+  const matches = [];
+
+  // Dictionary words, plain or with substitutions
+  for (let i = 0; i < lower.length; i++) {
+    for (let j = i + 2; j < lower.length; j++) {
+      const token = value.slice(i, j + 1);
+
+      if (dictionary.has(lower.slice(i, j + 1))) {
+        matches.push({ i, j, guesses: dictionary.get(lower.slice(i, j + 1)) * caseVariations(token) });
+      } else if (dictionary.has(plain.slice(i, j + 1))) {
+        matches.push({ i, j, guesses: dictionary.get(plain.slice(i, j + 1)) * caseVariations(token) * 2 });
+      }
+    }
+  }
+
+  // Sequences such as "abc", "987"
+  const sequences = findRuns(lower, 3, (previous, current, direction) => {
+    const sameClass = /\d/.test(previous) === /\d/.test(current) && /[a-z\d]/.test(previous) && /[a-z\d]/.test(current);
+    const step = current.charCodeAt(0) - previous.charCodeAt(0);
+    if (!sameClass || Math.abs(step) !== 1 || (direction !== null && step !== direction)) {
+      return null;
+    }
+    return step;
+  });
+
+  for (const { i, j, direction } of sequences) {
+    const first = lower[i];
+    const base = 'az019'.includes(first) ? 4 : (/\d/.test(first) ? 10 : 26);
+    matches.push({ i, j, guesses: base * (j - i + 1) * (direction < 0 ? 2 : 1) });
+  }
+
+  // Keyboard walks such as "qwerty", "asdf"
+  const walks = findRuns(lower, 4, (previous, current, direction) => {
+    for (const row of KEYBOARD_ROWS) {
+      const step = row.indexOf(current) - row.indexOf(previous);
+      if (row.includes(previous) && row.includes(current) && Math.abs(step) === 1 && (direction === null || step === direction)) {
+        return step;
+      }
+    }
+    return null;
+  });
+
+  for (const { i, j } of walks) {
+    matches.push({ i, j, guesses: 20 * (j - i + 1) });
+  }
+
+  // Repeated characters such as "aaa", "111"
+  const repeats = findRuns(lower, 3, (previous, current) => (previous === current ? 0 : null));
+
+  for (const { i, j } of repeats) {
+    const cardinality = /\d/.test(lower[i]) ? 10 : (/[a-z]/.test(lower[i]) ? 26 : 33);
+    matches.push({ i, j, guesses: cardinality * (j - i + 1) });
+  }
+
+  // Recent years
+  for (const match of lower.matchAll(/(?:19|20)\d\d/g)) {
+    matches.push({ i: match.index, j: match.index + 3, guesses: 120 });
+  }
+
+  return matches;
+};
+
+/**
+ * Strength Functions
+ */
+
+/**
+ * Estimate how guessable a password is, zxcvbn style
+ * The cheapest way to cover the password with known patterns and brute
+ * forced characters gives the number of guesses, which maps to a score.
+ * @param {string} password - Password
+ * @param {string[]} userWords - Extra words an attacker would try first (banned and personal words)
+ * @returns {Object} { guesses, score } where score is 0 (too guessable) to 4 (very unguessable)
+ */
+const estimateStrength = (password, userWords = []) => {
+  const dictionary = new Map();
+
+  userWords.forEach(word => dictionary.set(word, 1));
+  COMMON_PASSWORDS.forEach((word, index) => {
+    if (!dictionary.has(word)) {
+      dictionary.set(word, index + 1);
+    }
+  });
+
+  const matchesByStart = new Map();
+  for (const match of findPatterns(password, dictionary)) {
+    if (!matchesByStart.has(match.i)) {
+      matchesByStart.set(match.i, []);
+    }
+    matchesByStart.get(match.i).push(match);
+  }
+
+  // best[k]: fewest guesses needed for the first k characters
+  const best = [1, ...Array(password.length).fill(Infinity)];
+
+  for (let k = 0; k < password.length; k++) {
+    best[k + 1] = Math.min(best[k + 1], best[k] * BRUTEFORCE_CARDINALITY);
+
+    for (const match of matchesByStart.get(k) || []) {
+      best[match.j + 1] = Math.min(best[match.j + 1], best[k] * match.guesses);
+    }
+  }
+
+  const guesses = best[password.length];
+  const score = SCORE_THRESHOLDS.filter(threshold => guesses >= threshold).length;
+
+  return { guesses, score };
+};
+
+/**
+ * Breach Functions
+ */
+
+/**
+ * Look a password up in the local breached-password hashes
+ * The hashes are laid out like the Pwned Passwords range API: one file per
+ * five-character SHA-1 prefix (`ABCDE` or `ABCDE.txt`), holding
+ * `SUFFIX:COUNT` lines. Only the file for the password's prefix is read.
+ * @param {string} password - Password
+ * @returns {Promise<number>} How often the password was seen in breaches (0 if never)
+ */
+const countBreaches = async (password) => {
+  if (!POLICY.breachedHashesPath) {
+    return 0;
+  }
+
+  const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  const prefix = hash.slice(0, 5);
+  const suffix = hash.slice(5);
+
+  let contents = null;
+  for (const name of [`${prefix}.txt`, prefix]) {
+    try {
+      contents = await fs.promises.readFile(path.join(POLICY.breachedHashesPath, name), 'utf8');
+      break;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  if (!contents) {
+    return 0;
+  }
+
+  for (const line of contents.split('\n')) {
+    const [lineSuffix, count] = line.trim().split(':');
+    if (lineSuffix && lineSuffix.toUpperCase() === suffix) {
+      return Number(count) || 1;
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Policy Functions
+ */
+
+/**
+ * Check a new password against every rule of the policy
+ * @param {string} password - Password to check
+ * @param {Object} context - The account the password is for
+ * @param {string} context.email - Email address
+ * @param {string} context.name - Display name
+ * @returns {Promise<Object>} { isValid, message, failures, score } where failures
+ *   lists every broken rule as { rule, message } and message is the first of them
+ */
+const checkPassword = async (password, context = {}) => {
+  const value = typeof password === 'string' ? password : '';
+  const failures = [];
+  const fail = (rule, message, details = {}) => failures.push({ rule, message, ...details });
+
+  if (value.length < POLICY.minLength) {
+    fail('min_length', `Password must be at least ${POLICY.minLength} characters long`);
+  }
+
+  if (value.length > POLICY.maxLength) {
+    fail('max_length', `Password cannot be longer than ${POLICY.maxLength} characters`);
+  }
+
+  if (POLICY.requireLowercase && !/[a-z]/.test(value)) {
+    fail('lowercase', 'Password must contain at least one lowercase letter');
+  }
+
+  if (POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+    fail('uppercase', 'Password must contain at least one uppercase letter');
+  }
+
+  if (POLICY.requireNumber && !/\d/.test(value)) {
+    fail('number', 'Password must contain at least one number');
+  }
+
+  if (POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    fail('symbol', 'Password must contain at least one special character');
+  }
+
+  const bannedWord = findContainedWord(value, POLICY.bannedWords);
+  if (bannedWord) {
+    fail('banned_word', `Password must not contain "${bannedWord}"`);
+  }
+
+  const personalWords = POLICY.banPersonalInfo ? getPersonalWords(context) : [];
+  if (findContainedWord(value, personalWords)) {
+    fail('personal_info', 'Password must not contain your name or email address');
+  }
+
+  // Long inputs already fail and would only slow the estimate down
+  let score = null;
+  if (value && value.length <= POLICY.maxLength) {
+    ({ score } = estimateStrength(value, [...POLICY.bannedWords, ...personalWords]));
+
+    if (score < POLICY.minScore) {
+      fail('strength', 'Password is too easy to guess. Use a longer password and avoid common words, names and patterns', {
+        score,
+        minScore: POLICY.minScore
+      });
+    }
+
+    if (await countBreaches(value) >= POLICY.breachedMinCount) {
+      fail('breached', 'This password has appeared in a data breach. Please choose a different one');
+    }
+  }
+
+  return {
+    isValid: failures.length === 0,
+    message: failures[0]?.message || null,
+    failures,
+    score
+  };
+};
+
+module.exports = {
+  POLICY,
+  estimateStrength,
+  checkPassword
+};
@@ -0,0 +1,276 @@
+/**
+ * Password Service
+ * Password rules, hashing, changes and reset codes shared by the auth, account and admin flows
+ */
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const passwordHash = require('../utils/passwordHash');
+const { sendMail } = require('../config/mailer');
+const sessionService = require('./sessionService');
+const otpService = require('./otpService');
+const passwordPolicyService = require('./passwordPolicyService');
+
+// Configuration constants
+const CONFIG = {
+  CODE_EXPIRES_MIN: otpService.CONFIG.CODE_EXPIRES_MIN,
+  HISTORY_SIZE: Number(process.env.PASSWORD_HISTORY_SIZE ?? 5)
+};
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Validate a new password against the password policy
+ * @param {string} password - Password to validate
+ * @param {Object} context - The account the password is for ({ email, name }), so it cannot contain them
+ * @returns {Promise<Object>} Validation result with isValid flag, message and per-rule failures
+ */
+const validatePassword = (password, context = {}) => {
+  return passwordPolicyService.checkPassword(password, context);
+};
+
+/**
+ * Hash a password with the configured hasher (PASSWORD_HASH_ALGORITHM)
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded password hash
+ */
+const hashPassword = (password) => {
+  return passwordHash.hash(password);
+};
+
+/**
+ * Check a password against a stored hash of any supported format
+ * @param {string} password - Plain text password
+ * @param {string} hash - Stored password hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+const verifyPassword = (password, hash) => {
+  return passwordHash.verify(password, hash);
+};
+
+/**
+ * Re-hash the password with the current hasher if the stored hash is outdated
+ * Call only after the password has been verified. The password history and
+ * passwordChangedAt are left alone: the password itself is unchanged.
+ * @param {Object} user - User document with `passwordHash` selected
+ * @param {string} password - Verified plain text password
+ * @returns {Promise<boolean>} True if the hash was upgraded
+ */
+const upgradePasswordHash = async (user, password) => {
+  if (!passwordHash.needsRehash(user.passwordHash)) {
+    return false;
+  }
+
+  const upgradedHash = await hashPassword(password);
+
+  // Skip if the password was changed meanwhile
+  const result = await User.updateOne(
+    { _id: user._id, passwordHash: user.passwordHash },
+    { $set: { passwordHash: upgradedHash } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  user.passwordHash = upgradedHash;
+  return true;
+};
+
+/**
+ * Check whether a password is the current one or one of the remembered previous ones
+ * Requires `passwordHash` and `passwordHistory` to be selected explicitly.
+ * @param {Object} user - User document
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} True if the password was used before
+ */
+const isPasswordReused = async (user, password) => {
+  const hashes = [user.passwordHash, ...(user.passwordHistory || []).map(entry => entry.hash)];
+
+  for (const hash of hashes.filter(Boolean)) {
+    if (await verifyPassword(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Message for a rejected reused password
+ * @returns {string} Error message
+ */
+const getReuseMessage = () => {
+  return CONFIG.HISTORY_SIZE > 0
+    ? `New password must be different from your current and last ${CONFIG.HISTORY_SIZE} passwords`
+    : 'New password must be different from the current password';
+};
+
+/**
+ * Set a new password hash, remembering the current one in the password history
+ * The history keeps the last PASSWORD_HISTORY_SIZE passwords, and any forced change is cleared.
+ * Does not save the user.
+ * @param {Object} user - User document with `passwordHash` and `passwordHistory` selected
+ * @param {string} newPassword - New plain text password (already validated)
+ * @returns {Promise<void>}
+ * @throws {Error} If the password history was not selected (saving would wipe it)
+ */
+const setPassword = async (user, newPassword) => {
+  if (!user.isSelected('passwordHash') || !user.isSelected('passwordHistory')) {
+    throw new Error('setPassword requires passwordHash and passwordHistory to be selected');
+  }
+
+  if (CONFIG.HISTORY_SIZE > 0 && user.passwordHash) {
+    user.passwordHistory = [
+      { hash: user.passwordHash, replacedAt: new Date() },
+      ...(user.passwordHistory || [])
+    ].slice(0, CONFIG.HISTORY_SIZE);
+  } else {
+    user.passwordHistory = [];
+  }
+
+  user.passwordHash = await hashPassword(newPassword);
+  user.passwordChangedAt = new Date();
+  user.passwordChangeRequired = false;
+};
+
+/**
+ * Send password reset email
+ * @param {string} userEmail - Recipient email
+ * @param {string} code - Reset code
+ */
+const sendResetEmail = async (userEmail, code) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Password Reset Request</h2>
+      <p>You have requested to reset your password. Please use the following code:</p>
+      <div style="background-color: #f5f5f5; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 20px 0;">
+        ${code}
+      </div>
+      <p><strong>This code will expire in ${CONFIG.CODE_EXPIRES_MIN} minutes.</strong></p>
+      <p>If you didn't request this password reset, please ignore this email and your password will remain unchanged.</p>
+    </div>
+  `;
+
+  await sendMail({
+    to: userEmail,
+    from: process.env.EMAIL_FROM,
+    subject: 'Password Reset Code',
+    html,
+    text: `Your password reset code is ${code}. It expires in ${CONFIG.CODE_EXPIRES_MIN} minutes.`
+  });
+};
+
+/**
+ * Send the "your password was changed" notification
+ * @param {string} userEmail - Recipient email
+ * @param {Date} changedAt - When the password was changed
+ */
+const sendPasswordChangedEmail = async (userEmail, changedAt) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Your Password Was Changed</h2>
+      <p>The password for your account was changed on <strong>${changedAt.toUTCString()}</strong>. All other devices have been signed out.</p>
+      <p>If you didn't make this change, reset your password right away using "Forgot password" on the sign in page.</p>
+    </div>
+  `;
+
+  await sendMail({
+    to: userEmail,
+    from: process.env.EMAIL_FROM,
+    subject: 'Your password was changed',
+    html,
+    text: `The password for your account was changed on ${changedAt.toUTCString()}. All other devices have been signed out. If you didn't make this change, reset your password right away using "Forgot password" on the sign in page.`
+  });
+};
+
+/**
+ * Change Functions
+ */
+
+/**
+ * Sign the user out after their password changed
+ * Revokes sessions with their refresh tokens, and the refresh tokens held by
+ * OpenID Connect client apps.
+ * @param {Object|string} user - User document or ID
+ * @param {Object} options - Revoke options
+ * @param {string} options.keepSessionId - Session to keep signed in (the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAccess = async (user, { keepSessionId = null } = {}) => {
+  const userId = user._id || user;
+
+  const sessionsRevoked = keepSessionId
+    ? await sessionService.revokeOtherSessions(userId, keepSessionId)
+    : await sessionService.revokeAllSessions(userId);
+
+  await RefreshToken.updateMany(
+    { user: userId, clientId: { $ne: null }, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return sessionsRevoked;
+};
+
+/**
+ * Set a new password, sign out every other session and notify the owner
+ * Refresh tokens held by OpenID Connect client apps are revoked as well.
+ * @param {Object} user - User document with `passwordHash` and `passwordHistory` selected
+ * @param {string} newPassword - New plain text password (already validated)
+ * @param {Object} options - Change options
+ * @param {string} options.keepSessionId - Session to keep signed in (the current one)
+ * @returns {Promise<Object>} { sessionsRevoked }
+ */
+const changePassword = async (user, newPassword, { keepSessionId = null } = {}) => {
+  const changedAt = new Date();
+
+  await setPassword(user, newPassword);
+  await user.save();
+
+  const sessionsRevoked = await revokeAccess(user, { keepSessionId });
+
+  try {
+    await sendPasswordChangedEmail(user.email, changedAt);
+  } catch (mailError) {
+    console.error('Email send error for password change:', mailError.message || mailError);
+  }
+
+  return { sessionsRevoked };
+};
+
+/**
+ * Reset Functions
+ */
+
+/**
+ * Issue a new reset code and email it
+ * Replaces any reset code that was sent before.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const startPasswordReset = async (user) => {
+  const { code } = await otpService.issueCode(user, otpService.PURPOSES.PASSWORD_RESET);
+
+  await sendResetEmail(user.email, code);
+
+  // Log for development (remove in production)
+  if (process.env.NODE_ENV !== 'production') {
+    console.log(`🔑 Password reset code for ${user.email}: ${code}`);
+  }
+};
+
+module.exports = {
+  CONFIG,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  upgradePasswordHash,
+  isPasswordReused,
+  getReuseMessage,
+  setPassword,
+  revokeAccess,
+  changePassword,
+  startPasswordReset
+};
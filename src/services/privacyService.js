@@ -0,0 +1,322 @@
+/**
+ * Privacy Service
+ * Personal data export and permanent account erasure (GDPR articles 15, 17 and 20)
+ */
+
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuditEvent = require('../models/AuditEvent');
+const KnownDevice = require('../models/KnownDevice');
+const EmailChange = require('../models/EmailChange');
+const Impersonation = require('../models/Impersonation');
+const MagicLink = require('../models/MagicLink');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const OAuthConsent = require('../models/OAuthConsent');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const OneTimeCode = require('../models/OneTimeCode');
+const { sendMail } = require('../config/mailer');
+const sessionService = require('./sessionService');
+const auditService = require('./auditService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  GRACE_DAYS: Number(process.env.ACCOUNT_ERASURE_GRACE_DAYS) || 30,
+  JOB_INTERVAL_MIN: Number(process.env.ACCOUNT_ERASURE_JOB_INTERVAL_MIN) || 60,
+  JOB_BATCH_SIZE: 100,
+  CANCEL_URL: process.env.ACCOUNT_ERASURE_CANCEL_URL || `http://localhost:${process.env.PORT || 4000}/api/auth/erasure/cancel`
+};
+
+let jobTimer = null;
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Hash a cancel token using SHA-256
+ * @param {string} token - Raw token
+ * @returns {string} Hashed token
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Send the erasure confirmation with the cancel link
+ * @param {string} userEmail - Recipient email
+ * @param {Date} scheduledFor - When the account will be erased
+ * @param {string} cancelLink - Link that cancels the erasure
+ */
+const sendErasureScheduledEmail = async (userEmail, scheduledFor, cancelLink) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Your Account Will Be Deleted</h2>
+      <p>We received a request to permanently delete your account. It has been deactivated and will be erased with all of its data on <strong>${scheduledFor.toUTCString()}</strong>.</p>
+      <p>Changed your mind? Restore your account before then:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${cancelLink}" style="background-color: #007bff; color: #ffffff; padding: 14px 28px; text-decoration: none; border-radius: 4px; font-weight: bold;">Keep my account</a>
+      </div>
+      <p>If you didn't ask for this, use the link above and then change your password.</p>
+    </div>
+  `;
+
+  await sendMail({
+    to: userEmail,
+    from: process.env.EMAIL_FROM,
+    subject: 'Your account is scheduled for deletion',
+    html,
+    text: `Your account has been deactivated and will be permanently deleted on ${scheduledFor.toUTCString()}. To keep it, open this link before then: ${cancelLink}`
+  });
+};
+
+/**
+ * Export Functions
+ */
+
+/**
+ * Collect everything stored about a user into a machine-readable archive
+ * Secrets (password hash, 2FA secrets, token hashes, passkey public keys) are left out.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Export archive
+ * @throws {AppError} If the user does not exist
+ */
+const buildExport = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [sessions, activity, devices, passkeys, emailChanges, impersonations, consents] = await Promise.all([
+    Session.find({ user: user._id }).sort({ createdAt: -1 }),
+    AuditEvent.find({ user: user._id }).sort({ createdAt: -1 }),
+    KnownDevice.find({ user: user._id }).sort({ lastSeenAt: -1 }),
+    WebAuthnCredential.find({ user: user._id }).sort({ createdAt: -1 }),
+    EmailChange.find({ user: user._id }).sort({ createdAt: -1 }),
+    Impersonation.find({ user: user._id }).sort({ createdAt: -1 }),
+    OAuthConsent.find({ user: user._id }).sort({ createdAt: -1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      ...user.toSafeObject(),
+      permissions: user.permissions,
+      linkedAccounts: (user.oauthAccounts || []).map(account => ({
+        provider: account.provider,
+        subject: account.subject,
+        email: account.email,
+        linkedAt: account.linkedAt
+      }))
+    },
+    sessions: sessions.map(session => ({
+      ...session.toSafeObject(),
+      revokedAt: session.revokedAt,
+      expiresAt: session.expiresAt
+    })),
+    activity: activity.map(event => event.toSafeObject()),
+    knownDevices: devices.map(device => ({
+      userAgent: device.userAgent,
+      ip: device.ip,
+      location: device.location,
+      firstSeenAt: device.createdAt,
+      lastSeenAt: device.lastSeenAt
+    })),
+    passkeys: passkeys.map(passkey => passkey.toSafeObject()),
+    emailChanges: emailChanges.map(change => ({
+      ...change.toSafeObject(),
+      oldEmail: change.oldEmail
+    })),
+    impersonations: impersonations.map(impersonation => impersonation.toSafeObject()),
+    appConsents: consents.map(consent => ({
+      clientId: consent.clientId,
+      scopes: consent.scopes,
+      grantedAt: consent.createdAt,
+      updatedAt: consent.updatedAt
+    }))
+  };
+};
+
+/**
+ * Erasure Functions
+ */
+
+/**
+ * Deactivate the account now and schedule its permanent erasure
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be erased
+ */
+const scheduleErasure = async (user) => {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + CONFIG.GRACE_DAYS * 24 * 60 * 60 * 1000);
+  const cancelToken = crypto.randomBytes(32).toString('base64url');
+
+  user.erasure = {
+    requestedAt: now,
+    scheduledFor,
+    cancelTokenHash: hashToken(cancelToken)
+  };
+  await user.deactivate('user');
+
+  // Sign out everywhere, including OpenID Connect client apps
+  await sessionService.revokeAllSessions(user._id);
+  await RefreshToken.revokeAllForUser(user._id);
+
+  const cancelLink = `${CONFIG.CANCEL_URL}?token=${encodeURIComponent(cancelToken)}`;
+
+  try {
+    await sendErasureScheduledEmail(user.email, scheduledFor, cancelLink);
+  } catch (mailError) {
+    console.error('Email send error for account erasure:', mailError.message || mailError);
+  }
+
+  // Log for development (remove in production)
+  if (process.env.NODE_ENV !== 'production') {
+    console.log(`🗑️ Erasure cancel link for ${user.email}: ${cancelLink}`);
+  }
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a scheduled erasure and reactivate the account
+ * @param {string} token - Cancel token from the confirmation email
+ * @returns {Promise<Object>} Restored user document
+ * @throws {AppError} If the link is invalid or the account was already erased
+ */
+const cancelErasure = async (token) => {
+  const user = await User.findOneAndUpdate(
+    {
+      'erasure.cancelTokenHash': hashToken(token),
+      'erasure.scheduledFor': { $gt: new Date() }
+    },
+    {
+      $set: { isActive: true, deactivatedAt: null, deactivatedBy: null },
+      $unset: { erasure: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new AppError('This link is invalid or the account has already been deleted.', 400);
+  }
+
+  return user;
+};
+
+/**
+ * Permanently erase one account
+ * The user document and everything that only exists for it are deleted,
+ * including the record of admins impersonating the user. Audit events and the
+ * impersonations the user performed as an admin are kept for security
+ * reporting but stripped of anything that identifies the person.
+ * @param {Object} user - User document whose grace period has ended
+ * @returns {Promise<boolean>} Whether the account was erased (false if the erasure was cancelled meanwhile)
+ */
+const purgeUser = async (user) => {
+  // Conditional delete: a cancel that raced the job wins
+  const result = await User.deleteOne({
+    _id: user._id,
+    'erasure.scheduledFor': { $lte: new Date() }
+  });
+
+  if (result.deletedCount === 0) {
+    return false;
+  }
+
+  const userId = user._id;
+
+  await Promise.all([
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    KnownDevice.deleteMany({ user: userId }),
+    EmailChange.deleteMany({ user: userId }),
+    WebAuthnCredential.deleteMany({ user: userId }),
+    WebAuthnChallenge.deleteMany({ user: userId }),
+    OAuthConsent.deleteMany({ user: userId }),
+    AuthorizationCode.deleteMany({ user: userId }),
+    OneTimeCode.deleteMany({ user: userId }),
+    MagicLink.deleteMany({ email: user.email }),
+    Impersonation.deleteMany({ user: userId })
+  ]);
+
+  await AuditEvent.updateMany(
+    { $or: [{ user: userId }, { email: user.email }] },
+    { $set: { user: null, email: null, ip: null, userAgent: null, metadata: null } }
+  );
+
+  await AuditEvent.updateMany({ actor: userId }, { $set: { actor: null } });
+
+  // The erased user acted as other people (support staff): keep the record, drop the identity
+  await Impersonation.updateMany(
+    { impersonator: userId },
+    { $set: { impersonatorEmail: 'erased user', ip: null, userAgent: null } }
+  );
+
+  auditService.success(null, auditService.ACTIONS.ACCOUNT_ERASE);
+
+  return true;
+};
+
+/**
+ * Erase every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts erased
+ */
+const purgeDueAccounts = async () => {
+  let erased = 0;
+
+  for (;;) {
+    const users = await User.find({ 'erasure.scheduledFor': { $lte: new Date() } })
+      .select('_id email erasure')
+      .limit(CONFIG.JOB_BATCH_SIZE);
+
+    for (const user of users) {
+      if (await purgeUser(user)) {
+        erased += 1;
+      }
+    }
+
+    if (users.length < CONFIG.JOB_BATCH_SIZE) {
+      return erased;
+    }
+  }
+};
+
+/**
+ * Run the erasure job now and then every JOB_INTERVAL_MIN minutes
+ */
+const startErasureJob = () => {
+  if (jobTimer) {
+    return;
+  }
+
+  const run = () => {
+    purgeDueAccounts()
+      .then(erased => {
+        if (erased > 0) {
+          console.log(`🗑️ Erased ${erased} account${erased === 1 ? '' : 's'}`);
+        }
+      })
+      .catch(error => {
+        console.error('Account erasure job error:', error.message);
+      });
+  };
+
+  run();
+  jobTimer = setInterval(run, CONFIG.JOB_INTERVAL_MIN * 60000);
+  jobTimer.unref();
+};
+
+module.exports = {
+  CONFIG,
+  buildExport,
+  scheduleErasure,
+  cancelErasure,
+  purgeDueAccounts,
+  startErasureJob
+};
@@ -0,0 +1,58 @@
+/**
+ * Role Service
+ * Seeds built-in roles and resolves the effective permissions of a user
+ */
+
+const Role = require('../models/Role');
+const { SYSTEM_ROLES } = require('../config/roles');
+
+/**
+ * Create or update the built-in roles (e.g. admin)
+ * @returns {Promise<void>}
+ */
+const seedRoles = async () => {
+  await Role.seed(SYSTEM_ROLES);
+  console.log(`🛡️  Roles seeded (${SYSTEM_ROLES.map(role => role.name).join(', ')})`);
+};
+
+/**
+ * Resolve the effective permissions of a user
+ * Combines the permissions of every assigned role with the user's direct grants.
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Sorted, de-duplicated permissions
+ */
+const resolvePermissions = async (user) => {
+  const roles = user.roles?.length
+    ? await Role.find({ name: { $in: user.roles } }).select('permissions').lean()
+    : [];
+
+  const permissions = new Set(user.permissions || []);
+  for (const role of roles) {
+    role.permissions.forEach(permission => permissions.add(permission));
+  }
+
+  return [...permissions].sort();
+};
+
+/**
+ * Check whether a set of granted permissions covers a required permission
+ * Supports `*` (everything) and `resource:*` (every action on a resource).
+ * @param {Array} granted - Granted permissions
+ * @param {string} required - Required permission
+ * @returns {boolean} True if the permission is granted
+ */
+const hasPermission = (granted = [], required) => {
+  const [resource] = required.split(':');
+
+  return granted.some(permission => (
+    permission === '*' ||
+    permission === required ||
+    permission === `${resource}:*`
+  ));
+};
+
+module.exports = {
+  seedRoles,
+  resolvePermissions,
+  hasPermission
+};
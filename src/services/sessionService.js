@@ -0,0 +1,96 @@
+/**
+ * Session Service
+ * Creates and revokes server-side sessions together with their refresh token families
+ */
+
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * Start a new session for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used for IP and user agent
+ * @param {Date} expiresAt - When the session lapses without a refresh
+ * @param {Object} options - Session options
+ * @param {string} options.impersonator - Admin acting as the user, if any
+ * @returns {Promise<Object>} Session document
+ */
+const createSession = (user, req, expiresAt, { impersonator = null } = {}) => {
+  return Session.create({
+    user: user._id,
+    userAgent: req?.get?.('User-Agent') || null,
+    ip: req?.ip || null,
+    lastSeenAt: new Date(),
+    impersonator,
+    expiresAt
+  });
+};
+
+/**
+ * Revoke a list of sessions and the refresh tokens issued for them
+ * @param {Array} sessionIds - Session IDs
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (sessionIds) => {
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+
+  // Refresh token families are keyed by session ID
+  await RefreshToken.updateMany(
+    { family: { $in: sessionIds.map(String) }, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSession = (sessionId) => {
+  return revokeSessions([sessionId]);
+};
+
+/**
+ * Revoke every active session of a user except one
+ * @param {string} userId - User ID
+ * @param {string} keepSessionId - Session to keep (usually the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeOtherSessions = async (userId, keepSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    _id: { $ne: keepSessionId }
+  }).select('_id');
+
+  return revokeSessions(sessions.map(session => session._id));
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null }).select('_id');
+
+  return revokeSessions(sessions.map(session => session._id));
+};
+
+module.exports = {
+  createSession,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions
+};
@@ -0,0 +1,91 @@
+/**
+ * Signin Service
+ * Final step shared by every sign in method (password, 2FA, passkeys, ...)
+ */
+
+const tokenService = require('./tokenService');
+const auditService = require('./auditService');
+const deviceService = require('./deviceService');
+
+/**
+ * Start a session for an authenticated user and build the signin response body
+ * Users whose password expired or was flagged by an admin get a change token
+ * instead; it is only issued here, once every factor has been checked.
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request object
+ * @param {Object} options - Signin options
+ * @param {string} options.method - How the user authenticated, for the audit log
+ * @returns {Promise<Object>} Response body with access and refresh tokens, or a change token
+ */
+const completeSignin = async (user, req, { method = null } = {}) => {
+  const passwordChangeReason = user.getPasswordChangeReason();
+  if (passwordChangeReason) {
+    auditService.failure(req, auditService.ACTIONS.SIGNIN, 'password_change_required', {
+      user,
+      metadata: { method, passwordChangeReason }
+    });
+
+    return {
+      message: 'Password change required',
+      passwordChangeRequired: true,
+      reason: passwordChangeReason,
+      changeToken: tokenService.issuePurposeToken(user, 'password_change', { method })
+    };
+  }
+
+  // Generate access token and refresh token
+  const { session, token, refreshToken } = await tokenService.issueTokenPair(user, req);
+
+  // Clear failed attempts and update last login
+  await user.resetLoginAttempts();
+
+  auditService.success(req, auditService.ACTIONS.SIGNIN, {
+    user,
+    metadata: { method, sessionId: session._id }
+  });
+
+  // Runs in the background: a failed alert must not fail the sign in
+  deviceService.checkSigninDevice(user, req).catch(error => {
+    console.error('New device check error:', error.message || error);
+  });
+
+  return {
+    message: 'Signed in successfully',
+    token,
+    refreshToken,
+    expiresIn: tokenService.CONFIG.JWT_EXPIRES_IN,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      emailVerified: user.emailVerified
+    }
+  };
+};
+
+/**
+ * Continue after a successful first factor (password, magic link, social login)
+ * Accounts with 2FA get a challenge token instead of a session.
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request object
+ * @param {Object} options - Signin options
+ * @param {string} options.method - How the user authenticated, for the audit log
+ * @returns {Promise<Object>} Response body (challenge or session tokens)
+ */
+const completeFirstFactor = async (user, req, { method = null } = {}) => {
+  if (user.mfa?.enabled) {
+    return {
+      message: 'Two-factor authentication required',
+      mfaRequired: true,
+      challengeToken: tokenService.issuePurposeToken(user, 'mfa'),
+      methods: ['totp', 'recovery_code']
+    };
+  }
+
+  return completeSignin(user, req, { method });
+};
+
+module.exports = {
+  completeSignin,
+  completeFirstFactor
+};
@@ -0,0 +1,291 @@
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens bound to a session
+ */
+
+const crypto = require('crypto');
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const sessionService = require('./sessionService');
+const keyService = require('./keyService');
+const { resolvePermissions } = require('./roleService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_EXPIRES_DAYS: Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+  REFRESH_TOKEN_BYTES: 48,
+  CHALLENGE_TOKEN_EXPIRES_IN: process.env.CHALLENGE_TOKEN_EXPIRES_IN || '5m'
+};
+
+keyService.assertGraceCovers(CONFIG.JWT_EXPIRES_IN, 'JWT_EXPIRES_IN');
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Hash a refresh token using SHA-256
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hashed token
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Add days to a date
+ * @param {Date} date - Base date
+ * @param {number} days - Days to add
+ * @returns {Date} New date with added days
+ */
+const addDays = (date, days) => {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Token Functions
+ */
+
+/**
+ * Sign a short-lived access token for a user
+ * Downstream services verify it against the JWKS and the configured audience.
+ * Roles and effective permissions are embedded, so changes apply on the next refresh.
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session the token belongs to (becomes the `jti` claim)
+ * @param {Object} options - Token options
+ * @param {Object} options.claims - Extra claims (e.g. `act` for impersonation)
+ * @param {string|number} options.expiresIn - Lifetime (defaults to JWT_EXPIRES_IN)
+ * @returns {Promise<string>} Signed JWT
+ */
+const issueAccessToken = async (user, sessionId, { claims = {}, expiresIn = CONFIG.JWT_EXPIRES_IN } = {}) => {
+  const permissions = await resolvePermissions(user);
+
+  return keyService.signJwt(
+    {
+      ...claims,
+      id: user._id,
+      email: user.email,
+      roles: user.roles || [],
+      permissions
+    },
+    {
+      subject: String(user._id),
+      audience: keyService.CONFIG.AUDIENCE,
+      expiresIn,
+      jwtid: String(sessionId)
+    }
+  );
+};
+
+/**
+ * Create and persist a new refresh token
+ * @param {Object} user - User document
+ * @param {Object} options - Token options
+ * @param {string} options.family - Token family, i.e. the session ID
+ * @param {Date} options.expiresAt - Expiry of the token
+ * @param {Object} options.req - Express request, used for IP and user agent
+ * @returns {Promise<Object>} Raw token and its persisted record
+ */
+const issueRefreshToken = async (user, { family, expiresAt, req }) => {
+  const token = crypto.randomBytes(CONFIG.REFRESH_TOKEN_BYTES).toString('base64url');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: String(family),
+    expiresAt,
+    createdByIp: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || null
+  });
+
+  return { token, record };
+};
+
+/**
+ * Start a new session and issue its access token and first refresh token
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Token pair and the session
+ */
+const issueTokenPair = async (user, req) => {
+  const expiresAt = addDays(new Date(), CONFIG.REFRESH_TOKEN_EXPIRES_DAYS);
+  const session = await sessionService.createSession(user, req, expiresAt);
+
+  const { token: refreshToken } = await issueRefreshToken(user, {
+    family: session._id,
+    expiresAt,
+    req
+  });
+
+  return {
+    session,
+    token: await issueAccessToken(user, session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Sign a short-lived, single-purpose token (e.g. a pending MFA challenge)
+ * Purpose tokens carry no session and are refused by `authMiddleware`.
+ * @param {Object} user - User document
+ * @param {string} purpose - What the token may be used for
+ * @param {Object} claims - Extra claims to embed
+ * @param {Object} options - Token options
+ * @param {string} options.expiresIn - Lifetime (defaults to the challenge token lifetime)
+ * @returns {string} Signed JWT
+ */
+const issuePurposeToken = (user, purpose, claims = {}, { expiresIn = CONFIG.CHALLENGE_TOKEN_EXPIRES_IN } = {}) => {
+  // Addressed to this server only, so downstream services never accept it
+  return keyService.signJwt(
+    {
+      ...claims,
+      id: user._id,
+      purpose
+    },
+    {
+      audience: keyService.CONFIG.ISSUER,
+      expiresIn
+    }
+  );
+};
+
+/**
+ * Verify a purpose token
+ * @param {string} token - Signed JWT
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} Decoded payload
+ * @throws {AppError} If the token is invalid, expired or minted for another purpose
+ */
+const verifyPurposeToken = (token, purpose) => {
+  let payload;
+
+  try {
+    payload = keyService.verifyJwt(token, { audience: keyService.CONFIG.ISSUER });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('This request has expired. Please sign in again.', 401);
+    }
+    throw new AppError('Invalid or expired token. Please sign in again.', 401);
+  }
+
+  if (payload.purpose !== purpose || !payload.id) {
+    throw new AppError('Invalid or expired token. Please sign in again.', 401);
+  }
+
+  return payload;
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Presenting a token that was already rotated revokes its whole family.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} New token pair and the user
+ * @throws {AppError} If the token is unknown, expired, revoked or reused
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  // Tokens issued to OpenID Connect clients are only valid at the OIDC token endpoint
+  if (!record || record.clientId) {
+    throw new AppError('Invalid refresh token. Please sign in again.', 401);
+  }
+
+  if (record.revokedAt) {
+    // A rotated or revoked token is being replayed: assume it was stolen
+    await sessionService.revokeSession(record.family);
+    console.warn(`⚠️  Refresh token reuse detected for user ${record.user}, session ${record.family} revoked`);
+    throw new AppError('Refresh token has already been used. Please sign in again.', 401);
+  }
+
+  if (record.expiresAt < new Date()) {
+    throw new AppError('Your session has expired. Please sign in again.', 401);
+  }
+
+  const session = await Session.findById(record.family);
+
+  if (!session || !session.isActive) {
+    await sessionService.revokeSession(record.family);
+    throw new AppError('Your session has been revoked. Please sign in again.', 401);
+  }
+
+  const user = await User.findById(record.user);
+
+  if (!user || !user.isActive) {
+    await sessionService.revokeSession(record.family);
+    throw new AppError('Account is no longer available. Please sign in again.', 401);
+  }
+
+  // An expired password ends the session; signing in again leads to the change form
+  if (user.getPasswordChangeReason()) {
+    await sessionService.revokeSession(record.family);
+    throw new AppError('Your password must be changed. Please sign in again.', 401);
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!claimed) {
+    await sessionService.revokeSession(record.family);
+    throw new AppError('Refresh token has already been used. Please sign in again.', 401);
+  }
+
+  // Sliding expiry: each refresh extends the session
+  const expiresAt = addDays(new Date(), CONFIG.REFRESH_TOKEN_EXPIRES_DAYS);
+
+  const { token: newRefreshToken, record: newRecord } = await issueRefreshToken(user, {
+    family: session._id,
+    expiresAt,
+    req
+  });
+
+  claimed.replacedBy = newRecord._id;
+  await claimed.save();
+
+  session.expiresAt = expiresAt;
+  session.lastSeenAt = new Date();
+  session.ip = req?.ip || session.ip;
+  await session.save();
+
+  return {
+    user,
+    token: await issueAccessToken(user, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to, together with its whole family
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} True if a matching token was found
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!record || record.clientId) {
+    return false;
+  }
+
+  await sessionService.revokeSession(record.family);
+  return true;
+};
+
+module.exports = {
+  CONFIG,
+  hashToken,
+  addDays,
+  issueAccessToken,
+  issueRefreshToken,
+  issueTokenPair,
+  issuePurposeToken,
+  verifyPurposeToken,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
@@ -0,0 +1,260 @@
+/**
+ * WebAuthn Service
+ * Passkey registration and assertion ceremonies built on @simplewebauthn/server
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+
+const User = require('../models/User');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { AppError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const CONFIG = {
+  RP_ID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  RP_NAME: process.env.WEBAUTHN_RP_NAME || 'Authentication API',
+  ORIGINS: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000,http://127.0.0.1:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
+  CHALLENGE_EXPIRES_MIN: 5,
+  REQUIRE_USER_VERIFICATION: process.env.WEBAUTHN_REQUIRE_USER_VERIFICATION === 'true'
+};
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Read the challenge echoed back by the browser in clientDataJSON
+ * @param {Object} credential - Registration or authentication response JSON
+ * @returns {string|null} Base64url challenge
+ */
+const extractChallenge = (credential) => {
+  try {
+    const clientData = JSON.parse(
+      Buffer.from(credential.response.clientDataJSON, 'base64url').toString('utf8')
+    );
+    return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Persist a challenge so it can be consumed exactly once
+ * @param {string} challenge - Base64url challenge
+ * @param {string} type - Challenge type
+ * @param {string|null} userId - Owning user, if known
+ * @returns {Promise} Promise that resolves when stored
+ */
+const storeChallenge = (challenge, type, userId = null) => {
+  return WebAuthnChallenge.create({
+    challenge,
+    type,
+    user: userId,
+    expiresAt: new Date(Date.now() + CONFIG.CHALLENGE_EXPIRES_MIN * 60000)
+  });
+};
+
+/**
+ * Consume the challenge referenced by a response
+ * @param {Object} credential - Registration or authentication response JSON
+ * @param {string} type - Expected challenge type
+ * @returns {Promise<Object>} Challenge document
+ * @throws {AppError} If the challenge is unknown, expired or already used
+ */
+const consumeChallenge = async (credential, type) => {
+  const challenge = extractChallenge(credential);
+  const record = challenge && await WebAuthnChallenge.consume(challenge, type);
+
+  if (!record) {
+    throw new AppError('Passkey request has expired. Please try again.', 400);
+  }
+
+  return record;
+};
+
+/**
+ * Registration Ceremony
+ */
+
+/**
+ * Generate registration options for a signed-in user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON
+ */
+const createRegistrationOptions = async (user) => {
+  const existing = await WebAuthnCredential.find({ user: user._id });
+
+  const options = await generateRegistrationOptions({
+    rpName: CONFIG.RP_NAME,
+    rpID: CONFIG.RP_ID,
+    userName: user.email,
+    userDisplayName: user.fullName || user.email,
+    userID: Buffer.from(String(user._id)),
+    attestationType: 'none',
+    excludeCredentials: existing.map(credential => ({
+      id: credential.credentialId,
+      transports: credential.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+
+  await storeChallenge(options.challenge, 'registration', user._id);
+
+  return options;
+};
+
+/**
+ * Verify a registration response and store the new credential
+ * @param {Object} user - User document
+ * @param {Object} credential - RegistrationResponseJSON from the browser
+ * @param {string} name - Optional display name for the credential
+ * @returns {Promise<Object>} Stored credential document
+ * @throws {AppError} If verification fails
+ */
+const verifyRegistration = async (user, credential, name) => {
+  const challenge = await consumeChallenge(credential, 'registration');
+
+  if (String(challenge.user) !== String(user._id)) {
+    throw new AppError('Passkey request has expired. Please try again.', 400);
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response: credential,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: CONFIG.ORIGINS,
+      expectedRPID: CONFIG.RP_ID,
+      requireUserVerification: CONFIG.REQUIRE_USER_VERIFICATION
+    });
+  } catch (error) {
+    throw new AppError(`Passkey registration failed: ${error.message}`, 400);
+  }
+
+  if (!verification.verified) {
+    throw new AppError('Passkey registration could not be verified', 400);
+  }
+
+  const { credential: verified, credentialDeviceType, credentialBackedUp, aaguid } = verification.registrationInfo;
+
+  return WebAuthnCredential.create({
+    user: user._id,
+    credentialId: verified.id,
+    publicKey: Buffer.from(verified.publicKey),
+    counter: verified.counter,
+    transports: verified.transports || credential.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    aaguid,
+    name: name?.trim() || undefined
+  });
+};
+
+/**
+ * Authentication Ceremony
+ */
+
+/**
+ * Generate authentication options
+ * Without an email the browser offers any discoverable passkey for this site.
+ * @param {string|null} email - Email to restrict credentials to
+ * @returns {Promise<Object>} PublicKeyCredentialRequestOptionsJSON
+ */
+const createAuthenticationOptions = async (email = null) => {
+  let user = null;
+  let allowCredentials = [];
+
+  if (email) {
+    user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user) {
+      const credentials = await WebAuthnCredential.find({ user: user._id });
+      allowCredentials = credentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports
+      }));
+    }
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: CONFIG.RP_ID,
+    allowCredentials,
+    userVerification: 'preferred'
+  });
+
+  await storeChallenge(options.challenge, 'authentication', user?._id || null);
+
+  return options;
+};
+
+/**
+ * Verify an authentication response
+ * A passkey only counts as two factors when the authenticator verified the
+ * user (PIN or biometrics); callers must ask for 2FA otherwise.
+ * @param {Object} credential - AuthenticationResponseJSON from the browser
+ * @returns {Promise<Object>} { user, userVerified }
+ * @throws {AppError} If the credential is unknown or verification fails
+ */
+const verifyAuthentication = async (credential) => {
+  const challenge = await consumeChallenge(credential, 'authentication');
+
+  const stored = await WebAuthnCredential.findOne({ credentialId: credential.id });
+
+  if (!stored || (challenge.user && String(challenge.user) !== String(stored.user))) {
+    throw new AppError('Passkey not recognised', 401);
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response: credential,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: CONFIG.ORIGINS,
+      expectedRPID: CONFIG.RP_ID,
+      credential: stored.toWebAuthnCredential(),
+      requireUserVerification: CONFIG.REQUIRE_USER_VERIFICATION
+    });
+  } catch (error) {
+    throw new AppError(`Passkey sign in failed: ${error.message}`, 401);
+  }
+
+  if (!verification.verified) {
+    throw new AppError('Passkey sign in could not be verified', 401);
+  }
+
+  stored.counter = verification.authenticationInfo.newCounter;
+  stored.backedUp = verification.authenticationInfo.credentialBackedUp;
+  stored.lastUsedAt = new Date();
+  await stored.save();
+
+  const user = await User.findById(stored.user);
+
+  if (!user) {
+    throw new AppError('Passkey not recognised', 401);
+  }
+
+  return {
+    user,
+    userVerified: verification.authenticationInfo.userVerified === true
+  };
+};
+
+module.exports = {
+  CONFIG,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
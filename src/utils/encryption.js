@@ -0,0 +1,77 @@
+/**
+ * Field Encryption Utilities
+ * AES-256-GCM encryption for secrets stored on documents (e.g. TOTP secrets)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const VERSION = 'v1';
+
+/**
+ * Derive the 256-bit encryption key
+ * Uses ENCRYPTION_KEY (64 hex characters) when set, otherwise derives one from JWT_SECRET.
+ * @returns {Buffer} Encryption key
+ * @throws {Error} If no key material is configured
+ */
+const getKey = () => {
+  const { ENCRYPTION_KEY, JWT_SECRET } = process.env;
+
+  if (ENCRYPTION_KEY) {
+    if (!/^[0-9a-fA-F]{64}$/.test(ENCRYPTION_KEY)) {
+      throw new Error('ENCRYPTION_KEY must be 64 hexadecimal characters (32 bytes)');
+    }
+    return Buffer.from(ENCRYPTION_KEY, 'hex');
+  }
+
+  if (!JWT_SECRET) {
+    throw new Error('ENCRYPTION_KEY or JWT_SECRET must be configured');
+  }
+
+  return crypto.createHash('sha256').update(`field-encryption:${JWT_SECRET}`).digest();
+};
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} Encoded ciphertext in the form `v1:iv:tag:data` (base64url parts)
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv, tag, data].map(part => (
+    Buffer.isBuffer(part) ? part.toString('base64url') : part
+  )).join(':');
+};
+
+/**
+ * Decrypt a value produced by `encrypt`
+ * @param {string} encoded - Encoded ciphertext
+ * @returns {string} Decrypted plaintext
+ * @throws {Error} If the value is malformed or has been tampered with
+ */
+const decrypt = (encoded) => {
+  const [version, iv, tag, data] = String(encoded).split(':');
+
+  if (version !== VERSION || !iv || !tag || !data) {
+    throw new Error('Unsupported encrypted value format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,63 @@
+/**
+ * HTML Utilities
+ * Helpers for building HTML emails and the pages behind emailed links
+ */
+
+/**
+ * Escape text for use in HTML (user agents, email addresses and other user input)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Build a page that asks the user to confirm an emailed link
+ * Links only show this page; the button POSTs the token, so mail scanners and
+ * link previews that fetch the URL cannot act on it.
+ * @param {Object} options - Page options
+ * @param {string} options.title - Page heading
+ * @param {string} options.message - Explanation shown above the button
+ * @param {string} options.button - Button label
+ * @param {string} options.action - URL the form posts to
+ * @param {Object} options.fields - Hidden form fields (e.g. the token)
+ * @returns {string} HTML document
+ */
+const renderConfirmPage = ({ title, message, button, action, fields = {} }) => {
+  const inputs = Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="referrer" content="no-referrer">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body>
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto;">
+      <h2>${escapeHtml(title)}</h2>
+      <p>${escapeHtml(message)}</p>
+      <form method="post" action="${escapeHtml(action)}">
+        ${inputs}
+        <button type="submit" style="background-color: #007bff; color: white; padding: 12px 30px; border: 0; border-radius: 5px; cursor: pointer;">${escapeHtml(button)}</button>
+      </form>
+    </div>
+  </body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  renderConfirmPage
+};
@@ -0,0 +1,30 @@
+/**
+ * Pagination Utilities
+ * Page/limit handling shared by list endpoints
+ */
+
+// Configuration constants
+const CONFIG = {
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100
+};
+
+/**
+ * Read page and limit query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { page, limit, skip }
+ */
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || CONFIG.DEFAULT_PAGE_SIZE, 1),
+    CONFIG.MAX_PAGE_SIZE
+  );
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  CONFIG,
+  parsePagination
+};
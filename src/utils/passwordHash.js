@@ -0,0 +1,251 @@
+/**
+ * Password Hashing Utilities
+ * Pluggable password hashers. Every stored hash names its algorithm and
+ * parameters, so hashes made with older settings or imported from another
+ * system can still be verified and then upgraded to the current hasher.
+ *
+ * Formats:
+ *   bcrypt   $2b$12$<salt+hash>                           (hash and verify)
+ *   scrypt   $scrypt$ln=15,r=8,p=1$<salt>$<hash>          (hash and verify)
+ *   pbkdf2   $pbkdf2-sha256$i=29000$<salt>$<hash>         (verify only, for imports)
+ *            pbkdf2_sha256$29000$<salt>$<hash>             (Django, verify only)
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const bcrypt = require('bcryptjs');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Configuration constants
+const CONFIG = {
+  ALGORITHM: process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt',
+  BCRYPT_ROUNDS: Number(process.env.BCRYPT_ROUNDS) || 12,
+  SCRYPT_LOG_N: Number(process.env.SCRYPT_LOG_N) || 15,
+  SCRYPT_BLOCK_SIZE: Number(process.env.SCRYPT_BLOCK_SIZE) || 8,
+  SCRYPT_PARALLELISM: Number(process.env.SCRYPT_PARALLELISM) || 1,
+  SALT_BYTES: 16,
+  KEY_BYTES: 32
+};
+
+/**
+ * Utility Functions
+ */
+
+/**
+ * Encode bytes as unpadded base64, as PHC strings do
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base64 without padding
+ */
+const toB64 = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+
+/**
+ * Decode base64, also accepting passlib's "." in place of "+"
+ * @param {string} value - Encoded value
+ * @returns {Buffer} Decoded bytes
+ */
+const fromB64 = (value) => Buffer.from(value.replace(/\./g, '+'), 'base64');
+
+/**
+ * Parse a PHC-style string: $id[$v=version][$params]$salt$hash
+ * A params segment without "=" (passlib's rounds) is read as `i`.
+ * @param {string} encoded - Encoded hash
+ * @returns {Object|null} { id, params, salt, hash } or null if malformed
+ */
+const parsePhc = (encoded) => {
+  const parts = encoded.split('$');
+  if (parts[0] !== '' || parts.length < 5) {
+    return null;
+  }
+
+  const [id, ...fields] = parts.slice(1);
+  const hash = fields.pop();
+  const salt = fields.pop();
+  const params = {};
+
+  for (const field of fields.filter(field => !/^v=\d+$/.test(field))) {
+    for (const pair of field.split(',')) {
+      const [key, value] = pair.includes('=') ? pair.split('=') : ['i', pair];
+      params[key] = Number(value);
+    }
+  }
+
+  return { id, params, salt, hash };
+};
+
+/**
+ * Compare two derived keys in constant time
+ * @param {Buffer} a - First key
+ * @param {Buffer} b - Second key
+ * @returns {boolean} Whether they are equal
+ */
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+/**
+ * Get the scrypt options for the given parameters
+ * @param {Object} params - { ln, r, p }
+ * @returns {Object} Options for crypto.scrypt
+ */
+const scryptOptions = ({ ln, r, p }) => {
+  const N = 2 ** ln;
+  // The default memory cap (32 MiB) is too low for ln=15, r=8
+  return { N, r, p, maxmem: 256 * N * r };
+};
+
+/**
+ * Hashers
+ * `hash` is only needed by algorithms new passwords can be hashed with.
+ * `isCurrent` tells whether a hash was made with the configured parameters.
+ */
+const HASHERS = {
+  bcrypt: {
+    matches: (encoded) => /^\$2[aby]\$\d{2}\$/.test(encoded),
+
+    hash: async (password) => {
+      const salt = await bcrypt.genSalt(CONFIG.BCRYPT_ROUNDS);
+      return bcrypt.hash(password, salt);
+    },
+
+    verify: (password, encoded) => bcrypt.compare(password, encoded),
+
+    isCurrent: (encoded) => bcrypt.getRounds(encoded) === CONFIG.BCRYPT_ROUNDS
+  },
+
+  scrypt: {
+    matches: (encoded) => encoded.startsWith('$scrypt$'),
+
+    hash: async (password) => {
+      const params = {
+        ln: CONFIG.SCRYPT_LOG_N,
+        r: CONFIG.SCRYPT_BLOCK_SIZE,
+        p: CONFIG.SCRYPT_PARALLELISM
+      };
+      const salt = crypto.randomBytes(CONFIG.SALT_BYTES);
+      const key = await scrypt(password, salt, CONFIG.KEY_BYTES, scryptOptions(params));
+
+      return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${toB64(salt)}$${toB64(key)}`;
+    },
+
+    verify: async (password, encoded) => {
+      const { params, salt, hash } = parsePhc(encoded);
+      const expected = fromB64(hash);
+      const key = await scrypt(password, fromB64(salt), expected.length, scryptOptions(params));
+
+      return safeEqual(key, expected);
+    },
+
+    isCurrent: (encoded) => {
+      const { params } = parsePhc(encoded);
+      return params.ln === CONFIG.SCRYPT_LOG_N &&
+        params.r === CONFIG.SCRYPT_BLOCK_SIZE &&
+        params.p === CONFIG.SCRYPT_PARALLELISM;
+    }
+  },
+
+  pbkdf2: {
+    matches: (encoded) => /^(\$pbkdf2-|pbkdf2_)(sha1|sha256|sha512)\$/.test(encoded),
+
+    verify: async (password, encoded) => {
+      let digest;
+      let iterations;
+      let salt;
+      let expected;
+
+      if (encoded.startsWith('pbkdf2_')) {
+        // Django: the salt is used as text, the hash is standard base64
+        const [algorithm, rounds, saltText, hash] = encoded.split('$');
+        digest = algorithm.slice('pbkdf2_'.length);
+        iterations = Number(rounds);
+        salt = Buffer.from(saltText, 'utf8');
+        expected = Buffer.from(hash, 'base64');
+      } else {
+        const parsed = parsePhc(encoded);
+        digest = parsed.id.slice('pbkdf2-'.length);
+        iterations = parsed.params.i;
+        salt = fromB64(parsed.salt);
+        expected = fromB64(parsed.hash);
+      }
+
+      const key = await pbkdf2(password, salt, iterations, expected.length, digest);
+      return safeEqual(key, expected);
+    },
+
+    isCurrent: () => false
+  }
+};
+
+if (!HASHERS[CONFIG.ALGORITHM]?.hash) {
+  throw new Error(`Unsupported PASSWORD_HASH_ALGORITHM: ${CONFIG.ALGORITHM} (use bcrypt or scrypt)`);
+}
+
+/**
+ * Hash Functions
+ */
+
+/**
+ * Find the algorithm of an encoded hash
+ * @param {string} encoded - Encoded hash
+ * @returns {string|null} Algorithm name, or null if the format is not supported
+ */
+const identify = (encoded) => {
+  if (typeof encoded !== 'string') {
+    return null;
+  }
+
+  const name = Object.keys(HASHERS).find(key => HASHERS[key].matches(encoded));
+  if (!name) {
+    return null;
+  }
+
+  // Reject PHC strings with missing parts
+  if (encoded.startsWith('$') && name !== 'bcrypt' && !parsePhc(encoded)) {
+    return null;
+  }
+
+  return name;
+};
+
+/**
+ * Hash a password with the configured algorithm
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash
+ */
+const hash = (password) => {
+  return HASHERS[CONFIG.ALGORITHM].hash(password);
+};
+
+/**
+ * Check a password against an encoded hash of any supported format
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Encoded hash
+ * @returns {Promise<boolean>} Whether the password matches
+ * @throws {Error} If the hash format is not supported
+ */
+const verify = async (password, encoded) => {
+  const name = identify(encoded);
+
+  if (!name) {
+    throw new Error('Unsupported password hash format');
+  }
+
+  return HASHERS[name].verify(String(password), encoded);
+};
+
+/**
+ * Check whether a hash should be replaced by one made with the current settings
+ * @param {string} encoded - Encoded hash
+ * @returns {boolean} True if the algorithm or its parameters are outdated
+ */
+const needsRehash = (encoded) => {
+  const name = identify(encoded);
+  return name !== CONFIG.ALGORITHM || !HASHERS[name].isCurrent(encoded);
+};
+
+module.exports = {
+  CONFIG,
+  identify,
+  hash,
+  verify,
+  needsRehash
+};
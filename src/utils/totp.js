@@ -0,0 +1,185 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) for authenticator apps
+ */
+
+const crypto = require('crypto');
+
+// Configuration constants
+const CONFIG = {
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  ALGORITHM: 'sha1', // What authenticator apps expect by default
+  SECRET_BYTES: 20,
+  WINDOW: 1 // Accept one step of clock drift either way
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the input contains invalid characters
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(CONFIG.SECRET_BYTES));
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / CONFIG.PERIOD_SECONDS);
+};
+
+/**
+ * Generate the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Counter value
+ * @returns {string} Zero-padded numeric code
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(CONFIG.ALGORITHM, base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** CONFIG.DIGITS).padStart(CONFIG.DIGITS, '0');
+};
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Numeric code
+ */
+const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.afterStep - Reject steps at or before this one (replay protection)
+ * @param {number} options.timestamp - Milliseconds since epoch
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, { afterStep = -1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${CONFIG.DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let drift = -CONFIG.WINDOW; drift <= CONFIG.WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (step <= afterStep) {
+      continue;
+    }
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for QR codes
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label (usually the email)
+ * @param {string} issuer - Service name shown in the authenticator app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: CONFIG.ALGORITHM.toUpperCase(),
+    digits: String(CONFIG.DIGITS),
+    period: String(CONFIG.PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode
+};
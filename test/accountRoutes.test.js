@@ -0,0 +1,91 @@
+/**
+ * Account Route Tests
+ * Checks the limit on routes that ask for the password again
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const auth = require('../src/middleware/auth');
+const User = require('../src/models/User');
+const passwordService = require('../src/services/passwordService');
+const auditService = require('../src/services/auditService');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+describe('account routes', () => {
+  let server;
+  let baseUrl;
+  let user;
+
+  before(async () => {
+    // Signed in as the user named by the X-Test-User header
+    mock.method(auth, 'authMiddleware', (req, res, next) => {
+      req.user = { id: req.get('X-Test-User'), sessionId: 'session-1' };
+      next();
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../src/routes/protected'));
+    app.use(errorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true });
+
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+    mock.method(passwordService, 'validatePassword', async () => ({ isValid: true }));
+    mock.method(auditService, 'failure', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  /**
+   * Change the password of an account
+   * @param {string} userId - Signed in user
+   * @param {string} currentPassword - Password entered again
+   * @returns {Promise<Response>} Response
+   */
+  const changePassword = (userId, currentPassword) => {
+    return fetch(`${baseUrl}/account/password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Test-User': userId },
+      body: JSON.stringify({ currentPassword, newPassword: 'EvenBetterPass456!' })
+    });
+  };
+
+  it('stops password guesses after five wrong attempts per account', async () => {
+    mock.method(passwordService, 'verifyPassword', async () => false);
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await changePassword('user-1', `guess-${i}`)).status, 400);
+    }
+
+    assert.equal((await changePassword('user-1', 'guess-5')).status, 429);
+
+    // Other accounts are not affected
+    assert.equal((await changePassword('user-2', 'guess-0')).status, 400);
+  });
+
+  it('rejects a reused password with PASSWORD_REUSED', async () => {
+    mock.method(passwordService, 'verifyPassword', async () => true);
+    mock.method(passwordService, 'isPasswordReused', async () => true);
+
+    const res = await changePassword('user-3', 'SecurePass123!');
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'PASSWORD_REUSED');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Admin Controller Tests
+ * Checks the rules that keep admins from locking themselves out
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const Role = require('../src/models/Role');
+const sessionService = require('../src/services/sessionService');
+const auditService = require('../src/services/auditService');
+const adminController = require('../src/controllers/adminController');
+
+describe('adminController', () => {
+  let admin;
+  let other;
+  let save;
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    admin = new User({ email: 'admin@example.com', passwordHash: 'hash', emailVerified: true, roles: ['admin'] });
+    other = new User({ email: 'other@example.com', passwordHash: 'hash', emailVerified: true, roles: ['admin'] });
+    const users = [admin, other];
+
+    mock.method(User, 'findById', async (id) => users.find(user => user.id === String(id)) || null);
+    save = mock.method(User.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(Role, 'find', () => ({ distinct: async () => ['admin', 'user'] }));
+    mock.method(sessionService, 'revokeAllSessions', async () => 2);
+    mock.method(auditService, 'success', () => {});
+  });
+
+  /**
+   * Call a controller as the signed in admin
+   * @param {Function} handler - Controller function
+   * @param {Object} target - Target user document
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} { body, error } - JSON response or the error passed to next
+   */
+  const call = async (handler, target, body = {}) => {
+    const result = {};
+    const res = {
+      status: () => res,
+      json: (json) => {
+        result.body = json;
+      }
+    };
+
+    const req = { user: { id: admin.id }, params: { id: target.id }, body, get: () => null };
+    await handler(req, res, (error) => {
+      result.error = error;
+    });
+
+    return result;
+  };
+
+  describe('deactivateUser', () => {
+    it('refuses to deactivate the signed in admin', async () => {
+      const { error } = await call(adminController.deactivateUser, admin);
+
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.message, 'You cannot deactivate your own account');
+      assert.equal(admin.isActive, true);
+      assert.equal(save.mock.callCount(), 0);
+    });
+
+    it('deactivates another account and signs it out', async () => {
+      const { body } = await call(adminController.deactivateUser, other);
+
+      assert.equal(body.sessionsRevoked, 2);
+      assert.equal(other.isActive, false);
+      assert.equal(other.deactivatedBy, 'admin');
+    });
+  });
+
+  describe('updateRoles', () => {
+    it('refuses to remove the admin role of the signed in admin', async () => {
+      const { error } = await call(adminController.updateRoles, admin, { roles: ['user'] });
+
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.message, 'You cannot remove your own admin role');
+      assert.deepEqual([...admin.roles], ['admin']);
+    });
+
+    it('lets the signed in admin add roles', async () => {
+      const { body } = await call(adminController.updateRoles, admin, { roles: ['admin', 'user'] });
+
+      assert.deepEqual(body.user.roles, ['admin', 'user']);
+    });
+
+    it('removes the admin role of another admin', async () => {
+      await call(adminController.updateRoles, other, { roles: ['user'] });
+
+      assert.deepEqual([...other.roles], ['user']);
+    });
+
+    it('rejects unknown roles', async () => {
+      const { error } = await call(adminController.updateRoles, other, { roles: ['user', 'owner'] });
+
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.message, 'Unknown role: owner');
+    });
+  });
+});
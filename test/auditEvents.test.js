@@ -0,0 +1,152 @@
+/**
+ * Audit Event Tests
+ * Checks that admin, two-factor and passkey changes show up in the account activity
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const Role = require('../src/models/Role');
+const WebAuthnCredential = require('../src/models/WebAuthnCredential');
+const auditService = require('../src/services/auditService');
+const mfaService = require('../src/services/mfaService');
+const passwordService = require('../src/services/passwordService');
+const adminController = require('../src/controllers/adminController');
+const mfaController = require('../src/controllers/mfaController');
+const webauthnController = require('../src/controllers/webauthnController');
+
+const { ACTIONS } = auditService;
+
+describe('audit events', () => {
+  let user;
+  let success;
+  let failure;
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true, roles: ['user'] });
+
+    success = mock.method(auditService, 'success', () => {});
+    failure = mock.method(auditService, 'failure', () => {});
+    mock.method(User, 'findById', () => {
+      const query = Promise.resolve(user);
+      query.select = async () => user;
+      return query;
+    });
+    mock.method(User.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  /**
+   * Call a controller the way Express would
+   * @param {Function} handler - Controller function
+   * @param {Object} req - Request fields
+   * @returns {Promise<Object>} { body, error } - JSON response or the error passed to next
+   */
+  const call = async (handler, req) => {
+    const result = {};
+    const res = {
+      status: () => res,
+      json: (body) => {
+        result.body = body;
+      }
+    };
+
+    await handler({ params: {}, body: {}, get: () => null, ...req }, res, (error) => {
+      result.error = error;
+    });
+
+    return result;
+  };
+
+  const admin = { id: 'admin-1', email: 'admin@example.com' };
+
+  describe('admin', () => {
+    it('records role changes with the old and new roles', async () => {
+      mock.method(Role, 'find', () => ({ distinct: async () => ['user', 'auditor'] }));
+
+      await call(adminController.updateRoles, { user: admin, params: { id: user.id }, body: { roles: ['user', 'auditor'] } });
+
+      const [, action, details] = success.mock.calls[0].arguments;
+      assert.equal(action, ACTIONS.ROLES_UPDATE);
+      assert.equal(details.actor, 'admin-1');
+      assert.deepEqual(details.metadata, { from: ['user'], to: ['user', 'auditor'] });
+    });
+
+    it('records an unlock', async () => {
+      mock.method(User.prototype, 'resetLoginAttempts', async () => {});
+
+      await call(adminController.unlockUser, { user: admin, params: { id: user.id } });
+
+      assert.equal(success.mock.calls[0].arguments[1], ACTIONS.ACCOUNT_UNLOCK);
+      assert.equal(success.mock.calls[0].arguments[2].actor, 'admin-1');
+    });
+
+    it('records a password reset sent by an admin', async () => {
+      mock.method(passwordService, 'startPasswordReset', async () => {});
+
+      await call(adminController.sendPasswordReset, { user: admin, params: { id: user.id } });
+
+      assert.equal(success.mock.calls[0].arguments[1], ACTIONS.FORGOT_PASSWORD);
+      assert.equal(success.mock.calls[0].arguments[2].actor, 'admin-1');
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    beforeEach(() => {
+      mock.method(mfaService, 'findUserWithSecrets', async () => user);
+    });
+
+    it('records enabling it', async () => {
+      mock.method(mfaService, 'confirmTotpEnrollment', async () => ['recovery-1']);
+
+      await call(mfaController.confirmTotp, { user: { id: user.id }, body: { code: '123456' } });
+
+      assert.equal(success.mock.calls[0].arguments[1], ACTIONS.MFA_ENABLE);
+    });
+
+    it('records disabling it', async () => {
+      user.mfa = { enabled: true };
+      mock.method(passwordService, 'verifyPassword', async () => true);
+
+      await call(mfaController.disableTotp, { user: { id: user.id }, body: { password: 'SecurePass123!' } });
+
+      assert.equal(success.mock.calls[0].arguments[1], ACTIONS.MFA_DISABLE);
+      assert.equal(user.mfa.enabled, false);
+    });
+
+    it('records a wrong password when disabling it', async () => {
+      user.mfa = { enabled: true };
+      mock.method(passwordService, 'verifyPassword', async () => false);
+
+      const { error } = await call(mfaController.disableTotp, { user: { id: user.id }, body: { password: 'guess' } });
+
+      assert.equal(error.statusCode, 400);
+      assert.deepEqual(failure.mock.calls[0].arguments.slice(1, 3), [ACTIONS.MFA_DISABLE, 'invalid_password']);
+      assert.equal(success.mock.callCount(), 0);
+    });
+  });
+
+  describe('passkeys', () => {
+    it('records removing one', async () => {
+      const credential = new WebAuthnCredential({ user: user._id, name: 'Laptop' });
+      mock.method(WebAuthnCredential, 'findOne', async () => credential);
+      mock.method(credential, 'deleteOne', async () => {});
+
+      await call(webauthnController.deleteCredential, {
+        user: { id: user.id, email: user.email },
+        params: { id: String(credential._id) }
+      });
+
+      const [, action, details] = success.mock.calls[0].arguments;
+      assert.equal(action, ACTIONS.PASSKEY_REMOVE);
+      assert.equal(details.email, 'user@example.com');
+      assert.deepEqual(details.metadata, { credentialId: String(credential._id), name: 'Laptop' });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Cookie Middleware Tests
+ * Checks the double-submit CSRF check of cookie sessions
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cookieService = require('../src/services/cookieService');
+const { csrfProtection } = require('../src/middleware/cookies');
+
+const CSRF_TOKEN = 'a'.repeat(43);
+
+/**
+ * Run csrfProtection on a fake request
+ * @param {Object} options - Request fields
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.cookies - Parsed cookies
+ * @param {Object} options.headers - Request headers (lower case names)
+ * @param {Object} options.body - Parsed body
+ * @returns {Error|undefined} Error passed to next, if any
+ */
+const check = ({ method = 'POST', cookies = {}, headers = {}, body = {} } = {}) => {
+  let result;
+
+  csrfProtection({ method, cookies, body, get: (name) => headers[name.toLowerCase()] }, {}, (error) => {
+    result = error;
+  });
+
+  return result;
+};
+
+// A browser with a cookie session
+const sessionCookies = { token: 'access-token', csrfToken: CSRF_TOKEN };
+
+describe('csrfProtection', () => {
+  const enabled = cookieService.CONFIG.ENABLED;
+
+  beforeEach(() => {
+    cookieService.CONFIG.ENABLED = true;
+  });
+
+  afterEach(() => {
+    cookieService.CONFIG.ENABLED = enabled;
+  });
+
+  it('does nothing when cookie sessions are turned off', () => {
+    cookieService.CONFIG.ENABLED = false;
+
+    assert.equal(check({ cookies: sessionCookies }), undefined);
+  });
+
+  it('lets safe methods through without a token', () => {
+    assert.equal(check({ method: 'GET', cookies: sessionCookies }), undefined);
+    assert.equal(check({ method: 'HEAD', cookies: sessionCookies }), undefined);
+  });
+
+  it('lets requests without session cookies through', () => {
+    assert.equal(check({ cookies: { csrfToken: CSRF_TOKEN } }), undefined);
+  });
+
+  it('rejects a request without a token', () => {
+    const error = check({ cookies: sessionCookies });
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(error.message, 'Missing CSRF token');
+  });
+
+  it('rejects a token of a different length', () => {
+    const error = check({ cookies: sessionCookies, headers: { 'x-csrf-token': `${CSRF_TOKEN}a` } });
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(error.message, 'Invalid CSRF token');
+  });
+
+  it('rejects a different token of the same length', () => {
+    const error = check({ cookies: sessionCookies, headers: { 'x-csrf-token': 'b'.repeat(43) } });
+
+    assert.equal(error.message, 'Invalid CSRF token');
+  });
+
+  it('accepts the token in the header', () => {
+    assert.equal(check({ cookies: sessionCookies, headers: { 'x-csrf-token': CSRF_TOKEN } }), undefined);
+  });
+
+  it('accepts the token in the _csrf field of a form', () => {
+    assert.equal(check({ cookies: sessionCookies, body: { _csrf: CSRF_TOKEN } }), undefined);
+  });
+
+  it('ignores a _csrf field that is not a string', () => {
+    const error = check({ cookies: sessionCookies, body: { _csrf: [CSRF_TOKEN] } });
+
+    assert.equal(error.message, 'Missing CSRF token');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Device Service Tests
+ * Checks the "This wasn't me" link of the new device alert
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const User = require('../src/models/User');
+const KnownDevice = require('../src/models/KnownDevice');
+const deviceService = require('../src/services/deviceService');
+
+describe('deviceService', () => {
+  let user;
+  let devices;
+  let reportLink;
+  const nodeEnv = process.env.NODE_ENV;
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true });
+
+    // Known devices live in memory instead of MongoDB
+    devices = [{ _id: 'device-1', user: user._id }];
+    mock.method(KnownDevice, 'updateOne', async (filter, update) => {
+      if (filter._id) {
+        Object.assign(devices.find(device => device._id === filter._id), update.$set);
+        return { modifiedCount: 1 };
+      }
+      devices.push({ _id: 'device-2', user: user._id, ...update.$set });
+      return { upsertedId: 'device-2' };
+    });
+    mock.method(KnownDevice, 'countDocuments', async () => devices.length);
+
+    // No mail server in tests: the link is logged in development
+    process.env.NODE_ENV = 'development';
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', (message) => {
+      reportLink = message.split(': ')[1];
+    });
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = nodeEnv;
+  });
+
+  it('stores only a hash of the report link token on the new device', async () => {
+    const isNew = await deviceService.checkSigninDevice(user, { ip: '203.0.113.7', get: () => 'Firefox' });
+
+    const token = new URL(reportLink).searchParams.get('token');
+    const device = devices.find(entry => entry._id === 'device-2');
+
+    assert.equal(isNew, true);
+    assert.equal(device.reportTokenHash, crypto.createHash('sha256').update(token).digest('hex'));
+    assert.ok(device.reportExpiresAt.getTime() > Date.now() + (deviceService.CONFIG.REPORT_EXPIRES_DAYS - 1) * 86400000);
+  });
+
+  it('rejects an unknown or expired report link', async () => {
+    const lookup = mock.method(KnownDevice, 'findOneAndDelete', async () => null);
+
+    await assert.rejects(deviceService.reportSignin('unknown-token', {}), { statusCode: 400 });
+    assert.ok(lookup.mock.calls[0].arguments[0].reportExpiresAt.$gt instanceof Date);
+  });
+});
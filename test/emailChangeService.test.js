@@ -0,0 +1,108 @@
+/**
+ * Email Change Service Tests
+ * Checks that the code sent to the new address is a one-time code
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const EmailChange = require('../src/models/EmailChange');
+const OneTimeCode = require('../src/models/OneTimeCode');
+const emailChangeService = require('../src/services/emailChangeService');
+const otpService = require('../src/services/otpService');
+
+describe('emailChangeService', () => {
+  let user;
+  let codes;
+  let sentCode;
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    user = new User({ email: 'old@example.com', passwordHash: 'hash', emailVerified: true });
+
+    // One-time codes live in memory instead of MongoDB
+    codes = [];
+    mock.method(OneTimeCode, 'deleteMany', async ({ purpose }) => {
+      codes = codes.filter(code => code.purpose !== purpose);
+    });
+    mock.method(OneTimeCode, 'create', async (doc) => {
+      codes.push({ ...doc, _id: codes.length + 1, attempts: 0, usedAt: null });
+    });
+    mock.method(OneTimeCode, 'findOneAndUpdate', async ({ purpose }) => {
+      const entry = codes.find(code => code.purpose === purpose && !code.usedAt && code.attempts < code.maxAttempts);
+      if (entry) {
+        entry.attempts += 1;
+      }
+      return entry || null;
+    });
+    mock.method(OneTimeCode, 'findOne', () => ({
+      sort: async () => codes.find(code => !code.usedAt) || null
+    }));
+    mock.method(OneTimeCode, 'updateOne', async ({ _id }) => {
+      codes.find(code => code._id === _id).usedAt = new Date();
+      return { modifiedCount: 1 };
+    });
+
+    mock.method(User, 'exists', async () => null);
+    mock.method(User, 'updateOne', async () => ({ matchedCount: 1 }));
+    mock.method(EmailChange, 'updateMany', async () => ({}));
+    mock.method(EmailChange, 'create', async (doc) => new EmailChange(doc));
+    mock.method(EmailChange.prototype, 'save', async function() {
+      return this;
+    });
+
+    // No mail server in tests: the code comes back as devCode
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  /**
+   * Request a change to new@example.com and make it the pending change
+   * @returns {Promise<Object>} Pending email change document
+   */
+  const requestChange = async () => {
+    const { change, devCode } = await emailChangeService.requestEmailChange(user, 'new@example.com');
+    sentCode = devCode;
+    mock.method(EmailChange, 'findOne', async () => (change.status === 'pending' ? change : null));
+    return change;
+  };
+
+  it('stores the code as a peppered one-time code, not on the change', async () => {
+    const change = await requestChange();
+
+    assert.equal(codes.length, 1);
+    assert.equal(codes[0].purpose, otpService.PURPOSES.EMAIL_CHANGE);
+    assert.match(sentCode, /^\d{6}$/);
+    assert.notEqual(codes[0].codeHash, sentCode);
+    assert.equal(change.codeHash, undefined);
+    assert.equal(change.codeExpiresAt.getTime(), codes[0].expiresAt.getTime());
+  });
+
+  it('confirms the change with the right code and spends it', async () => {
+    await requestChange();
+
+    const change = await emailChangeService.verifyEmailChange(user, sentCode);
+
+    assert.equal(change.status, 'completed');
+    assert.ok(codes[0].usedAt);
+    await assert.rejects(emailChangeService.verifyEmailChange(user, sentCode), { statusCode: 400 });
+  });
+
+  it('cancels the change once the attempts are used up', async () => {
+    const change = await requestChange();
+    const wrongCode = sentCode === '000000' ? '111111' : '000000';
+
+    for (let i = 1; i < otpService.CONFIG.MAX_ATTEMPTS; i++) {
+      await assert.rejects(emailChangeService.verifyEmailChange(user, wrongCode), { message: 'Invalid verification code' });
+    }
+
+    await assert.rejects(emailChangeService.verifyEmailChange(user, wrongCode), { message: /Too many incorrect codes/ });
+    assert.equal(change.status, 'cancelled');
+    assert.equal(change.cancelledBy, 'too_many_attempts');
+    assert.equal(User.updateOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Emailed Link Tests
+ * Opening a link from an email only shows a page; the form post acts on it
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+const User = require('../src/models/User');
+const MagicLink = require('../src/models/MagicLink');
+const KnownDevice = require('../src/models/KnownDevice');
+const passwordService = require('../src/services/passwordService');
+const signinService = require('../src/services/signinService');
+const otpService = require('../src/services/otpService');
+const emailChangeService = require('../src/services/emailChangeService');
+const privacyService = require('../src/services/privacyService');
+const auditService = require('../src/services/auditService');
+const { parseCookies } = require('../src/middleware/cookies');
+
+describe('emailed links', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    mock.restoreAll();
+    mock.method(auditService, 'success', () => {});
+
+    // Fresh routes for every test, so the rate limiters start empty
+    delete require.cache[require.resolve('../src/routes/auth')];
+
+    const app = express();
+    app.use(express.json());
+    app.use(parseCookies);
+    app.use('/api/auth', require('../src/routes/auth'));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  /**
+   * Open a link and submit the form on its page, like a browser would
+   * @param {string} path - Link path under /api/auth
+   * @returns {Promise<Object>} { page, response } - Page HTML and the form post response
+   */
+  const openAndConfirm = async (path) => {
+    const page = await fetch(`${baseUrl}${path}?token=link-token`).then(res => res.text());
+
+    const action = page.match(/<form method="post" action="([^"]+)"/)[1];
+    const fields = new URLSearchParams([...page.matchAll(/name="([^"]+)" value="([^"]*)"/g)].map(match => [match[1], match[2]]));
+
+    const response = await fetch(new URL(action, baseUrl), { method: 'POST', body: fields });
+
+    return { page, response };
+  };
+
+  describe('magic link', () => {
+    it('is not used up by opening it', async () => {
+      const consume = mock.method(MagicLink, 'consume', async () => null);
+
+      const res = await fetch(`${baseUrl}/magic-link/consume?token=link-token`);
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/html/);
+      assert.equal(consume.mock.callCount(), 0);
+    });
+
+    it('is used by the form post of its page', async () => {
+      const consume = mock.method(MagicLink, 'consume', async () => null);
+
+      const { response } = await openAndConfirm('/magic-link/consume');
+
+      assert.equal(response.status, 400);
+      assert.equal(consume.mock.callCount(), 1);
+      assert.equal(consume.mock.calls[0].arguments[0].length, 64);
+    });
+
+    it('rejects a link without a token', async () => {
+      const res = await fetch(`${baseUrl}/magic-link/consume`);
+
+      assert.equal(res.status, 400);
+    });
+
+    it('drops the password of an unverified account registered by someone else', async () => {
+      // Someone registered the address with a password they know and never verified it
+      const user = new User({
+        email: 'victim@example.com',
+        passwordHash: await passwordService.hashPassword('AttackerPass123!'),
+        emailVerified: false
+      });
+
+      mock.method(MagicLink, 'consume', async () => ({ email: user.email }));
+      mock.method(User, 'findOne', () => {
+        const query = Promise.resolve(user);
+        query.select = async () => user;
+        return query;
+      });
+      mock.method(User.prototype, 'save', async function() {
+        return this;
+      });
+      mock.method(User.prototype, 'incrementLoginAttempts', async () => {});
+      const revokeAccess = mock.method(passwordService, 'revokeAccess', async () => 1);
+      mock.method(otpService, 'revokeCodes', async () => {});
+      mock.method(signinService, 'completeFirstFactor', async () => ({ token: 'access-token' }));
+      mock.method(auditService, 'failure', () => {});
+
+      // The owner signs in with a link sent to the address
+      const { response } = await openAndConfirm('/magic-link/consume');
+
+      assert.equal(response.status, 200);
+      assert.equal(user.emailVerified, true);
+      assert.equal(revokeAccess.mock.callCount(), 1);
+
+      const res = await fetch(`${baseUrl}/signin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: user.email, password: 'AttackerPass123!' })
+      });
+
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('sign in report', () => {
+    let user;
+    let reportDevice;
+
+    beforeEach(() => {
+      user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true });
+
+      reportDevice = mock.method(KnownDevice, 'findOneAndDelete', async () => ({ user: user._id, userAgent: 'Firefox', ip: '203.0.113.7' }));
+      mock.method(User, 'findById', async () => user);
+      mock.method(User.prototype, 'save', async function() {
+        return this;
+      });
+      mock.method(passwordService, 'revokeAccess', async () => 2);
+      mock.method(passwordService, 'startPasswordReset', async () => {});
+    });
+
+    it('is not reported by opening the link', async () => {
+      const res = await fetch(`${baseUrl}/report-signin?token=link-token`);
+
+      assert.equal(res.status, 200);
+      assert.equal(reportDevice.mock.callCount(), 0);
+      assert.equal(user.passwordChangeRequired, false);
+    });
+
+    it('signs out everywhere and requires a new password once confirmed', async () => {
+      const { response } = await openAndConfirm('/report-signin');
+
+      assert.equal(response.status, 200);
+      assert.equal(reportDevice.mock.calls[0].arguments[0].reportTokenHash, crypto.createHash('sha256').update('link-token').digest('hex'));
+      assert.equal((await response.json()).sessionsRevoked, 2);
+      assert.equal(user.passwordChangeRequired, true);
+      assert.equal(user.getPasswordChangeReason(), 'admin_required');
+      assert.equal(passwordService.startPasswordReset.mock.callCount(), 1);
+    });
+  });
+
+  describe('email change cancel', () => {
+    let cancel;
+
+    beforeEach(() => {
+      cancel = mock.method(emailChangeService, 'cancelByOldAddress', async () => ({
+        change: { user: 'user-1', oldEmail: 'old@example.com', newEmail: 'new@example.com' },
+        reverted: false
+      }));
+    });
+
+    it('is not cancelled by opening the link', async () => {
+      const res = await fetch(`${baseUrl}/email-change/cancel?token=link-token`);
+
+      assert.equal(res.status, 200);
+      assert.equal(cancel.mock.callCount(), 0);
+    });
+
+    it('is cancelled by the form post of its page', async () => {
+      const { response } = await openAndConfirm('/email-change/cancel');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(cancel.mock.calls[0].arguments, ['link-token']);
+    });
+  });
+
+  describe('erasure cancel', () => {
+    let cancel;
+
+    beforeEach(() => {
+      cancel = mock.method(privacyService, 'cancelErasure', async () => ({ _id: 'user-1' }));
+    });
+
+    it('is not cancelled by opening the link', async () => {
+      const res = await fetch(`${baseUrl}/erasure/cancel?token=link-token`);
+
+      assert.equal(res.status, 200);
+      assert.equal(cancel.mock.callCount(), 0);
+    });
+
+    it('is cancelled by the form post of its page', async () => {
+      const { response } = await openAndConfirm('/erasure/cancel');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(cancel.mock.calls[0].arguments, ['link-token']);
+    });
+  });
+});
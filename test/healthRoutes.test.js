@@ -0,0 +1,68 @@
+/**
+ * Health Route Tests
+ * Checks who may see the detailed system health
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const auth = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+describe('health routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // Signed in with the permissions listed in the X-Test-Permissions header
+    mock.method(auth, 'authMiddleware', (req, res, next) => {
+      req.user = {
+        id: 'user-1',
+        roles: [],
+        permissions: (req.get('X-Test-Permissions') || '').split(',').filter(Boolean)
+      };
+      next();
+    });
+
+    const app = express();
+    app.use('/api', require('../src/routes/protected'));
+    app.use(errorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Get the detailed health with some permissions
+   * @param {string} permissions - Comma separated permissions
+   * @returns {Promise<Response>} Response
+   */
+  const getHealth = (permissions) => {
+    return fetch(`${baseUrl}/health/detailed`, { headers: { 'X-Test-Permissions': permissions } });
+  };
+
+  it('is shown to a role with system:health', async () => {
+    const res = await getHealth('system:health');
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).services.database.connected, false);
+  });
+
+  it('is shown to a role with every permission', async () => {
+    assert.equal((await getHealth('*')).status, 200);
+  });
+
+  it('is hidden from a role without system:health', async () => {
+    assert.equal((await getHealth('users:read')).status, 403);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Impersonation Service Tests
+ * Checks the marked impersonation token and the actions it may not perform
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const User = require('../src/models/User');
+const Role = require('../src/models/Role');
+const Session = require('../src/models/Session');
+const Impersonation = require('../src/models/Impersonation');
+const RefreshToken = require('../src/models/RefreshToken');
+const keyService = require('../src/services/keyService');
+const impersonationService = require('../src/services/impersonationService');
+const { authMiddleware, forbidImpersonation } = require('../src/middleware/auth');
+
+describe('impersonationService', () => {
+  let admin;
+  let target;
+  let sessions;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+
+    admin = new User({ email: 'admin@example.com', passwordHash: 'hash', emailVerified: true, roles: ['admin'] });
+    target = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true, roles: ['user'] });
+    sessions = [];
+
+    // Sessions live in memory and tokens are signed with the test secret instead of the keyring
+    mock.method(Session, 'create', async (doc) => {
+      const session = new Session(doc);
+      sessions.push(session);
+      return session;
+    });
+    mock.method(Session, 'findById', async (id) => sessions.find(session => session.id === String(id)) || null);
+    mock.method(Session, 'touch', async () => {});
+    mock.method(Impersonation, 'create', async (doc) => new Impersonation(doc));
+    mock.method(Role, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    mock.method(keyService, 'signJwt', (payload, options) => jwt.sign(payload, process.env.JWT_SECRET, options));
+    mock.method(keyService, 'verifyJwt', (token, options) => jwt.verify(token, process.env.JWT_SECRET, options));
+  });
+
+  /**
+   * Authenticate a request with a token, then run forbidImpersonation
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} { user, error } - Request user and the error passed to next
+   */
+  const authenticate = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` }, cookies: {}, get: () => null };
+    let error;
+
+    await authMiddleware(req, {}, (err) => {
+      error = err;
+    });
+    if (!error) {
+      forbidImpersonation(req, {}, (err) => {
+        error = err;
+      });
+    }
+
+    return { user: req.user, error };
+  };
+
+  describe('startImpersonation', () => {
+    it('issues a short-lived token naming the admin in the act claim', async () => {
+      const result = await impersonationService.startImpersonation(admin, target, 'Ticket 42', null);
+
+      const payload = jwt.decode(result.token);
+      assert.equal(payload.id, target.id);
+      assert.deepEqual(payload.act, { sub: admin.id, email: admin.email });
+      assert.equal(payload.exp - payload.iat, impersonationService.CONFIG.EXPIRES_MIN * 60);
+      assert.equal(result.refreshToken, undefined);
+      assert.equal(String(sessions[0].impersonator), admin.id);
+      assert.equal(result.impersonation.reason, 'Ticket 42');
+    });
+
+    it('refuses to impersonate the admin themselves, another admin or a deactivated account', async () => {
+      await assert.rejects(impersonationService.startImpersonation(admin, admin, 'Ticket 42', null), { statusCode: 400 });
+
+      const other = new User({ email: 'other@example.com', passwordHash: 'hash', roles: ['admin'] });
+      await assert.rejects(impersonationService.startImpersonation(admin, other, 'Ticket 42', null), { statusCode: 403 });
+
+      target.isActive = false;
+      await assert.rejects(impersonationService.startImpersonation(admin, target, 'Ticket 42', null), { statusCode: 400 });
+
+      assert.equal(sessions.length, 0);
+    });
+  });
+
+  describe('forbidImpersonation', () => {
+    it('marks the request user and refuses the action', async () => {
+      const { token } = await impersonationService.startImpersonation(admin, target, 'Ticket 42', null);
+
+      const { user, error } = await authenticate(token);
+
+      assert.deepEqual(user.impersonator, { id: admin.id, email: admin.email });
+      assert.equal(error.statusCode, 403);
+    });
+
+    it('lets the user themselves through', async () => {
+      const session = await Session.create({ user: target._id, expiresAt: new Date(Date.now() + 60000) });
+      const token = keyService.signJwt(
+        { id: target._id, email: target.email },
+        { audience: keyService.CONFIG.AUDIENCE, expiresIn: 60, jwtid: session.id }
+      );
+
+      const { user, error } = await authenticate(token);
+
+      assert.equal(user.impersonator, null);
+      assert.equal(error, undefined);
+    });
+
+    it('stops working once the impersonation ends', async () => {
+      const { token, impersonation } = await impersonationService.startImpersonation(admin, target, 'Ticket 42', null);
+      mock.method(Impersonation.prototype, 'save', async function() {
+        return this;
+      });
+      mock.method(Session, 'updateMany', async () => {
+        sessions[0].revokedAt = new Date();
+        return { modifiedCount: 1 };
+      });
+      mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+      await impersonationService.stopImpersonation(impersonation, 'impersonator');
+
+      const { error } = await authenticate(token);
+      assert.equal(error.statusCode, 401);
+      assert.equal(impersonation.endedBy, 'impersonator');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Key Service Tests
+ * Checks signing key rotation across instances sharing one database
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_SIGNING_ALG = 'ES256';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SigningKey = require('../src/models/SigningKey');
+const keyService = require('../src/services/keyService');
+
+const HOUR = 3600000;
+
+/**
+ * Check a stored key against the filters used by rotateKeys
+ * @param {Object} key - Stored key
+ * @param {Object} filter - Query filter
+ * @returns {boolean} Whether the key matches
+ */
+const matches = (key, filter) => {
+  if (filter.expiresAt === null && key.expiresAt) {
+    return false;
+  }
+  if (filter.generation && key.generation >= filter.generation.$lt) {
+    return false;
+  }
+  if (filter.activatesAt && key.activatesAt > filter.activatesAt.$lte) {
+    return false;
+  }
+  return true;
+};
+
+describe('keyService', () => {
+  let keys;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+
+    // Signing keys live in memory instead of MongoDB
+    keys = [];
+    mock.method(SigningKey, 'findOne', () => ({
+      sort: () => ({
+        select: async () => [...keys].sort((a, b) => b.generation - a.generation)[0] || null
+      })
+    }));
+    mock.method(SigningKey, 'create', async (doc) => {
+      if (keys.some(key => key.generation === doc.generation)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const key = { ...doc, expiresAt: null };
+      keys.push(key);
+      return key;
+    });
+    mock.method(SigningKey, 'updateMany', async (filter, { $set }) => {
+      keys.filter(key => matches(key, filter)).forEach(key => Object.assign(key, $set));
+    });
+    mock.method(SigningKey, 'findUsable', async () => [...keys].reverse());
+  });
+
+  /**
+   * Store the key that is signing right now
+   * @returns {Promise<Object>} Stored key
+   */
+  const createActiveKey = async () => {
+    const key = await keyService.rotateKeys({ immediate: true });
+    key.activatesAt = new Date(Date.now() - HOUR);
+    return key;
+  };
+
+  describe('rotateKeys', () => {
+    it('creates one key when two instances rotate from the same key', async () => {
+      await createActiveKey();
+
+      const results = await Promise.allSettled([
+        keyService.rotateKeys({ fromGeneration: 1 }),
+        keyService.rotateKeys({ fromGeneration: 1 })
+      ]);
+
+      assert.equal(keys.length, 2);
+      assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+      assert.equal(results.find(result => result.status === 'rejected').reason.rotationConflict, true);
+    });
+
+    it('retires the active key after the grace period once the new key activates', async () => {
+      const active = await createActiveKey();
+
+      const key = await keyService.rotateKeys();
+
+      assert.equal(key.generation, 2);
+      assert.equal(key.expiresAt, null);
+      assert.equal(active.expiresAt.getTime(), key.activatesAt.getTime() + keyService.CONFIG.GRACE_HOURS * HOUR);
+    });
+
+    it('retires a pending key at once when the new key activates before it', async () => {
+      const active = await createActiveKey();
+      const pending = await keyService.rotateKeys();
+      const retireActiveAt = active.expiresAt;
+
+      const key = await keyService.rotateKeys({ immediate: true });
+
+      assert.ok(pending.expiresAt.getTime() <= Date.now());
+      assert.equal(active.expiresAt, retireActiveAt);
+      assert.equal(key.expiresAt, null);
+    });
+
+    it('stops trusting older keys at once on an immediate rotation', async () => {
+      const active = await createActiveKey();
+
+      await keyService.rotateKeys({ immediate: true });
+
+      assert.ok(active.expiresAt.getTime() <= Date.now());
+    });
+
+    it('does not retire a key of a later generation', async () => {
+      await createActiveKey();
+      // Rotated by another instance that already knew of generation 2
+      const later = await keyService.rotateKeys({ fromGeneration: 2 });
+
+      await keyService.rotateKeys({ fromGeneration: 1 });
+
+      assert.equal(later.expiresAt, null);
+    });
+  });
+
+  describe('assertGraceCovers', () => {
+    it('accepts tokens that expire within the grace period', () => {
+      assert.doesNotThrow(() => keyService.assertGraceCovers('15m', 'JWT_EXPIRES_IN'));
+      assert.doesNotThrow(() => keyService.assertGraceCovers(3600, 'OIDC_ACCESS_TOKEN_EXPIRES_SEC'));
+    });
+
+    it('rejects tokens that outlive the grace period', () => {
+      assert.throws(() => keyService.assertGraceCovers('2d', 'JWT_EXPIRES_IN'), /JWT_EXPIRES_IN must not be longer/);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * MFA Service Tests
+ * Checks TOTP enrollment, replay protection, recovery codes and the 2FA sign in step
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const totp = require('../src/utils/totp');
+const mfaService = require('../src/services/mfaService');
+const tokenService = require('../src/services/tokenService');
+const signinService = require('../src/services/signinService');
+const auditService = require('../src/services/auditService');
+const authController = require('../src/controllers/authController');
+
+describe('mfaService', () => {
+  let user;
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true });
+
+    mock.method(User.prototype, 'save', async function() {
+      return this;
+    });
+
+    // Conditional updates run against the in-memory user, one at a time like MongoDB
+    mock.method(User, 'updateOne', async (filter, update) => {
+      if (filter.$or) {
+        const lastUsedStep = user.mfa.lastUsedStep ?? null;
+        const step = update.$set['mfa.lastUsedStep'];
+        if (lastUsedStep !== null && lastUsedStep >= step) {
+          return { modifiedCount: 0 };
+        }
+        user.mfa.lastUsedStep = step;
+        return { modifiedCount: 1 };
+      }
+
+      const { codeHash } = filter['mfa.recoveryCodes'].$elemMatch;
+      const entry = user.mfa.recoveryCodes.find(code => code.codeHash === codeHash && !code.usedAt);
+      if (!entry) {
+        return { modifiedCount: 0 };
+      }
+      entry.usedAt = new Date();
+      return { modifiedCount: 1 };
+    });
+  });
+
+  /**
+   * Enroll the user with a fresh authenticator app
+   * @returns {Promise<Object>} { secret, recoveryCodes }
+   */
+  const enroll = async () => {
+    const { secret } = await mfaService.startTotpEnrollment(user);
+    // The first code is used up by the enrollment, so sign ins use the next one
+    const recoveryCodes = await mfaService.confirmTotpEnrollment(user, totp.generateTotp(secret, Date.now() - 30000));
+    return { secret, recoveryCodes };
+  };
+
+  describe('TOTP enrollment', () => {
+    it('enables 2FA once the first code is confirmed', async () => {
+      const { secret, otpauthUri } = await mfaService.startTotpEnrollment(user);
+
+      assert.match(otpauthUri, /^otpauth:\/\/totp\//);
+      assert.equal(user.mfa.enabled, false);
+      assert.notEqual(user.mfa.pendingTotpSecret, secret);
+
+      const recoveryCodes = await mfaService.confirmTotpEnrollment(user, totp.generateTotp(secret));
+
+      assert.equal(user.mfa.enabled, true);
+      assert.equal(user.mfa.pendingTotpSecret, undefined);
+      assert.equal(recoveryCodes.length, 10);
+    });
+
+    it('rejects a wrong first code', async () => {
+      const { secret } = await mfaService.startTotpEnrollment(user);
+      const wrongCode = totp.generateTotp(secret, Date.now() + 5 * 60000);
+
+      await assert.rejects(mfaService.confirmTotpEnrollment(user, wrongCode), { statusCode: 400 });
+      assert.equal(user.mfa.enabled, false);
+    });
+  });
+
+  describe('verifyTotpCode', () => {
+    it('accepts the current code once', async () => {
+      const { secret } = await enroll();
+      const code = totp.generateTotp(secret);
+
+      assert.equal(await mfaService.verifyTotpCode(user, code), true);
+      assert.equal(await mfaService.verifyTotpCode(user, code), false);
+    });
+
+    it('lets only one of two parallel requests with the same code through', async () => {
+      const { secret } = await enroll();
+      const code = totp.generateTotp(secret);
+
+      // Both requests loaded the user before either stored the used step
+      const other = new User(user.toObject());
+      const results = await Promise.all([
+        mfaService.verifyTotpCode(user, code),
+        mfaService.verifyTotpCode(other, code)
+      ]);
+
+      assert.deepEqual(results.sort(), [false, true]);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('accepts each code once, in any format', async () => {
+      const { recoveryCodes } = await enroll();
+
+      assert.equal(await mfaService.consumeRecoveryCode(user, recoveryCodes[0].toUpperCase()), true);
+      assert.equal(await mfaService.consumeRecoveryCode(user, recoveryCodes[0]), false);
+      assert.equal(await mfaService.consumeRecoveryCode(user, recoveryCodes[1].replace('-', ' ')), true);
+      assert.equal(user.getRecoveryCodesRemaining(), 8);
+    });
+
+    it('replaces every code when regenerated', async () => {
+      const { recoveryCodes } = await enroll();
+
+      await mfaService.regenerateRecoveryCodes(user);
+
+      assert.equal(await mfaService.consumeRecoveryCode(user, recoveryCodes[0]), false);
+    });
+  });
+
+  describe('sign in', () => {
+    let completeSignin;
+
+    /**
+     * Send the second sign in step
+     * @param {Object} body - { code } or { recoveryCode }
+     * @returns {Promise<Object>} { status, body }
+     */
+    const signinMfa = async (body) => {
+      const result = { status: 200 };
+      const res = {
+        status: (status) => {
+          result.status = status;
+          return res;
+        },
+        json: (json) => {
+          result.body = json;
+        },
+        cookie: () => {}
+      };
+
+      await authController.signinMfa({ body: { challengeToken: 'challenge', ...body }, get: () => null }, res);
+      return result;
+    };
+
+    beforeEach(() => {
+      mock.method(tokenService, 'verifyPurposeToken', () => ({ id: user._id }));
+      mock.method(User, 'findById', () => ({ select: async () => user }));
+      mock.method(User.prototype, 'incrementLoginAttempts', async () => {});
+      mock.method(auditService, 'failure', () => {});
+      completeSignin = mock.method(signinService, 'completeSignin', async () => ({ token: 'access-token' }));
+    });
+
+    it('signs in with the current authenticator code', async () => {
+      const { secret } = await enroll();
+
+      const result = await signinMfa({ code: totp.generateTotp(secret) });
+
+      assert.equal(result.body.token, 'access-token');
+      assert.equal(completeSignin.mock.calls[0].arguments[2].method, 'totp');
+    });
+
+    it('refuses a replayed authenticator code', async () => {
+      const { secret } = await enroll();
+      const code = totp.generateTotp(secret);
+
+      await signinMfa({ code });
+      const result = await signinMfa({ code });
+
+      assert.equal(result.status, 401);
+      assert.equal(completeSignin.mock.callCount(), 1);
+    });
+
+    it('signs in with a recovery code', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const result = await signinMfa({ recoveryCode: recoveryCodes[0] });
+
+      assert.equal(result.body.token, 'access-token');
+      assert.equal(result.body.recoveryCodesRemaining, 9);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * OAuth Service Tests
+ * Runs the authorization code flow against a local mock OpenID Connect provider
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const User = require('../src/models/User');
+const OAuthState = require('../src/models/OAuthState');
+const oauthService = require('../src/services/oauthService');
+const passwordService = require('../src/services/passwordService');
+const otpService = require('../src/services/otpService');
+
+const CLIENT_ID = 'test-client';
+const KID = 'mock-key';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+/**
+ * Start a mock provider with discovery, JWKS and token endpoints
+ * Codes are registered with `issueCode` and exchanged once, checking PKCE.
+ * @returns {Promise<Object>} { issuer, issueCode, close }
+ */
+const startMockProvider = () => {
+  const codes = new Map();
+  let issuer;
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+
+    if (req.url === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] });
+    }
+
+    if (req.url === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        const grant = codes.get(form.get('code'));
+        codes.delete(form.get('code'));
+
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        if (!grant || challenge !== grant.codeChallenge || form.get('client_id') !== CLIENT_ID) {
+          return send(400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign(
+          { sub: grant.subject, email: grant.email, email_verified: true, nonce: grant.nonce },
+          privateKey,
+          { algorithm: 'RS256', keyid: KID, issuer, audience: CLIENT_ID, expiresIn: '5m' }
+        );
+
+        send(200, { access_token: 'provider-access-token', token_type: 'Bearer', id_token: idToken });
+      });
+      return;
+    }
+
+    send(404, { error: 'not_found' });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        issuer,
+        issueCode: (grant) => {
+          const code = crypto.randomBytes(16).toString('hex');
+          codes.set(code, grant);
+          return code;
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+describe('oauthService', () => {
+  let idp;
+  let provider;
+  let states;
+
+  before(async () => {
+    idp = await startMockProvider();
+    provider = {
+      name: 'mock',
+      type: 'oidc',
+      displayName: 'Mock',
+      clientId: CLIENT_ID,
+      clientSecret: null,
+      issuer: idp.issuer,
+      scopes: 'openid email'
+    };
+  });
+
+  after(() => idp.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    // Pending sign in requests live in memory instead of MongoDB
+    states = new Map();
+    mock.method(OAuthState, 'create', async (doc) => {
+      states.set(doc.state, doc);
+      return doc;
+    });
+    mock.method(OAuthState, 'consume', async (state, providerName) => {
+      const doc = states.get(state);
+      states.delete(state);
+      return doc && doc.provider === providerName ? doc : null;
+    });
+  });
+
+  /**
+   * Start a sign in and let the mock provider authorize it
+   * @param {Object} claims - Claims for the ID token
+   * @returns {Promise<Object>} { state, code }
+   */
+  const authorize = async (claims = {}) => {
+    const { url, state } = await oauthService.createAuthorizationUrl(provider);
+    const params = new URL(url).searchParams;
+
+    const code = idp.issueCode({
+      subject: 'subject-1',
+      email: 'user@example.com',
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      ...claims
+    });
+
+    return { state, code };
+  };
+
+  describe('handleCallback', () => {
+    it('returns the verified profile for the browser that started the flow', async () => {
+      const { state, code } = await authorize();
+
+      const profile = await oauthService.handleCallback(provider, { code, state }, state);
+
+      assert.deepEqual(profile, {
+        subject: 'subject-1',
+        email: 'user@example.com',
+        emailVerified: true,
+        name: null
+      });
+    });
+
+    it('rejects a callback without the state cookie (login CSRF)', async () => {
+      const { state, code } = await authorize();
+
+      await assert.rejects(
+        oauthService.handleCallback(provider, { code, state }, null),
+        { statusCode: 400, message: /another browser/ }
+      );
+      await assert.rejects(
+        oauthService.handleCallback(provider, { code, state }, 'attacker-state'),
+        { statusCode: 400 }
+      );
+
+      // The pending request is left for the right browser
+      assert.ok(states.has(state));
+    });
+
+    it('rejects an ID token with another nonce', async () => {
+      const { state, code } = await authorize({ nonce: 'replayed-nonce' });
+
+      await assert.rejects(
+        oauthService.handleCallback(provider, { code, state }, state),
+        { statusCode: 401, message: /nonce/ }
+      );
+    });
+
+    it('accepts a state only once', async () => {
+      const { state, code } = await authorize();
+      await oauthService.handleCallback(provider, { code, state }, state);
+
+      await assert.rejects(
+        oauthService.handleCallback(provider, { code, state }, state),
+        { statusCode: 400, message: /expired or is invalid/ }
+      );
+    });
+  });
+
+  describe('resolveUser', () => {
+    const profile = { subject: 'subject-1', email: 'user@example.com', emailVerified: true, name: null };
+    let revokeAccess;
+
+    beforeEach(() => {
+      mock.method(User.prototype, 'save', async function() {
+        return this;
+      });
+      mock.method(otpService, 'revokeCodes', async () => {});
+      revokeAccess = mock.method(passwordService, 'revokeAccess', async () => 1);
+    });
+
+    /**
+     * Make User.findOne return the linked account (none) and then the account with the email
+     * @param {Object} existing - Local account with the same email
+     */
+    const stubAccounts = (existing) => {
+      let call = 0;
+      mock.method(User, 'findOne', async () => (call++ === 0 ? null : existing));
+    };
+
+    it('drops the password and sessions of an unverified account it takes over', async () => {
+      const existing = new User({ email: 'user@example.com', passwordHash: 'attacker-hash', emailVerified: false });
+      stubAccounts(existing);
+
+      const user = await oauthService.resolveUser(provider, profile);
+
+      assert.equal(user, existing);
+      assert.equal(user.emailVerified, true);
+      assert.notEqual(user.passwordHash, 'attacker-hash');
+      assert.equal(revokeAccess.mock.callCount(), 1);
+      assert.deepEqual(user.oauthAccounts.map(account => account.subject), ['subject-1']);
+    });
+
+    it('links a verified account without touching its password', async () => {
+      const existing = new User({ email: 'user@example.com', passwordHash: 'owner-hash', emailVerified: true });
+      stubAccounts(existing);
+
+      const user = await oauthService.resolveUser(provider, profile);
+
+      assert.equal(user.passwordHash, 'owner-hash');
+      assert.equal(revokeAccess.mock.callCount(), 0);
+      assert.equal(user.oauthAccounts.length, 1);
+    });
+
+    it('refuses a profile without a verified email', async () => {
+      stubAccounts(null);
+
+      await assert.rejects(
+        oauthService.resolveUser(provider, { ...profile, emailVerified: false }),
+        { statusCode: 400 }
+      );
+    });
+  });
+});
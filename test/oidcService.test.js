@@ -0,0 +1,62 @@
+/**
+ * OpenID Connect Provider Service Tests
+ * Checks the refresh_token grant of the token endpoint
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RefreshToken = require('../src/models/RefreshToken');
+const oidcService = require('../src/services/oidcService');
+
+describe('oidcService', () => {
+  describe('exchangeRefreshToken', () => {
+    const client = { clientId: 'client-1' };
+    let claim;
+
+    beforeEach(() => {
+      mock.restoreAll();
+
+      mock.method(RefreshToken, 'findOne', async () => ({
+        _id: 'token-1',
+        family: 'family-1',
+        clientId: 'client-1',
+        scope: ['openid', 'email', 'offline_access'],
+        expiresAt: new Date(Date.now() + 60000)
+      }));
+      claim = mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+      mock.method(RefreshToken, 'revokeFamily', async () => {});
+    });
+
+    it('rejects a wider scope without using up the token', async () => {
+      await assert.rejects(
+        oidcService.exchangeRefreshToken(client, { refresh_token: 'refresh-1', scope: 'openid profile' }),
+        { oauthCode: 'invalid_scope' }
+      );
+
+      assert.equal(claim.mock.callCount(), 0);
+      assert.equal(RefreshToken.revokeFamily.mock.callCount(), 0);
+    });
+
+    it('rejects a token of another client', async () => {
+      await assert.rejects(
+        oidcService.exchangeRefreshToken({ clientId: 'client-2' }, { refresh_token: 'refresh-1' }),
+        { oauthCode: 'invalid_grant' }
+      );
+
+      assert.equal(claim.mock.callCount(), 0);
+    });
+
+    it('revokes the family when a rotated token is replayed', async () => {
+      await assert.rejects(
+        oidcService.exchangeRefreshToken(client, { refresh_token: 'refresh-1', scope: 'openid' }),
+        { oauthCode: 'invalid_grant', message: /already been used/ }
+      );
+
+      assert.equal(claim.mock.callCount(), 1);
+      assert.deepEqual(RefreshToken.revokeFamily.mock.calls[0].arguments, ['family-1']);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Password Hashing Tests
+ * Checks every hasher, imported hash formats and the upgrade on sign in
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const User = require('../src/models/User');
+const passwordHash = require('../src/utils/passwordHash');
+const passwordService = require('../src/services/passwordService');
+const signinService = require('../src/services/signinService');
+const auditService = require('../src/services/auditService');
+const authController = require('../src/controllers/authController');
+
+const PASSWORD = 'SecurePass123!';
+
+/**
+ * Hash a password the way passlib's pbkdf2_sha256 does
+ * @param {string} password - Plain text password
+ * @param {number} rounds - Iterations
+ * @returns {string} $pbkdf2-sha256$rounds$salt$hash with passlib's "." for "+"
+ */
+const passlibHash = (password, rounds) => {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.pbkdf2Sync(password, salt, rounds, 32, 'sha256');
+  const ab64 = (buffer) => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '.');
+
+  return `$pbkdf2-sha256$${rounds}$${ab64(salt)}$${ab64(key)}`;
+};
+
+/**
+ * Hash a password the way Django's PBKDF2PasswordHasher does
+ * @param {string} password - Plain text password
+ * @param {number} rounds - Iterations
+ * @returns {string} pbkdf2_sha256$rounds$salt$hash
+ */
+const djangoHash = (password, rounds) => {
+  const salt = 'saltsaltsaltsalt';
+  const key = crypto.pbkdf2Sync(password, salt, rounds, 32, 'sha256');
+
+  return `pbkdf2_sha256$${rounds}$${salt}$${key.toString('base64')}`;
+};
+
+describe('passwordHash', () => {
+  const defaults = { ...passwordHash.CONFIG };
+
+  beforeEach(() => {
+    // Cheap parameters keep the tests fast
+    Object.assign(passwordHash.CONFIG, { ALGORITHM: 'bcrypt', BCRYPT_ROUNDS: 4, SCRYPT_LOG_N: 10 });
+  });
+
+  afterEach(() => {
+    Object.assign(passwordHash.CONFIG, defaults);
+    mock.restoreAll();
+  });
+
+  describe('bcrypt', () => {
+    it('verifies the password it hashed', async () => {
+      const encoded = await passwordHash.hash(PASSWORD);
+
+      assert.equal(passwordHash.identify(encoded), 'bcrypt');
+      assert.equal(await passwordHash.verify(PASSWORD, encoded), true);
+      assert.equal(await passwordHash.verify('WrongPass123!', encoded), false);
+    });
+
+    it('needs a rehash once the rounds change', async () => {
+      const encoded = await passwordHash.hash(PASSWORD);
+      assert.equal(passwordHash.needsRehash(encoded), false);
+
+      passwordHash.CONFIG.BCRYPT_ROUNDS = 5;
+
+      assert.equal(passwordHash.needsRehash(encoded), true);
+    });
+  });
+
+  describe('scrypt', () => {
+    beforeEach(() => {
+      passwordHash.CONFIG.ALGORITHM = 'scrypt';
+    });
+
+    it('verifies the password it hashed', async () => {
+      const encoded = await passwordHash.hash(PASSWORD);
+
+      assert.match(encoded, /^\$scrypt\$ln=10,r=8,p=1\$/);
+      assert.equal(await passwordHash.verify(PASSWORD, encoded), true);
+      assert.equal(await passwordHash.verify('WrongPass123!', encoded), false);
+    });
+
+    it('needs a rehash once the cost changes', async () => {
+      const encoded = await passwordHash.hash(PASSWORD);
+      assert.equal(passwordHash.needsRehash(encoded), false);
+
+      passwordHash.CONFIG.SCRYPT_LOG_N = 11;
+
+      assert.equal(passwordHash.needsRehash(encoded), true);
+    });
+
+    it('needs a rehash of bcrypt hashes after switching to scrypt', async () => {
+      passwordHash.CONFIG.ALGORITHM = 'bcrypt';
+      const encoded = await passwordHash.hash(PASSWORD);
+      passwordHash.CONFIG.ALGORITHM = 'scrypt';
+
+      assert.equal(passwordHash.needsRehash(encoded), true);
+      assert.equal(await passwordHash.verify(PASSWORD, encoded), true);
+    });
+  });
+
+  describe('imported pbkdf2 hashes', () => {
+    it('verifies passlib hashes', async () => {
+      const encoded = passlibHash(PASSWORD, 1000);
+
+      assert.equal(passwordHash.identify(encoded), 'pbkdf2');
+      assert.equal(await passwordHash.verify(PASSWORD, encoded), true);
+      assert.equal(await passwordHash.verify('WrongPass123!', encoded), false);
+      assert.equal(passwordHash.needsRehash(encoded), true);
+    });
+
+    it('verifies Django hashes', async () => {
+      const encoded = djangoHash(PASSWORD, 1000);
+
+      assert.equal(passwordHash.identify(encoded), 'pbkdf2');
+      assert.equal(await passwordHash.verify(PASSWORD, encoded), true);
+      assert.equal(await passwordHash.verify('WrongPass123!', encoded), false);
+      assert.equal(passwordHash.needsRehash(encoded), true);
+    });
+
+    it('rejects unsupported formats', async () => {
+      assert.equal(passwordHash.identify('$md5$abc'), null);
+      assert.equal(passwordHash.identify('$pbkdf2-sha256$1000$salt'), null);
+      await assert.rejects(passwordHash.verify(PASSWORD, 'plain'), /Unsupported password hash format/);
+    });
+  });
+
+  describe('upgrade on sign in', () => {
+    it('replaces an imported hash with the current hasher', async () => {
+      const user = new User({ email: 'user@example.com', passwordHash: djangoHash(PASSWORD, 1000) });
+      const imported = user.passwordHash;
+      const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+      assert.equal(await passwordService.upgradePasswordHash(user, PASSWORD), true);
+
+      assert.equal(passwordHash.identify(user.passwordHash), 'bcrypt');
+      assert.equal(await passwordHash.verify(PASSWORD, user.passwordHash), true);
+      assert.deepEqual(update.mock.calls[0].arguments[0], { _id: user._id, passwordHash: imported });
+    });
+
+    it('leaves a current hash alone', async () => {
+      const user = new User({ email: 'user@example.com', passwordHash: await passwordHash.hash(PASSWORD) });
+      const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+      assert.equal(await passwordService.upgradePasswordHash(user, PASSWORD), false);
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('happens when signing in with the password', async () => {
+      const user = new User({ email: 'user@example.com', passwordHash: passlibHash(PASSWORD, 1000), emailVerified: true });
+      mock.method(User, 'findOne', () => ({ select: async () => user }));
+      mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+      mock.method(signinService, 'completeFirstFactor', async () => ({ token: 'access-token' }));
+      mock.method(auditService, 'failure', () => {});
+
+      let body;
+      await authController.signin(
+        { body: { email: user.email, password: PASSWORD }, get: () => null },
+        { json: (result) => { body = result; }, status: () => assert.fail('sign in failed') }
+      );
+
+      assert.equal(body.token, 'access-token');
+      assert.equal(passwordHash.identify(user.passwordHash), 'bcrypt');
+    });
+
+    it('keeps a password that was changed meanwhile', async () => {
+      const user = new User({ email: 'user@example.com', passwordHash: passlibHash(PASSWORD, 1000) });
+      const imported = user.passwordHash;
+      mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+      assert.equal(await passwordService.upgradePasswordHash(user, PASSWORD), false);
+      assert.equal(user.passwordHash, imported);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Password History Tests
+ * Checks that recent passwords are remembered and cannot be used again
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const passwordHash = require('../src/utils/passwordHash');
+const passwordService = require('../src/services/passwordService');
+const auditService = require('../src/services/auditService');
+const accountController = require('../src/controllers/accountController');
+
+const PASSWORDS = ['Violet-Kettle-Orbit-71', 'Violet-Kettle-Orbit-72', 'Violet-Kettle-Orbit-73'];
+
+describe('password history', () => {
+  const defaults = { ...passwordHash.CONFIG };
+  const historySize = passwordService.CONFIG.HISTORY_SIZE;
+  let user;
+
+  beforeEach(async () => {
+    // Cheap parameters keep the tests fast
+    Object.assign(passwordHash.CONFIG, { ALGORITHM: 'bcrypt', BCRYPT_ROUNDS: 4 });
+    passwordService.CONFIG.HISTORY_SIZE = 2;
+
+    user = new User({
+      email: 'user@example.com',
+      passwordHash: await passwordService.hashPassword(PASSWORDS[0]),
+      emailVerified: true
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(passwordHash.CONFIG, defaults);
+    passwordService.CONFIG.HISTORY_SIZE = historySize;
+    mock.restoreAll();
+  });
+
+  describe('setPassword', () => {
+    it('remembers the replaced password and clears a forced change', async () => {
+      const previousHash = user.passwordHash;
+      user.passwordChangeRequired = true;
+
+      await passwordService.setPassword(user, PASSWORDS[1]);
+
+      assert.equal(user.passwordHistory.length, 1);
+      assert.equal(user.passwordHistory[0].hash, previousHash);
+      assert.equal(await passwordService.verifyPassword(PASSWORDS[1], user.passwordHash), true);
+      assert.equal(user.passwordChangeRequired, false);
+    });
+
+    it('keeps only the last PASSWORD_HISTORY_SIZE passwords', async () => {
+      await passwordService.setPassword(user, PASSWORDS[1]);
+      await passwordService.setPassword(user, PASSWORDS[2]);
+      await passwordService.setPassword(user, 'Violet-Kettle-Orbit-74');
+
+      assert.equal(user.passwordHistory.length, 2);
+      assert.equal(await passwordService.isPasswordReused(user, PASSWORDS[0]), false);
+      assert.equal(await passwordService.isPasswordReused(user, PASSWORDS[1]), true);
+    });
+
+    it('keeps no history when PASSWORD_HISTORY_SIZE is 0', async () => {
+      passwordService.CONFIG.HISTORY_SIZE = 0;
+
+      await passwordService.setPassword(user, PASSWORDS[1]);
+
+      assert.equal(user.passwordHistory.length, 0);
+      assert.equal(passwordService.getReuseMessage(), 'New password must be different from the current password');
+    });
+
+    it('refuses a user loaded without the history', async () => {
+      const loaded = new User({ email: 'user@example.com', passwordHash: user.passwordHash }, { passwordHistory: 0 });
+
+      await assert.rejects(passwordService.setPassword(loaded, PASSWORDS[1]), /passwordHistory to be selected/);
+    });
+  });
+
+  describe('isPasswordReused', () => {
+    it('matches the current and the remembered passwords only', async () => {
+      await passwordService.setPassword(user, PASSWORDS[1]);
+
+      assert.equal(await passwordService.isPasswordReused(user, PASSWORDS[0]), true);
+      assert.equal(await passwordService.isPasswordReused(user, PASSWORDS[1]), true);
+      assert.equal(await passwordService.isPasswordReused(user, PASSWORDS[2]), false);
+    });
+  });
+
+  describe('changing the password', () => {
+    it('rejects a previous password', async () => {
+      await passwordService.setPassword(user, PASSWORDS[1]);
+      mock.method(User, 'findById', () => ({ select: async () => user }));
+      const failure = mock.method(auditService, 'failure', () => {});
+      const changePassword = mock.method(passwordService, 'changePassword', async () => ({ sessionsRevoked: 0 }));
+
+      let error;
+      await accountController.changePassword(
+        { user: { id: user.id }, body: { currentPassword: PASSWORDS[1], newPassword: PASSWORDS[0] }, get: () => null },
+        { json: () => assert.fail('password changed') },
+        (err) => {
+          error = err;
+        }
+      );
+
+      assert.equal(error.passwordReused, true);
+      assert.equal(error.message, 'New password must be different from your current and last 2 passwords');
+      assert.equal(failure.mock.calls[0].arguments[2], 'password_reused');
+      assert.equal(changePassword.mock.callCount(), 0);
+    });
+  });
+});
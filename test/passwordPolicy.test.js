@@ -0,0 +1,117 @@
+/**
+ * Password Policy Tests
+ * Checks each rule of the policy, the strength estimate and the breached-password lookup
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// One Pwned Passwords range file, read when the policy service loads
+const BREACHED_PASSWORD = 'Correct-Horse-42!';
+const breachedHash = crypto.createHash('sha1').update(BREACHED_PASSWORD).digest('hex').toUpperCase();
+const hashesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-'));
+fs.writeFileSync(
+  path.join(hashesPath, `${breachedHash.slice(0, 5)}.txt`),
+  `0000000000000000000000000000000000A:3\r\n${breachedHash.slice(5)}:12\r\n`
+);
+process.env.PASSWORD_BREACHED_HASHES_PATH = hashesPath;
+
+const { loadPasswordPolicy } = require('../src/config/passwordPolicy');
+const passwordPolicyService = require('../src/services/passwordPolicyService');
+
+const STRONG_PASSWORD = 'Violet-Kettle-Orbit-73';
+
+/**
+ * List the rules a password breaks
+ * @param {string} password - Password to check
+ * @param {Object} context - { email, name }
+ * @returns {Promise<string[]>} Broken rules
+ */
+const brokenRules = async (password, context) => {
+  const { failures } = await passwordPolicyService.checkPassword(password, context);
+  return failures.map(failure => failure.rule);
+};
+
+describe('password policy', () => {
+  after(() => {
+    fs.rmSync(hashesPath, { recursive: true, force: true });
+  });
+
+  describe('checkPassword', () => {
+    it('accepts a strong password', async () => {
+      const result = await passwordPolicyService.checkPassword(STRONG_PASSWORD, { email: 'user@example.com' });
+
+      assert.equal(result.isValid, true);
+      assert.equal(result.message, null);
+      assert.ok(result.score >= passwordPolicyService.POLICY.minScore);
+    });
+
+    it('reports each missing character class', async () => {
+      assert.deepEqual(await brokenRules('VIOLET-KETTLE-ORBIT-73'), ['lowercase']);
+      assert.deepEqual(await brokenRules('violet-kettle-orbit-73'), ['uppercase']);
+      assert.deepEqual(await brokenRules('Violet-Kettle-Orbit-XY'), ['number']);
+      assert.deepEqual(await brokenRules('VioletKettleOrbit73'), ['symbol']);
+    });
+
+    it('enforces the length limits', async () => {
+      assert.ok((await brokenRules('Vk-7')).includes('min_length'));
+      assert.deepEqual(await brokenRules(`${STRONG_PASSWORD}${'x'.repeat(128)}`), ['max_length']);
+    });
+
+    it('refuses the user\'s name and email address, even with substitutions', async () => {
+      const context = { email: 'jane.doe@example.com', name: 'Jane Doe' };
+
+      assert.ok((await brokenRules('J@ne-Kettle-Orbit-73', context)).includes('personal_info'));
+      assert.ok((await brokenRules('Example-Kettle-73!', context)).includes('personal_info'));
+    });
+
+    it('refuses common passwords as too easy to guess', async () => {
+      const result = await passwordPolicyService.checkPassword('P@ssw0rd123!');
+
+      assert.equal(result.isValid, false);
+      assert.equal(result.failures[0].rule, 'strength');
+      assert.ok(result.score < passwordPolicyService.POLICY.minScore);
+    });
+
+    it('refuses a password found in the breached hashes', async () => {
+      assert.deepEqual(await brokenRules(BREACHED_PASSWORD), ['breached']);
+    });
+
+    it('treats a password without a range file as not breached', async () => {
+      assert.deepEqual(await brokenRules(STRONG_PASSWORD), []);
+    });
+  });
+
+  describe('estimateStrength', () => {
+    it('scores patterns lower than random characters of the same length', () => {
+      assert.ok(passwordPolicyService.estimateStrength('qwerty123456').score < 2);
+      assert.ok(passwordPolicyService.estimateStrength('aaaaaaaaaaaa').score < 2);
+      assert.equal(passwordPolicyService.estimateStrength('k9#Tq2!vXm4z').score, 4);
+    });
+  });
+
+  describe('loadPasswordPolicy', () => {
+    it('lets environment variables override the JSON policy', () => {
+      const policy = loadPasswordPolicy({
+        PASSWORD_POLICY: JSON.stringify({ minLength: 10, requireSymbol: false, bannedWords: [' Acme '] }),
+        PASSWORD_MIN_LENGTH: '12'
+      });
+
+      assert.equal(policy.minLength, 12);
+      assert.equal(policy.requireSymbol, false);
+      assert.deepEqual(policy.bannedWords, ['acme']);
+      assert.ok(Object.isFrozen(policy));
+    });
+
+    it('rejects unknown and out of range settings', () => {
+      assert.throws(() => loadPasswordPolicy({ PASSWORD_POLICY: '{"minLenght":10}' }), /Unknown password policy setting: minLenght/);
+      assert.throws(() => loadPasswordPolicy({ PASSWORD_MIN_SCORE: '5' }), /minScore/);
+      assert.throws(() => loadPasswordPolicy({ PASSWORD_BREACHED_HASHES_PATH: path.join(hashesPath, 'missing') }), /not found/);
+    });
+  });
+});
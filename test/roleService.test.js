@@ -0,0 +1,91 @@
+/**
+ * Role Service Tests
+ * Checks permission wildcards, effective permissions and requirePermissions
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Role = require('../src/models/Role');
+const roleService = require('../src/services/roleService');
+const { requirePermissions } = require('../src/middleware/auth');
+
+/**
+ * Run requirePermissions on a fake request
+ * @param {Array} required - Required permissions
+ * @param {Object|null} user - Request user
+ * @returns {Error|undefined} Error passed to next, if any
+ */
+const check = (required, user) => {
+  let result;
+
+  requirePermissions(required)({ user }, {}, (error) => {
+    result = error;
+  });
+
+  return result;
+};
+
+describe('roleService', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('hasPermission', () => {
+    it('matches an exact grant', () => {
+      assert.equal(roleService.hasPermission(['users:read'], 'users:read'), true);
+      assert.equal(roleService.hasPermission(['users:read'], 'users:write'), false);
+    });
+
+    it('lets * cover everything', () => {
+      assert.equal(roleService.hasPermission(['*'], 'system:health'), true);
+    });
+
+    it('lets resource:* cover every action on that resource only', () => {
+      assert.equal(roleService.hasPermission(['users:*'], 'users:impersonate'), true);
+      assert.equal(roleService.hasPermission(['users:*'], 'roles:manage'), false);
+    });
+
+    it('grants nothing without permissions', () => {
+      assert.equal(roleService.hasPermission([], 'users:read'), false);
+      assert.equal(roleService.hasPermission(undefined, 'users:read'), false);
+    });
+  });
+
+  describe('resolvePermissions', () => {
+    it('combines role permissions with direct grants', async () => {
+      mock.method(Role, 'find', () => ({
+        select: () => ({
+          lean: async () => [{ permissions: ['users:read', 'audit:read'] }]
+        })
+      }));
+
+      const permissions = await roleService.resolvePermissions({ roles: ['support'], permissions: ['users:read', 'system:health'] });
+
+      assert.deepEqual(permissions, ['audit:read', 'system:health', 'users:read']);
+    });
+
+    it('skips the lookup for a user without roles', async () => {
+      const find = mock.method(Role, 'find', () => assert.fail('roles looked up'));
+
+      assert.deepEqual(await roleService.resolvePermissions({ roles: [] }), []);
+      assert.equal(find.mock.callCount(), 0);
+    });
+  });
+
+  describe('requirePermissions', () => {
+    it('requires a signed in user', () => {
+      assert.equal(check(['users:read'], null).statusCode, 401);
+    });
+
+    it('lets a user with every required permission through', () => {
+      assert.equal(check(['users:read', 'audit:read'], { permissions: ['users:*', 'audit:read'] }), undefined);
+    });
+
+    it('refuses a user missing one of the permissions', () => {
+      assert.equal(check(['users:read', 'audit:read'], { permissions: ['users:read'] }).statusCode, 403);
+    });
+  });
+});
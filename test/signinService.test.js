@@ -0,0 +1,71 @@
+/**
+ * Signin Service Tests
+ * Checks the final sign in step shared by every method
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+const signinService = require('../src/services/signinService');
+const tokenService = require('../src/services/tokenService');
+const auditService = require('../src/services/auditService');
+const deviceService = require('../src/services/deviceService');
+
+describe('signinService', () => {
+  let user;
+  let issueTokenPair;
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true });
+
+    issueTokenPair = mock.method(tokenService, 'issueTokenPair', async () => ({
+      session: { _id: 'session-1' },
+      token: 'access-token',
+      refreshToken: 'refresh-token'
+    }));
+    mock.method(tokenService, 'issuePurposeToken', (target, purpose, claims) => JSON.stringify({ purpose, ...claims }));
+    mock.method(auditService, 'success', () => {});
+    mock.method(auditService, 'failure', () => {});
+    mock.method(deviceService, 'checkSigninDevice', async () => {});
+    mock.method(User.prototype, 'resetLoginAttempts', async () => {});
+  });
+
+  describe('completeSignin', () => {
+    it('starts a session', async () => {
+      const result = await signinService.completeSignin(user, {}, { method: 'passkey' });
+
+      assert.equal(result.token, 'access-token');
+      assert.equal(issueTokenPair.mock.callCount(), 1);
+    });
+
+    it('returns a change token instead of a session when a new password is required', async () => {
+      user.passwordChangeRequired = true;
+
+      const result = await signinService.completeSignin(user, {}, { method: 'magic_link' });
+
+      assert.equal(result.passwordChangeRequired, true);
+      assert.equal(result.reason, 'admin_required');
+      assert.deepEqual(JSON.parse(result.changeToken), { purpose: 'password_change', method: 'magic_link' });
+      assert.equal(result.token, undefined);
+      assert.equal(issueTokenPair.mock.callCount(), 0);
+    });
+  });
+
+  describe('completeFirstFactor', () => {
+    it('asks for 2FA before a required password change', async () => {
+      user.passwordChangeRequired = true;
+      user.mfa = { enabled: true };
+
+      const result = await signinService.completeFirstFactor(user, {}, { method: 'password' });
+
+      assert.equal(result.mfaRequired, true);
+      assert.equal(result.changeToken, undefined);
+      assert.equal(JSON.parse(result.challengeToken).purpose, 'mfa');
+    });
+  });
+});
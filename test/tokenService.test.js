@@ -0,0 +1,128 @@
+/**
+ * Token Service Tests
+ * Checks refresh token rotation and reuse detection
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const keyService = require('../src/services/keyService');
+const tokenService = require('../src/services/tokenService');
+
+/**
+ * Hash a refresh token the way it is stored
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('tokenService', () => {
+  describe('rotateRefreshToken', () => {
+    let user;
+    let session;
+    let tokens;
+
+    beforeEach(() => {
+      mock.restoreAll();
+      mock.method(console, 'warn', () => {});
+
+      user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true, roles: [] });
+      session = new Session({ user: user._id, expiresAt: new Date(Date.now() + 86400000) });
+
+      // Refresh tokens live in memory instead of MongoDB
+      tokens = [{
+        _id: 'token-1',
+        user: user._id,
+        tokenHash: hash('refresh-1'),
+        family: String(session._id),
+        clientId: null,
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 86400000),
+        save: async () => {}
+      }];
+
+      mock.method(RefreshToken, 'findOne', async ({ tokenHash }) => tokens.find(token => token.tokenHash === tokenHash) || null);
+      mock.method(RefreshToken, 'findOneAndUpdate', async ({ _id }, { $set }) => {
+        const token = tokens.find(entry => entry._id === _id && !entry.revokedAt);
+        return token ? Object.assign(token, $set) : null;
+      });
+      mock.method(RefreshToken, 'create', async (doc) => {
+        const token = { ...doc, _id: `token-${tokens.length + 1}`, revokedAt: null, save: async () => {} };
+        tokens.push(token);
+        return token;
+      });
+      mock.method(RefreshToken, 'updateMany', async ({ family }, { $set }) => {
+        tokens.filter(token => family.$in.includes(token.family) && !token.revokedAt).forEach(token => Object.assign(token, $set));
+      });
+
+      mock.method(Session, 'findById', async () => session);
+      mock.method(Session, 'updateMany', async () => {
+        session.revokedAt = new Date();
+        return { modifiedCount: 1 };
+      });
+      mock.method(Session.prototype, 'save', async function() {
+        return this;
+      });
+      mock.method(User, 'findById', async () => user);
+      mock.method(keyService, 'signJwt', () => 'access-token');
+    });
+
+    it('replaces the token with a new one in the same session', async () => {
+      const result = await tokenService.rotateRefreshToken('refresh-1', {});
+
+      assert.equal(result.token, 'access-token');
+      assert.notEqual(result.refreshToken, 'refresh-1');
+      assert.ok(tokens[0].revokedAt);
+      assert.equal(tokens[0].replacedBy, 'token-2');
+      assert.equal(tokens[1].tokenHash, hash(result.refreshToken));
+      assert.equal(tokens[1].family, String(session._id));
+    });
+
+    it('revokes the whole family and the session when a rotated token is reused', async () => {
+      const { refreshToken } = await tokenService.rotateRefreshToken('refresh-1', {});
+
+      await assert.rejects(tokenService.rotateRefreshToken('refresh-1', {}), {
+        statusCode: 401,
+        message: /already been used/
+      });
+
+      assert.ok(session.revokedAt);
+      assert.ok(tokens.every(token => token.revokedAt));
+      await assert.rejects(tokenService.rotateRefreshToken(refreshToken, {}), { statusCode: 401 });
+    });
+
+    it('refuses an unknown token', async () => {
+      await assert.rejects(tokenService.rotateRefreshToken('unknown', {}), { statusCode: 401 });
+    });
+
+    it('refuses and ends the session of a deactivated account', async () => {
+      user.isActive = false;
+
+      await assert.rejects(tokenService.rotateRefreshToken('refresh-1', {}), {
+        statusCode: 401,
+        message: /no longer available/
+      });
+
+      assert.ok(session.revokedAt);
+      assert.ok(tokens[0].revokedAt);
+    });
+
+    it('refuses and ends the session when a new password is required', async () => {
+      user.passwordChangeRequired = true;
+
+      await assert.rejects(tokenService.rotateRefreshToken('refresh-1', {}), {
+        statusCode: 401,
+        message: /must be changed/
+      });
+
+      assert.ok(session.revokedAt);
+      assert.equal(tokens.length, 1);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * User Model Tests
+ * Checks that no index can expire whole user documents
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../src/models/User');
+
+describe('User model', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+  });
+
+  it('declares no TTL index, including on subdocuments', () => {
+    const ttlIndexes = User.schema.indexes().filter(([, options]) => options.expireAfterSeconds !== undefined);
+
+    assert.deepEqual(ttlIndexes, []);
+  });
+
+  describe('assertNoTtlIndexes', () => {
+    it('accepts a collection without TTL indexes', async () => {
+      mock.method(User.collection, 'indexes', async () => [{ name: 'email_1', key: { email: 1 } }]);
+
+      await User.assertNoTtlIndexes();
+    });
+
+    it('accepts a new database without a users collection', async () => {
+      mock.method(User.collection, 'indexes', async () => {
+        throw Object.assign(new Error('ns does not exist'), { codeName: 'NamespaceNotFound' });
+      });
+
+      await User.assertNoTtlIndexes();
+    });
+
+    it('rejects a leftover TTL index from an older version', async () => {
+      mock.method(User.collection, 'indexes', async () => [
+        { name: 'email_1', key: { email: 1 } },
+        { name: 'passwordReset.expiresAt_1', key: { 'passwordReset.expiresAt': 1 }, expireAfterSeconds: 0 }
+      ]);
+
+      await assert.rejects(User.assertNoTtlIndexes(), /passwordReset\.expiresAt_1.*users:drop-legacy-codes/);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * WebAuthn Service Tests
+ * Runs passkey ceremonies against a software authenticator with "none" attestation
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const User = require('../src/models/User');
+const WebAuthnCredential = require('../src/models/WebAuthnCredential');
+const WebAuthnChallenge = require('../src/models/WebAuthnChallenge');
+const webauthnService = require('../src/services/webauthnService');
+const signinService = require('../src/services/signinService');
+const tokenService = require('../src/services/tokenService');
+const webauthnController = require('../src/controllers/webauthnController');
+
+const ORIGIN = webauthnService.CONFIG.ORIGINS[0];
+const RP_ID = webauthnService.CONFIG.RP_ID;
+
+// Authenticator data flags
+const FLAGS = { UP: 0x01, UV: 0x04, AT: 0x40 };
+
+/**
+ * Create a software authenticator holding one P-256 passkey
+ * @returns {Object} { register, authenticate }
+ */
+const createAuthenticator = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const cosePublicKey = isoCBOR.encode(new Map([
+    [1, 2], // kty: EC2
+    [3, -7], // alg: ES256
+    [-1, 1], // crv: P-256
+    [-2, Buffer.from(x, 'base64url')],
+    [-3, Buffer.from(y, 'base64url')]
+  ]));
+
+  /**
+   * Build authenticator data
+   * @param {number} flags - Flag bits
+   * @param {Buffer} attested - Attested credential data, if any
+   * @returns {Buffer} Authenticator data
+   */
+  const authenticatorData = (flags, attested = Buffer.alloc(0)) => {
+    const signCount = Buffer.alloc(4);
+    signCount.writeUInt32BE(counter);
+
+    return Buffer.concat([
+      crypto.createHash('sha256').update(RP_ID).digest(),
+      Buffer.from([flags]),
+      signCount,
+      attested
+    ]);
+  };
+
+  /**
+   * Build clientDataJSON for a ceremony
+   * @param {string} type - webauthn.create or webauthn.get
+   * @param {string} challenge - Base64url challenge from the options
+   * @returns {Buffer} clientDataJSON
+   */
+  const clientData = (type, challenge) => {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN, crossOrigin: false }));
+  };
+
+  const id = credentialId.toString('base64url');
+
+  return {
+    id,
+
+    register: (options) => {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+
+      const authData = authenticatorData(
+        FLAGS.UP | FLAGS.UV | FLAGS.AT,
+        Buffer.concat([Buffer.alloc(16), idLength, credentialId, Buffer.from(cosePublicKey)])
+      );
+
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authData]
+      ]));
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: clientData('webauthn.create', options.challenge).toString('base64url'),
+          attestationObject: Buffer.from(attestationObject).toString('base64url'),
+          transports: ['internal']
+        }
+      };
+    },
+
+    authenticate: (options, { userVerified = true } = {}) => {
+      counter++;
+
+      const authData = authenticatorData(FLAGS.UP | (userVerified ? FLAGS.UV : 0));
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([
+        authData,
+        crypto.createHash('sha256').update(clientDataJSON).digest()
+      ]), privateKey);
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url')
+        }
+      };
+    }
+  };
+};
+
+describe('webauthnService', () => {
+  let user;
+  let challenges;
+  let credentials;
+
+  beforeEach(() => {
+    mock.restoreAll();
+
+    user = new User({ email: 'user@example.com', passwordHash: 'hash', emailVerified: true });
+
+    // Challenges and credentials live in memory instead of MongoDB
+    challenges = new Map();
+    mock.method(WebAuthnChallenge, 'create', async (doc) => {
+      challenges.set(doc.challenge, doc);
+      return doc;
+    });
+    mock.method(WebAuthnChallenge, 'consume', async (challenge, type) => {
+      const doc = challenges.get(challenge);
+      challenges.delete(challenge);
+      return doc && doc.type === type ? doc : null;
+    });
+
+    credentials = [];
+    mock.method(WebAuthnCredential, 'find', async () => credentials);
+    mock.method(WebAuthnCredential, 'create', async (doc) => {
+      const credential = new WebAuthnCredential(doc);
+      credentials.push(credential);
+      return credential;
+    });
+    mock.method(WebAuthnCredential, 'findOne', async ({ credentialId }) => {
+      return credentials.find(credential => credential.credentialId === credentialId) || null;
+    });
+    mock.method(WebAuthnCredential.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(User, 'findById', async () => user);
+  });
+
+  /**
+   * Register a passkey for the test user
+   * @returns {Promise<Object>} Software authenticator
+   */
+  const registerPasskey = async () => {
+    const authenticator = createAuthenticator();
+    const options = await webauthnService.createRegistrationOptions(user);
+    await webauthnService.verifyRegistration(user, authenticator.register(options), 'Laptop');
+    return authenticator;
+  };
+
+  describe('verifyRegistration', () => {
+    it('stores a credential from a "none" attestation', async () => {
+      const authenticator = await registerPasskey();
+
+      assert.equal(credentials.length, 1);
+      assert.equal(credentials[0].credentialId, authenticator.id);
+      assert.equal(String(credentials[0].user), String(user._id));
+      assert.equal(credentials[0].name, 'Laptop');
+    });
+
+    it('rejects a response for another user\'s challenge', async () => {
+      const authenticator = createAuthenticator();
+      const options = await webauthnService.createRegistrationOptions(user);
+      const other = new User({ email: 'other@example.com', passwordHash: 'hash' });
+
+      await assert.rejects(
+        webauthnService.verifyRegistration(other, authenticator.register(options)),
+        { statusCode: 400 }
+      );
+    });
+  });
+
+  describe('verifyAuthentication', () => {
+    it('signs in with a user-verified assertion', async () => {
+      const authenticator = await registerPasskey();
+      const options = await webauthnService.createAuthenticationOptions();
+
+      const result = await webauthnService.verifyAuthentication(authenticator.authenticate(options));
+
+      assert.equal(result.user, user);
+      assert.equal(result.userVerified, true);
+      assert.equal(credentials[0].counter, 1);
+    });
+
+    it('reports an assertion without user verification', async () => {
+      const authenticator = await registerPasskey();
+      const options = await webauthnService.createAuthenticationOptions();
+
+      const result = await webauthnService.verifyAuthentication(
+        authenticator.authenticate(options, { userVerified: false })
+      );
+
+      assert.equal(result.userVerified, false);
+    });
+
+    it('rejects a signature from another key', async () => {
+      const authenticator = await registerPasskey();
+      const options = await webauthnService.createAuthenticationOptions();
+
+      const assertion = authenticator.authenticate(options);
+      assertion.response.signature = createAuthenticator().authenticate(options).response.signature;
+
+      await assert.rejects(webauthnService.verifyAuthentication(assertion), { statusCode: 401 });
+    });
+
+    it('accepts a challenge only once', async () => {
+      const authenticator = await registerPasskey();
+      const options = await webauthnService.createAuthenticationOptions();
+      const assertion = authenticator.authenticate(options);
+
+      await webauthnService.verifyAuthentication(assertion);
+
+      await assert.rejects(webauthnService.verifyAuthentication(assertion), { statusCode: 400 });
+    });
+  });
+
+  describe('authenticationVerify', () => {
+    /**
+     * Call the controller and capture the response body or error
+     * @param {Object} credential - Authentication response
+     * @returns {Promise<Object>} { body, error }
+     */
+    const callController = async (credential) => {
+      const outcome = {};
+      const req = { body: { credential } };
+      const res = { json: (body) => { outcome.body = body; } };
+
+      await webauthnController.authenticationVerify(req, res, (error) => { outcome.error = error; });
+
+      return outcome;
+    };
+
+    beforeEach(() => {
+      user.mfa = { enabled: true };
+      mock.method(signinService, 'completeSignin', async () => ({ token: 'access-token' }));
+      mock.method(tokenService, 'issuePurposeToken', () => 'challenge-token');
+    });
+
+    it('asks for 2FA when the authenticator did not verify the user', async () => {
+      const authenticator = await registerPasskey();
+      const options = await webauthnService.createAuthenticationOptions();
+
+      const { body, error } = await callController(authenticator.authenticate(options, { userVerified: false }));
+
+      assert.equal(error, undefined);
+      assert.equal(body.mfaRequired, true);
+      assert.equal(body.challengeToken, 'challenge-token');
+      assert.equal(signinService.completeSignin.mock.callCount(), 0);
+    });
+
+    it('signs in directly when the authenticator verified the user', async () => {
+      const authenticator = await registerPasskey();
+      const options = await webauthnService.createAuthenticationOptions();
+
+      const { body } = await callController(authenticator.authenticate(options));
+
+      assert.equal(body.token, 'access-token');
+      assert.equal(signinService.completeSignin.mock.callCount(), 1);
+    });
+  });
+});